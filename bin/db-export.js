@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import { DatabaseExporter } from '../lib/exporter.js';
+import { findConfigFile, readConfigFile } from '../lib/utils/config.js';
 import dotenv from 'dotenv';
 import path from 'path';
 
@@ -10,35 +11,232 @@ dotenv.config();
 
 const program = new Command();
 
+/**
+ * Collect --dart-type mappings (numeric=double, jobs.meta=JobMeta) into a map
+ */
+function parseTypeOverride(mapping, overrides = {}) {
+  const separator = mapping.lastIndexOf('=');
+  if (separator <= 0 || separator === mapping.length - 1) {
+    throw new InvalidArgumentError(`Expected <postgres type or table.column>=<Dart type>, got "${mapping}".`);
+  }
+  return { ...overrides, [mapping.slice(0, separator).trim()]: mapping.slice(separator + 1).trim() };
+}
+
+/**
+ * Parse a positive number of milliseconds
+ */
+function parseInterval(value) {
+  const interval = Number(value);
+  if (!Number.isInteger(interval) || interval <= 0) {
+    throw new InvalidArgumentError(`Expected a positive number of milliseconds, got "${value}".`);
+  }
+  return interval;
+}
+
+/**
+ * Parse a positive number of rows
+ */
+function parseRowCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new InvalidArgumentError(`Expected a positive number of rows, got "${value}".`);
+  }
+  return count;
+}
+
+/**
+ * Collect --data-where filters (jobs=stage <> 'Completed') into per-table settings
+ */
+function parseDataWhere(filter, tables = {}) {
+  const separator = filter.indexOf('=');
+  if (separator <= 0 || separator === filter.length - 1) {
+    throw new InvalidArgumentError(`Expected <table>=<SQL condition>, got "${filter}".`);
+  }
+  const table = filter.slice(0, separator).trim();
+  return { ...tables, [table]: { ...tables[table], where: filter.slice(separator + 1).trim() } };
+}
+
+/**
+ * Collect --data-mask rules (users.email=email) into a map
+ */
+function parseDataMask(rule, masks = {}) {
+  const separator = rule.lastIndexOf('=');
+  if (separator <= 0 || separator === rule.length - 1) {
+    throw new InvalidArgumentError(`Expected <column pattern>=<null|hash|email|redact>, got "${rule}".`);
+  }
+  return { ...masks, [rule.slice(0, separator).trim()]: rule.slice(separator + 1).trim() };
+}
+
+/**
+ * Per-table data settings of the configuration file with the --data-where
+ * conditions replacing theirs, keeping their limits
+ */
+function mergeDataTables(configured = {}, conditions = {}) {
+  const tables = { ...configured };
+  Object.entries(conditions).forEach(([table, settings]) => {
+    tables[table] = { ...tables[table], ...settings };
+  });
+  return tables;
+}
+
 program
   .name('supabase-dart-exporter')
   .description('Export Supabase database schema to SQL files and Dart models')
   .version('1.0.6')
+  .option('-c, --config <file>', 'Configuration file (default: the nearest supabase_dart_exporter.yaml or .json)')
+  .option('--url <url>', 'Supabase project URL (overrides SUPABASE_URL)')
+  .option('--key <key>', 'Supabase service role key (overrides SUPABASE_SERVICE_KEY)')
   .option('-o, --output <dir>', 'Output directory for SQL files', './exported_database')
   .option('-d, --dart', 'Generate Dart models', false)
   .option('--dart-output <dir>', 'Output directory for Dart models', 'lib/models')
+  .option('--dart-relations', 'Add nested fields for relations embedded with PostgREST select() to Dart models', false)
+  .option('--dart-repositories', 'Generate a typed supabase_flutter repository class per table next to the Dart models', false)
+  .option('--dart-rpc', 'Generate rpc.dart with a typed method per database function', false)
+  .option('--dart-no-docs', 'Leave documentation comments out of the Dart models', false)
+  .option('--dart-validators', 'Generate a validator class per table model from NOT NULL, length and CHECK constraints', false)
+  .option('--dart-fixtures', 'Generate Dart fixture files with model instances of sampled rows for widget tests', false)
+  .option('--dart-style <style>', 'Dart serialization style: "freezed", "json_serializable", "dart_mappable" or "plain"', 'freezed')
+  .option('--dart-singularize', 'Singularize Dart class and file names (users -> User in user.dart)', false)
+  .option('--dart-strip-prefix <prefixes...>', 'Prefixes to strip from Dart class and file names (tbl_)')
+  .option('--dart-package <name>', 'Make the Dart output a standalone package: pubspec.yaml, build.yaml and the models in lib/src')
+  .option('--dart-no-barrel', 'Leave out the barrel file exporting every model (models.dart)', false)
+  .option('--dart-type <mapping>', 'Override a Dart type as <postgres type or table.column>=<Dart type>, repeatable', parseTypeOverride)
   .option('-v, --verbose', 'Enable verbose logging', false)
-  .option('-s, --schema-only', 'Export schema only (no data)', false)
-  .option('-t, --tables <tables...>', 'Specific tables to export')
+  .option('-s, --schema-only', 'Export schema only, without table data or Dart fixtures', false)
+  .option('--data', 'Export table data as seed files (11_data.sql) in foreign key order', false)
+  .option('--data-format <format>', 'Seed file format: "insert" (batched INSERT statements) or "copy" (COPY for psql)', 'insert')
+  .option('--data-batch-size <rows>', 'Rows per INSERT statement', parseRowCount, 500)
+  .option('--data-limit <rows>', 'Maximum number of rows exported per table', parseRowCount)
+  .option('--data-where <filter>', 'Only export the rows of a table matching a condition, as <table>=<SQL condition>, repeatable', parseDataWhere)
+  .option('--data-mask <rule>', 'Mask a column as <column pattern>=<null|hash|email|redact>, repeatable', parseDataMask)
+  .option('-t, --tables <patterns...>', 'Tables to export, as names or globs (job*, billing.*)')
+  .option('--exclude-tables <patterns...>', 'Tables to leave out of the SQL files and Dart models')
+  .option('--exclude-columns <patterns...>', 'Columns to leave out, as column, table.column or schema.table.column globs')
+  .option('--functions <patterns...>', 'Functions to export, as names or globs')
+  .option('--exclude-functions <patterns...>', 'Functions to leave out of the SQL files and rpc.dart')
+  .option('--triggers <patterns...>', 'Triggers to export, as trigger or table.trigger globs')
+  .option('--exclude-triggers <patterns...>', 'Triggers to leave out')
+  .option('--schemas <schemas...>', 'Schemas to export, each into its own subdirectory')
+  .option('--single-transaction', 'Wrap the master.sql replay in a single transaction', false)
+  .option('--diff <source>', 'Previous export directory or database URL to generate an up/down migration against')
+  .option('--migrations-output <dir>', 'Output directory for --diff migrations', './migrations')
+  .option('--format <format>', 'Export format: "sql" (SQL files and schema.json) or "json" (schema.json only)', 'sql')
+  .option('--from-json <file>', 'Generate SQL and Dart offline from an exported schema.json instead of a database')
+  .option('--from-sql <paths...>', 'Generate offline from SQL files or directories (a dump, an earlier export or supabase/migrations) instead of a database')
+  .option('--prune', 'Delete generated files of dropped tables and other objects instead of listing them', false)
+  .option('-w, --watch', 'Keep the connection open and regenerate the output whenever the schema changes', false)
+  .option('--watch-interval <ms>', 'Schema polling interval of --watch when no event trigger can be installed', parseInterval, 2000)
+  .option('--check', 'Generate in memory and fail with a diff when the files on disk are out of date, writing nothing', false)
+  .option('--dry-run', 'List the objects and files an export would generate, writing nothing', false)
+  .option('--introspection <mode>', 'Schema introspection mode: "catalog" (no install needed) or "functions" (installed SQL helpers)', 'catalog')
+  .option('--transport <transport>', 'Read the schema over "postgres" (DATABASE_URL), through the "rest" API (project URL and key) or "auto" (rest when no DATABASE_URL is set)', 'auto')
   .parse(process.argv);
 
 const options = program.opts();
 
+const modes = ['check', 'dryRun', 'watch'].filter(mode => options[mode]);
+if (modes.length > 1) {
+  console.error(`✖ ${modes.map(mode => `--${mode === 'dryRun' ? 'dry-run' : mode}`).join(' and ')} can't be combined`);
+  process.exit(1);
+}
+
+// Settings from the configuration file, overridden by the flags given on the command line
+let fileConfig = {};
+try {
+  const configFile = options.config || await findConfigFile();
+  if (configFile) {
+    fileConfig = await readConfigFile(configFile);
+    if (options.verbose || fileConfig.verbose) {
+      console.log(`Using configuration from ${configFile}`);
+    }
+  }
+} catch (error) {
+  console.error(`✖ ${error.message}`);
+  process.exit(1);
+}
+
+const flag = name => (program.getOptionValueSource(name) === 'cli' ? options[name] : undefined);
+const cliConfig = {
+  outputDir: flag('output'),
+  dartRelations: flag('dartRelations'),
+  dartRepositories: flag('dartRepositories'),
+  dartRpc: flag('dartRpc'),
+  dartDocs: options.dartNoDocs ? false : undefined,
+  dartStyle: flag('dartStyle'),
+  dartFixtures: flag('dartFixtures'),
+  dartValidators: flag('dartValidators'),
+  dartSingularize: flag('dartSingularize'),
+  dartStripPrefixes: flag('dartStripPrefix'),
+  dartPackage: flag('dartPackage'),
+  dartBarrel: options.dartNoBarrel ? false : undefined,
+  verbose: flag('verbose'),
+  schemaOnly: flag('schemaOnly'),
+  tables: flag('tables'),
+  excludeTables: flag('excludeTables'),
+  excludeColumns: flag('excludeColumns'),
+  functions: flag('functions'),
+  excludeFunctions: flag('excludeFunctions'),
+  triggers: flag('triggers'),
+  excludeTriggers: flag('excludeTriggers'),
+  schemas: flag('schemas'),
+  introspection: flag('introspection'),
+  transport: flag('transport'),
+  supabaseUrl: options.url,
+  supabaseKey: options.key,
+  singleTransaction: flag('singleTransaction'),
+  diff: options.diff,
+  migrationsDir: flag('migrationsOutput'),
+  format: flag('format'),
+  watchInterval: flag('watchInterval'),
+  prune: flag('prune'),
+  data: flag('data'),
+  dataFormat: flag('dataFormat'),
+  dataBatchSize: flag('dataBatchSize'),
+  dataLimit: flag('dataLimit'),
+  input: options.fromJson,
+  sqlInput: options.fromSql
+};
+
+// -d or dart.enabled turn on the Dart export, --dart-output and dart.output place it
+const dartEnabled = options.dart || Boolean(fileConfig.dartOutputDir);
+
 // Create exporter instance
 const exporter = new DatabaseExporter({
   supabaseUrl: process.env.SUPABASE_URL,
   supabaseKey: process.env.SUPABASE_SERVICE_KEY,
-  outputDir: options.output,
-  dartOutputDir: options.dart ? options.dartOutput : null,
-  verbose: options.verbose,
-  schemaOnly: options.schemaOnly,
-  tables: options.tables
+  ...fileConfig,
+  ...Object.fromEntries(Object.entries(cliConfig).filter(([, value]) => value !== undefined)),
+  dartOutputDir: dartEnabled ? flag('dartOutput') || fileConfig.dartOutputDir || options.dartOutput : null,
+  typeOverrides: { ...fileConfig.typeOverrides, ...options.dartType },
+  dataTables: mergeDataTables(fileConfig.dataTables, options.dataWhere),
+  dataMasks: { ...fileConfig.dataMasks, ...options.dataMask }
 });
 
-// Run export
+// Run export, or keep exporting until interrupted in watch mode
 try {
-  await exporter.export();
-  console.log('✔ Export completed successfully!');
+  if (options.dryRun) {
+    await exporter.dryRun();
+  } else if (options.check) {
+    const outdated = await exporter.check();
+    if (outdated.length === 0) {
+      console.log('✔ Generated files are up to date');
+    } else {
+      outdated.forEach(file => process.stdout.write(file.diff));
+      console.error(`\n✖ ${outdated.length} generated file(s) are out of date:`);
+      outdated.forEach(file => console.error(`    ${exporter.displayPath(file.path)} (${file.status})`));
+      console.error('Run the export again (with --prune for stale files) and commit the result');
+      process.exit(1);
+    }
+  } else if (options.watch) {
+    const stop = () => exporter.stopWatching();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    await exporter.watch();
+    console.log('\n✔ Stopped watching');
+  } else {
+    await exporter.export();
+    console.log('✔ Export completed successfully!');
+  }
 } catch (error) {
   console.error('✖ Export failed\n');
   console.error('Error details:');
@@ -0,0 +1,283 @@
+import path from 'path';
+import yaml from 'js-yaml';
+import { fileExists, readFromFile } from './files.js';
+
+/**
+ * Project configuration file (supabase_dart_exporter.yaml or .json), looked
+ * up from the working directory upwards so every app in a monorepo can commit
+ * its own settings. Values may reference environment variables as ${NAME}.
+ *
+ * database_url: ${DATABASE_URL}
+ * schemas: [public, billing]
+ * tables:
+ *   include: ['job*']
+ *   exclude: ['*_audit']
+ * columns:
+ *   exclude: ['*.password_hash']
+ * functions:
+ *   exclude: ['debug_*']
+ * output: exported_database
+ * data:
+ *   enabled: true
+ *   limit: 1000
+ *   tables: { jobs: { where: "stage <> 'Completed'" } }
+ *   mask: { users.email: email }
+ * dart:
+ *   enabled: true
+ *   output: lib/models
+ *   docs: false
+ *   style: plain
+ *   naming: { singularize: true, strip_prefixes: [tbl_] }
+ *   package: db_models
+ *   class_prefixes: { billing: Bill }
+ *   types: { numeric: double }
+ *   renames: { jobs.owner_id: owner }
+ */
+export const CONFIG_FILE_NAMES = [
+  'supabase_dart_exporter.yaml',
+  'supabase_dart_exporter.yml',
+  'supabase_dart_exporter.json'
+];
+
+// Exporter config keys of the top-level settings
+const SETTINGS = {
+  database_url: 'databaseUrl',
+  supabase_url: 'supabaseUrl',
+  supabase_key: 'supabaseKey',
+  introspection: 'introspection',
+  transport: 'transport',
+  schemas: 'schemas',
+  tables: null,
+  columns: null,
+  functions: null,
+  triggers: null,
+  output: 'outputDir',
+  format: 'format',
+  migrations_output: 'migrationsDir',
+  single_transaction: 'singleTransaction',
+  verbose: 'verbose',
+  watch_interval: 'watchInterval',
+  prune: 'prune',
+  data: null,
+  dart: null
+};
+
+// Exporter config keys of the data settings
+const DATA_SETTINGS = {
+  enabled: 'data',
+  format: 'dataFormat',
+  batch_size: 'dataBatchSize',
+  limit: 'dataLimit',
+  tables: 'dataTables',
+  mask: 'dataMasks'
+};
+
+// Exporter config keys of the include and exclude patterns of each filter
+const FILTERS = {
+  tables: { include: 'tables', exclude: 'excludeTables' },
+  columns: { exclude: 'excludeColumns' },
+  functions: { include: 'functions', exclude: 'excludeFunctions' },
+  triggers: { include: 'triggers', exclude: 'excludeTriggers' }
+};
+
+// Exporter config keys of the dart settings
+const DART_SETTINGS = {
+  enabled: null,
+  output: 'dartOutputDir',
+  docs: 'dartDocs',
+  style: 'dartStyle',
+  companions: 'dartCompanions',
+  relations: 'dartRelations',
+  repositories: 'dartRepositories',
+  rpc: 'dartRpc',
+  fixtures: 'dartFixtures',
+  validators: 'dartValidators',
+  naming: null,
+  package: 'dartPackage',
+  barrel: 'dartBarrel',
+  class_prefixes: 'classPrefixes',
+  types: 'typeOverrides',
+  renames: 'fieldNames'
+};
+
+// Exporter config keys of the dart naming settings
+const NAMING_SETTINGS = {
+  singularize: 'dartSingularize',
+  strip_prefixes: 'dartStripPrefixes'
+};
+
+/**
+ * Find the nearest configuration file in a directory or its parents
+ *
+ * @returns {Promise<string|null>}
+ */
+export async function findConfigFile(dir = process.cwd()) {
+  let current = path.resolve(dir);
+  for (;;) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const filePath = path.join(current, name);
+      if (await fileExists(filePath)) {
+        return filePath;
+      }
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Read a configuration file into DatabaseExporter config. Relative output
+ * directories are resolved against the file's directory.
+ */
+export async function readConfigFile(filePath) {
+  const content = await readFromFile(filePath);
+  let raw;
+  try {
+    raw = filePath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+  return parseConfig(raw ?? {}, { baseDir: path.dirname(path.resolve(filePath)), source: filePath });
+}
+
+/**
+ * Turn parsed configuration settings into DatabaseExporter config
+ *
+ * @param {Object} raw Settings as written in the file
+ * @param {Object} options
+ * @param {string} options.baseDir Directory relative output paths are resolved against
+ * @param {string} options.source File name for error messages
+ * @param {Object} options.env Environment for ${NAME} references
+ */
+export function parseConfig(raw, options = {}) {
+  const { baseDir = process.cwd(), source = CONFIG_FILE_NAMES[0], env = process.env } = options;
+  const settings = interpolate(raw, env, source);
+  assertObject(settings, source, 'the configuration');
+  assertKnownKeys(settings, SETTINGS, source, '');
+
+  const config = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    if (SETTINGS[key]) {
+      config[SETTINGS[key]] = value;
+    }
+  });
+
+  // tables: [names] is short for tables: { include: [names] }, likewise for
+  // functions and triggers. Columns can only be excluded.
+  Object.entries(FILTERS).forEach(([key, keys]) => {
+    if (settings[key] === undefined) {
+      return;
+    }
+    const filter = Array.isArray(settings[key]) && keys.include ? { include: settings[key] } : settings[key];
+    assertObject(filter, source, key);
+    assertKnownKeys(filter, keys, source, `${key}.`);
+    Object.entries(keys).forEach(([kind, configKey]) => {
+      config[configKey] = asList(filter[kind], source, `${key}.${kind}`);
+    });
+  });
+  config.schemas = asList(config.schemas, source, 'schemas');
+
+  if (settings.data !== undefined) {
+    assertObject(settings.data, source, 'data');
+    assertKnownKeys(settings.data, DATA_SETTINGS, source, 'data.');
+    Object.entries(settings.data).forEach(([key, value]) => {
+      config[DATA_SETTINGS[key]] = value;
+    });
+    ['tables', 'mask'].forEach(key => {
+      if (settings.data[key] !== undefined) {
+        assertObject(settings.data[key], source, `data.${key}`);
+      }
+    });
+    Object.entries(settings.data.tables || {}).forEach(([table, tableSettings]) => {
+      assertObject(tableSettings, source, `data.tables.${table}`);
+      assertKnownKeys(tableSettings, { limit: null, where: null }, source, `data.tables.${table}.`);
+    });
+  }
+
+  if (settings.dart !== undefined) {
+    assertObject(settings.dart, source, 'dart');
+    assertKnownKeys(settings.dart, DART_SETTINGS, source, 'dart.');
+    Object.entries(settings.dart).forEach(([key, value]) => {
+      if (DART_SETTINGS[key]) {
+        config[DART_SETTINGS[key]] = value;
+      }
+    });
+    ['class_prefixes', 'types', 'renames'].forEach(key => {
+      if (settings.dart[key] !== undefined) {
+        assertObject(settings.dart[key], source, `dart.${key}`);
+      }
+    });
+    if (settings.dart.naming !== undefined) {
+      assertObject(settings.dart.naming, source, 'dart.naming');
+      assertKnownKeys(settings.dart.naming, NAMING_SETTINGS, source, 'dart.naming.');
+      config.dartSingularize = settings.dart.naming.singularize;
+      config.dartStripPrefixes = asList(settings.dart.naming.strip_prefixes, source, 'dart.naming.strip_prefixes');
+    }
+    // Dart models are generated when enabled, with lib/models as the default output
+    if (settings.dart.enabled) {
+      config.dartOutputDir = config.dartOutputDir || 'lib/models';
+    } else {
+      delete config.dartOutputDir;
+    }
+  }
+
+  ['outputDir', 'migrationsDir', 'dartOutputDir'].forEach(key => {
+    if (config[key]) {
+      config[key] = path.relative(process.cwd(), path.resolve(baseDir, config[key])) || '.';
+    }
+  });
+
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Replace ${NAME} references in every string with the environment variable
+ */
+function interpolate(value, env, source) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (env[name] === undefined) {
+        throw new Error(`Environment variable ${name} referenced in ${source} is not set`);
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, env, source));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env, source)]));
+  }
+  return value;
+}
+
+function assertObject(value, source, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Expected ${name} in ${source} to be a mapping`);
+  }
+}
+
+function assertKnownKeys(settings, known, source, prefix) {
+  const unknown = Object.keys(settings).filter(key => !Object.hasOwn(known, key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting ${unknown.map(key => `"${prefix}${key}"`).join(', ')} in ${source}. ` +
+      `Expected one of: ${Object.keys(known).map(key => `${prefix}${key}`).join(', ')}`);
+  }
+}
+
+/**
+ * A list setting given as a list or a single value
+ */
+function asList(value, source, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string')) {
+    throw new Error(`Expected ${name} in ${source} to be a list of names`);
+  }
+  return list;
+}
@@ -0,0 +1,348 @@
+import crypto from 'crypto';
+import { camelCase } from 'change-case';
+import { qualifiedName, quoteIdent, quoteLiteral } from './files.js';
+import { createTableObjectFilter } from './filters.js';
+import { orderTablesByDependencies } from './sql.js';
+import { toColumnRows, toConstraintRows } from './snapshot.js';
+
+/**
+ * Table data export: seed files of the exported tables' rows, written after
+ * the indexes and before the triggers so replaying them fires no triggers,
+ * and Dart fixture files building model instances from sampled rows.
+ *
+ * Rows are read as text, the way psql prints them, and written back as
+ * string literals Postgres casts to the column type. Masks replace the values
+ * of personal data columns, matched like column filters (column, table.column
+ * or schema.table.column globs):
+ *
+ * {
+ *   'users.email': 'email',     // user_<hash>@example.com
+ *   '*.phone': 'null',
+ *   'profiles.full_name': 'hash' // first 16 hex digits of the SHA-256
+ * }
+ */
+export const DATA_FILE = '11_data.sql';
+
+export const DATA_FORMATS = ['insert', 'copy'];
+
+export const MASK_STRATEGIES = ['null', 'hash', 'email', 'redact'];
+
+/**
+ * Folder of the Dart fixture files, inside each Dart output directory
+ */
+export const DART_FIXTURES_DIR = 'fixtures';
+
+/**
+ * Rows per table in the Dart fixtures
+ */
+export const FIXTURE_ROWS = 20;
+
+/**
+ * Read the rows of a table, ordered by primary key (or the whole row) so
+ * repeated exports are stable
+ *
+ * @param {pg.Pool} pool
+ * @param {string} schema
+ * @param {Object} table Snapshot table
+ * @param {Object} options
+ * @param {string|null} options.where SQL condition on the table's columns
+ * @param {number|null} options.limit Maximum number of rows
+ * @returns {Promise<Array<{values: Array<string|null>, json: Object}>>} Text
+ *   values in column order, and the row as PostgREST returns it
+ */
+export async function fetchTableRows(pool, schema, table, options = {}) {
+  const { where = null, limit = null } = options;
+  const columns = table.columns.map(col => quoteIdent(col.name));
+  const primaryKey = table.constraints.find(constraint => constraint.type === 'PRIMARY KEY');
+  const orderBy = alias => (primaryKey
+    ? primaryKey.columns.map(col => `${alias}.${quoteIdent(col)}`).join(', ')
+    : `${alias}::text`);
+
+  const result = await pool.query(`
+    SELECT row_to_json(t)::text AS json, ARRAY[${columns.map(col => `t.${col}::text`).join(', ')}]::text[] AS values
+    FROM (
+      SELECT ${columns.join(', ')}
+      FROM ${quoteIdent(schema)}.${quoteIdent(table.name)} r
+      ${where ? `WHERE ${where}` : ''}
+      ORDER BY ${orderBy('r')}
+      ${limit !== null ? `LIMIT ${Number(limit)}` : ''}
+    ) t
+    ORDER BY ${orderBy('t')}
+  `);
+  return result.rows.map(row => {
+    const json = JSON.parse(row.json);
+    // Doubles don't hold every bigint and numeric value, so those are taken
+    // from the text: a BigInt, and a string as PostgREST sends for Decimal
+    table.columns.forEach((col, index) => {
+      const value = row.values[index];
+      if (value !== null && col.dataType === 'bigint') {
+        json[col.name] = BigInt(value);
+      } else if (value !== null && col.dataType === 'numeric') {
+        json[col.name] = value;
+      }
+    });
+    return { values: row.values, json };
+  });
+}
+
+/**
+ * Apply the matching masks to the rows of a table, in place
+ *
+ * @param {Array} rows Rows as returned by fetchTableRows
+ * @param {Object} table Snapshot table
+ * @param {string} schema
+ * @param {Object<string, string>} masks Strategies by column pattern
+ * @returns {string[]} Names of the masked columns
+ */
+export function maskRows(rows, table, schema, masks) {
+  const patterns = Object.entries(masks)
+    .map(([pattern, strategy]) => [createTableObjectFilter({ include: [pattern] }), strategy]);
+  const masked = [];
+  table.columns.forEach((col, index) => {
+    const match = patterns.find(([matches]) => matches(col.name, table.name, schema));
+    if (!match) {
+      return;
+    }
+    masked.push(col.name);
+    rows.forEach(row => {
+      row.values[index] = maskValue(row.values[index], match[1]);
+      row.json[col.name] = row.values[index];
+    });
+  });
+  return masked;
+}
+
+/**
+ * Masked value of a column. Hashes are deterministic, so equal values stay
+ * equal and unique columns stay unique.
+ */
+export function maskValue(value, strategy) {
+  if (!MASK_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown mask "${strategy}". Expected one of: ${MASK_STRATEGIES.join(', ')}`);
+  }
+  if (value === null || strategy === 'null') {
+    return null;
+  }
+  const hash = crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+  if (strategy === 'hash') {
+    return hash;
+  }
+  return strategy === 'email' ? `user_${hash}@example.com` : '[redacted]';
+}
+
+/**
+ * Drop the rows whose foreign keys point at rows that aren't exported, as
+ * limits and WHERE filters leave some out. Repeats until no more rows go, as
+ * each dropped row can orphan others.
+ *
+ * @param {Array<{schema: string, table: Object, rows: Array}>} tables Exported
+ *   tables with their snapshot table and rows, changed in place
+ * @returns {Map<string, number>} Dropped rows by schema.table
+ */
+export function dropOrphanRows(tables) {
+  const byName = new Map(tables.map(data => [`${data.schema}.${data.table.name}`, data]));
+  const dropped = new Map();
+  const keyOf = (data, row, columns) => JSON.stringify(columns.map(col =>
+    row.values[data.table.columns.findIndex(column => column.name === col)]));
+
+  for (let changed = true; changed;) {
+    changed = false;
+    tables.forEach(data => {
+      data.table.constraints.filter(constraint => constraint.references).forEach(constraint => {
+        const target = byName.get(`${constraint.references.schema || data.schema}.${constraint.references.table}`);
+        if (!target) {
+          return;
+        }
+        const keys = new Set(target.rows.map(row => keyOf(target, row, constraint.references.columns)));
+        const kept = data.rows.filter(row => {
+          const key = keyOf(data, row, constraint.columns);
+          // MATCH SIMPLE: a null column turns the check off
+          return JSON.parse(key).includes(null) || keys.has(key);
+        });
+        if (kept.length < data.rows.length) {
+          const name = `${data.schema}.${data.table.name}`;
+          dropped.set(name, (dropped.get(name) || 0) + data.rows.length - kept.length);
+          data.rows = kept;
+          changed = true;
+        }
+      });
+    });
+  }
+  return dropped;
+}
+
+/**
+ * Generate the seed file of a schema: its tables' rows in foreign key order,
+ * as batched INSERT statements or COPY blocks for psql. Foreign keys closing
+ * a cycle and self references are filled in by UPDATEs once every row
+ * exists, then serial and identity sequences continue after the highest
+ * value and materialized views are refreshed.
+ *
+ * @param {Array<{table: Object, rows: Array}>} tables Snapshot tables with their rows
+ * @param {Object} options
+ * @param {string} options.schema
+ * @param {string} options.format "insert" or "copy"
+ * @param {number} options.batchSize Rows per INSERT statement
+ * @param {string[]} options.materializedViews Materialized views to refresh
+ */
+export function generateDataSQL(tables, options = {}) {
+  const { schema = 'public', format = 'insert', batchSize = 500, materializedViews = [] } = options;
+  const byName = new Map(tables.map(data => [data.table.name, data]));
+  const { tables: ordered, deferred } = orderTablesByDependencies(tables.map(data => ({
+    table_name: data.table.name,
+    columns: toColumnRows(data.table.columns),
+    constraints: toConstraintRows(data.table.name, data.table.constraints)
+  })), schema);
+
+  let sql = '-- Table data in foreign key order\n\n';
+  const updates = [];
+  ordered.forEach(({ table_name: name }) => {
+    const { table, rows } = byName.get(name);
+    const target = qualifiedName(schema, table.name);
+    const columns = table.columns.filter(col => !col.generated);
+    const indexes = columns.map(col => table.columns.indexOf(col));
+    const primaryKey = table.constraints.find(constraint => constraint.type === 'PRIMARY KEY');
+
+    // Columns referencing rows that may not exist yet are set afterwards
+    const late = new Set(primaryKey ? table.constraints
+      .filter(constraint => constraint.references &&
+        (constraint.references.schema || schema) === schema &&
+        (constraint.references.table === table.name ||
+          deferred.some(d => d.table_name === table.name && d.constraint.constraint_name === constraint.name)))
+      .flatMap(constraint => constraint.columns)
+      .filter(col => table.columns.find(column => column.name === col).nullable) : []);
+
+    sql += `-- ${target} (${rows.length} ${rows.length === 1 ? 'row' : 'rows'})\n`;
+    if (rows.length === 0) {
+      sql += '\n';
+      return;
+    }
+    const values = rows.map(row => indexes.map(index => (late.has(table.columns[index].name) ? null : row.values[index])));
+    const columnList = columns.map(col => quoteIdent(col.name)).join(', ');
+    if (format === 'copy') {
+      sql += `COPY ${target} (${columnList}) FROM stdin;\n`;
+      values.forEach(row => {
+        sql += `${row.map(copyValue).join('\t')}\n`;
+      });
+      sql += '\\.\n\n';
+    } else {
+      const overriding = columns.some(col => col.identity === 'ALWAYS') ? ' OVERRIDING SYSTEM VALUE' : '';
+      for (let start = 0; start < values.length; start += batchSize) {
+        sql += `INSERT INTO ${target} (${columnList})${overriding} VALUES\n`;
+        sql += values.slice(start, start + batchSize)
+          .map(row => `  (${row.map(value => (value === null ? 'NULL' : quoteLiteral(value))).join(', ')})`)
+          .join(',\n');
+        sql += ';\n';
+      }
+      sql += '\n';
+    }
+
+    late.forEach(col => {
+      const index = table.columns.findIndex(column => column.name === col);
+      rows.filter(row => row.values[index] !== null).forEach(row => {
+        const key = primaryKey.columns.map(keyColumn =>
+          `${quoteIdent(keyColumn)} = ${quoteLiteral(row.values[table.columns.findIndex(column => column.name === keyColumn)])}`);
+        updates.push(`UPDATE ${target} SET ${quoteIdent(col)} = ${quoteLiteral(row.values[index])} WHERE ${key.join(' AND ')};\n`);
+      });
+    });
+  });
+
+  if (updates.length > 0) {
+    sql += '-- Foreign keys closing a cycle, once the referenced rows exist\n';
+    sql += `${updates.join('')}\n`;
+  }
+
+  const serials = ordered.flatMap(({ table_name: name }) => byName.get(name).table.columns
+    .filter(col => col.identity || /^nextval\(/.test(col.default || ''))
+    .map(col => ({ table: name, column: col.name })));
+  if (serials.length > 0) {
+    sql += '-- Continue sequences after the seeded values\n';
+    serials.forEach(({ table, column }) => {
+      const target = qualifiedName(schema, table);
+      sql += `SELECT setval(pg_get_serial_sequence(${quoteLiteral(target)}, ${quoteLiteral(column)}), max(${quoteIdent(column)})) ` +
+        `FROM ${target} HAVING max(${quoteIdent(column)}) IS NOT NULL;\n`;
+    });
+    sql += '\n';
+  }
+
+  if (materializedViews.length > 0) {
+    sql += '-- Materialized views were created before the data\n';
+    materializedViews.forEach(view => {
+      sql += `REFRESH MATERIALIZED VIEW ${qualifiedName(schema, view)};\n`;
+    });
+    sql += '\n';
+  }
+
+  return sql;
+}
+
+/**
+ * A value in COPY's text format
+ */
+function copyValue(value) {
+  if (value === null) {
+    return '\\N';
+  }
+  return value.replace(/[\\\t\n\r]/g, char => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[char]);
+}
+
+/**
+ * Generate a Dart fixture file: a list of model instances decoded from
+ * sampled rows, for widget tests
+ *
+ * @param {string} tableName
+ * @param {Array} rows Rows as returned by fetchTableRows
+ * @param {Object} options
+ * @param {string} options.schema
+ * @param {string} options.className Class name of the table's model
+ * @param {string} options.importPath Import of the model, relative to the fixture file
+ * @param {Object} options.style Serialization style (see styles.js)
+ */
+export function generateDartFixtures(tableName, rows, options) {
+  const { schema = 'public', className, importPath, style } = options;
+  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+
+import '${importPath}';
+
+/// Rows of ${qualifiedName(schema, tableName)} sampled from the database, for widget tests
+final ${camelCase(className)}Fixtures = <${className}>[
+`;
+  rows.forEach(row => {
+    code += `  ${style.fromJson(className, dartLiteral(row.json, '  '))},\n`;
+  });
+  code += '];\n';
+  return code;
+}
+
+/**
+ * Dart literal of a decoded JSON value
+ */
+function dartLiteral(value, indent) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `<dynamic>[${value.map(item => dartLiteral(item, indent)).join(', ')}]`;
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      return '<String, dynamic>{}';
+    }
+    const inner = `${indent}  `;
+    return `<String, dynamic>{\n${entries
+      .map(([key, item]) => `${inner}${dartString(key)}: ${dartLiteral(item, inner)},\n`)
+      .join('')}${indent}}`;
+  }
+  return typeof value === 'string' ? dartString(value) : String(value);
+}
+
+/**
+ * Single-quoted Dart string literal
+ */
+function dartString(value) {
+  const escapes = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+  return `'${value.replace(/[\\'$]/g, '\\$&').replace(/[\n\r\t]/g, char => escapes[char])}'`;
+}
@@ -0,0 +1,348 @@
+import {
+  qualifiedName,
+  quoteIdent,
+  quoteLiteral,
+  groupConstraints,
+  getConstraintDefinition,
+  getColumnDefinition,
+  getColumnType,
+  generateTableSQL
+} from './files.js';
+import { generateSequencesSQL, generateSequenceOwnershipSQL } from './sql.js';
+import { toColumnRows, toConstraintRows, toRow } from './snapshot.js';
+
+const EMPTY_SCHEMA = { enums: [], sequences: [], tables: [], functions: [] };
+
+/**
+ * Generate up and down migrations between two snapshots. The up migration
+ * turns `from` into `to`, the down migration reverts it.
+ *
+ * @param {Object} from Baseline snapshot
+ * @param {Object} to Snapshot of the fresh export
+ * @param {Object} options
+ * @param {string[]} options.schemas Schemas to compare (default: all schemas in `to`)
+ * @returns {{ up: string[], down: string[] }} SQL statements
+ */
+export function diffSnapshots(from, to, options = {}) {
+  const { schemas = Object.keys(to.schemas) } = options;
+  return {
+    up: diffDirection(from, to, schemas),
+    down: diffDirection(to, from, schemas)
+  };
+}
+
+/**
+ * Render migration statements as a SQL file
+ */
+export function generateMigrationSQL(statements, title) {
+  let sql = `-- ${title}\n\n`;
+  statements.forEach(statement => {
+    sql += `${statement}\n\n`;
+  });
+  return sql;
+}
+
+/**
+ * Statements turning the `from` snapshot into the `to` snapshot
+ */
+function diffDirection(from, to, schemas) {
+  const steps = {
+    createSchemas: [],
+    types: [],
+    sequences: [],
+    dropForeignKeys: [],
+    dropConstraints: [],
+    dropFunctions: [],
+    dropTables: [],
+    columns: [],
+    createTables: [],
+    addConstraints: [],
+    addForeignKeys: [],
+    sequenceOwnership: [],
+    functions: [],
+    dropSequences: [],
+    dropTypes: [],
+    dropSchemas: []
+  };
+
+  schemas.forEach(schema => {
+    const source = from.schemas[schema] || EMPTY_SCHEMA;
+    const target = to.schemas[schema] || EMPTY_SCHEMA;
+
+    if (schema !== 'public' && !from.schemas[schema] && to.schemas[schema]) {
+      steps.createSchemas.push(`CREATE SCHEMA IF NOT EXISTS ${quoteIdent(schema)};`);
+    }
+    if (schema !== 'public' && from.schemas[schema] && !to.schemas[schema]) {
+      steps.dropSchemas.push(`DROP SCHEMA IF EXISTS ${quoteIdent(schema)};`);
+    }
+
+    diffTypes(schema, source.enums, target.enums, steps);
+    diffSequences(schema, source.sequences.map(toRow), target.sequences.map(toRow), steps);
+    diffTables(schema, source.tables.map(toTableRows), target.tables.map(toTableRows), steps);
+    diffFunctions(schema, source.functions, target.functions, steps);
+  });
+
+  return Object.values(steps).flat();
+}
+
+/**
+ * Table in the row shape generateTableSQL takes
+ */
+function toTableRows(table) {
+  return {
+    table_name: table.name,
+    columns: toColumnRows(table.columns),
+    constraints: toConstraintRows(table.name, table.constraints)
+  };
+}
+
+/**
+ * Enum types: create, drop and append values
+ */
+function diffTypes(schema, fromTypes, toTypes, steps) {
+  const fromByName = new Map(fromTypes.map(type => [type.name, type]));
+  const toNames = new Set(toTypes.map(type => type.name));
+
+  toTypes.forEach(type => {
+    const name = qualifiedName(schema, type.name);
+    const existing = fromByName.get(type.name);
+
+    if (!existing) {
+      steps.types.push(
+        `CREATE TYPE ${name} AS ENUM (${type.values.map(quoteLiteral).join(', ')});`
+      );
+      return;
+    }
+
+    // New values keep their position relative to their neighbours
+    type.values.forEach((value, index) => {
+      if (existing.values.includes(value)) {
+        return;
+      }
+      const position = index > 0
+        ? ` AFTER ${quoteLiteral(type.values[index - 1])}`
+        : type.values.length > 1 ? ` BEFORE ${quoteLiteral(type.values[1])}` : '';
+      steps.types.push(`ALTER TYPE ${name} ADD VALUE IF NOT EXISTS ${quoteLiteral(value)}${position};`);
+    });
+
+    // Postgres can't drop enum values
+    existing.values
+      .filter(value => !type.values.includes(value))
+      .forEach(value => {
+        steps.types.push(
+          `-- Value ${quoteLiteral(value)} of ${name} can't be removed automatically; recreate the type to drop it`
+        );
+      });
+  });
+
+  fromTypes
+    .filter(type => !toNames.has(type.name))
+    .forEach(type => {
+      steps.dropTypes.push(`DROP TYPE IF EXISTS ${qualifiedName(schema, type.name)};`);
+    });
+}
+
+/**
+ * Sequences are created before and owned after the tables using them
+ */
+function diffSequences(schema, fromSequences, toSequences, steps) {
+  const fromNames = new Set(fromSequences.map(seq => seq.name));
+  const toNames = new Set(toSequences.map(seq => seq.name));
+  const added = toSequences.filter(seq => !fromNames.has(seq.name));
+
+  // Same statements as in 05_sequences.sql and 02_tables.sql, without the section headers
+  const withoutHeader = sql => sql.replace(/^--.*\n\n/, '').trim();
+  added.forEach(seq => {
+    steps.sequences.push(withoutHeader(generateSequencesSQL([seq], { schema })));
+    const ownership = withoutHeader(generateSequenceOwnershipSQL([seq], { schema }));
+    if (ownership) {
+      steps.sequenceOwnership.push(ownership);
+    }
+  });
+
+  fromSequences
+    .filter(seq => !toNames.has(seq.name))
+    .forEach(seq => {
+      steps.dropSequences.push(`DROP SEQUENCE IF EXISTS ${qualifiedName(schema, seq.name)};`);
+    });
+}
+
+/**
+ * Tables, columns and constraints
+ */
+function diffTables(schema, fromTables, toTables, steps) {
+  const fromByName = new Map(fromTables.map(table => [table.table_name, table]));
+  const toByName = new Map(toTables.map(table => [table.table_name, table]));
+
+  // Constraints are compared by name and rendered definition
+  const definitions = table => new Map(
+    groupConstraints(table.constraints)
+      .map(constraint => [constraint, getConstraintDefinition(constraint, schema)])
+      .filter(([, definition]) => definition)
+      .map(([constraint, definition]) => [constraint.constraint_name, { constraint, definition }])
+  );
+
+  fromTables.forEach(table => {
+    const name = qualifiedName(schema, table.table_name);
+    const target = toByName.get(table.table_name);
+    const targetDefinitions = target ? definitions(target) : new Map();
+
+    definitions(table).forEach(({ constraint, definition }, constraintName) => {
+      const kept = targetDefinitions.get(constraintName);
+      if (kept && kept.definition === definition) {
+        return;
+      }
+      const statement = `ALTER TABLE ${name} DROP CONSTRAINT IF EXISTS ${quoteIdent(constraintName)};`;
+      if (constraint.constraint_type === 'FOREIGN KEY') {
+        steps.dropForeignKeys.push(statement);
+      } else if (target) {
+        // Constraints of dropped tables go away with the table
+        steps.dropConstraints.push(statement);
+      }
+    });
+
+    if (!target) {
+      steps.dropTables.push(`DROP TABLE IF EXISTS ${name};`);
+    }
+  });
+
+  toTables.forEach(table => {
+    const name = qualifiedName(schema, table.table_name);
+    const existing = fromByName.get(table.table_name);
+    const existingDefinitions = existing ? definitions(existing) : new Map();
+
+    if (!existing) {
+      // Foreign keys are added once every new table and key exists, NOT VALID
+      // constraints only stay unvalidated when added to an existing table
+      const addedLater = groupConstraints(table.constraints)
+        .filter(constraint => constraint.constraint_type === 'FOREIGN KEY' || constraint.not_valid)
+        .map(constraint => constraint.constraint_name);
+      steps.createTables.push(generateTableSQL(table.table_name, table.columns, table.constraints, {
+        schema,
+        excludeConstraints: addedLater
+      }).trim());
+    } else {
+      diffColumns(name, existing.columns, table.columns, steps);
+    }
+
+    definitions(table).forEach(({ constraint, definition }, constraintName) => {
+      const previous = existingDefinitions.get(constraintName);
+      if (previous && previous.definition === definition) {
+        return;
+      }
+      if (!existing && constraint.constraint_type !== 'FOREIGN KEY' && !constraint.not_valid) {
+        return;
+      }
+      const statement = `ALTER TABLE ${name} ADD ${definition};`;
+      if (constraint.constraint_type === 'FOREIGN KEY') {
+        steps.addForeignKeys.push(statement);
+      } else {
+        steps.addConstraints.push(statement);
+      }
+    });
+  });
+}
+
+/**
+ * Columns of a table present in both snapshots
+ */
+function diffColumns(tableName, fromColumns, toColumns, steps) {
+  const fromByName = new Map(fromColumns.map(col => [col.column_name, col]));
+  const toNames = new Set(toColumns.map(col => col.column_name));
+  const alter = change => `ALTER TABLE ${tableName} ${change};`;
+
+  fromColumns
+    .filter(col => !toNames.has(col.column_name))
+    .forEach(col => {
+      steps.columns.push(alter(`DROP COLUMN IF EXISTS ${quoteIdent(col.column_name)}`));
+    });
+
+  toColumns.forEach(col => {
+    const column = quoteIdent(col.column_name);
+    const existing = fromByName.get(col.column_name);
+
+    if (!existing) {
+      steps.columns.push(alter(`ADD COLUMN IF NOT EXISTS ${getColumnDefinition(col)}`));
+      return;
+    }
+
+    const type = getColumnType(col);
+    if (getColumnType(existing) !== type) {
+      steps.columns.push(alter(`ALTER COLUMN ${column} TYPE ${type} USING ${column}::${type}`));
+    }
+
+    if (existing.is_nullable !== col.is_nullable) {
+      steps.columns.push(alter(`ALTER COLUMN ${column} ${col.is_nullable === 'NO' ? 'SET' : 'DROP'} NOT NULL`));
+    }
+
+    const wasIdentity = existing.is_identity === 'YES';
+    const isIdentity = col.is_identity === 'YES';
+    if (wasIdentity && !isIdentity) {
+      steps.columns.push(alter(`ALTER COLUMN ${column} DROP IDENTITY IF EXISTS`));
+    }
+
+    if ((existing.generation_expression || null) !== (col.generation_expression || null)) {
+      steps.columns.push(
+        `-- Generated expression of ${tableName}.${column} changed; recreate the column to apply it`
+      );
+    } else if (!col.generation_expression && (existing.column_default || null) !== (col.column_default || null)) {
+      steps.columns.push(col.column_default
+        ? alter(`ALTER COLUMN ${column} SET DEFAULT ${col.column_default}`)
+        : alter(`ALTER COLUMN ${column} DROP DEFAULT`));
+    }
+
+    if (!wasIdentity && isIdentity) {
+      steps.columns.push(
+        alter(`ALTER COLUMN ${column} ADD GENERATED ${col.identity_generation || 'BY DEFAULT'} AS IDENTITY`)
+      );
+    }
+  });
+}
+
+/**
+ * Functions and procedures, identified by name and argument types
+ */
+function diffFunctions(schema, fromFunctions, toFunctions, steps) {
+  const key = func => `${func.name}(${func.arguments ?? ''})`;
+  const fromByKey = new Map(fromFunctions.map(func => [key(func), func]));
+  const toKeys = new Set(toFunctions.map(key));
+
+  const drop = func => {
+    const args = func.arguments !== null && func.arguments !== undefined ? `(${func.arguments})` : '';
+    steps.dropFunctions.push(`DROP ${func.kind || 'FUNCTION'} IF EXISTS ${qualifiedName(schema, func.name)}${args};`);
+  };
+
+  fromFunctions.filter(func => !toKeys.has(key(func))).forEach(drop);
+
+  toFunctions.forEach(func => {
+    const existing = fromByKey.get(key(func));
+    if (existing && existing.definition.trim() === func.definition.trim()) {
+      return;
+    }
+    // CREATE OR REPLACE can't change the result, OUT parameters or parameter names
+    if (existing && !sameSignature(existing, func)) {
+      drop(existing);
+    }
+    // pg_get_functiondef() always produces CREATE OR REPLACE
+    steps.functions.push(`${func.definition.trim().replace(/;$/, '')};`);
+  });
+}
+
+/**
+ * Whether two versions of a function have the same kind, parameters and
+ * result. Snapshots without parameter details compare the part of the
+ * definitions before the LANGUAGE clause.
+ */
+function sameSignature(from, to) {
+  if ((from.kind || 'FUNCTION') !== (to.kind || 'FUNCTION')) {
+    return false;
+  }
+  if (from.parameters && to.parameters) {
+    const parameters = func => func.parameters.map(param => [param.name, param.mode, param.type]);
+    const result = func => func.returns && [func.returns.type, func.returns.isSet];
+    return JSON.stringify([parameters(from), result(from)]) === JSON.stringify([parameters(to), result(to)]) &&
+      to.defaultCount >= from.defaultCount;
+  }
+  const header = func => func.definition.trim().split(/\n\s*LANGUAGE /)[0];
+  return header(from) === header(to);
+}
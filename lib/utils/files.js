@@ -1,6 +1,9 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { camelCase, pascalCase } from 'change-case';
+import { DART_CONVERTERS_FILE, getTypeOverride, resolveDartType } from './types.js';
+import { DART_SUPPORT_FILE, getDartStyle, usesDartSupport } from './styles.js';
+import { generateDartValidator } from './validators.js';
 
 /**
  * Read content from a file
@@ -14,12 +17,19 @@ export async function readFromFile(filePath) {
 }
 
 /**
- * Write content to a file, creating directories if needed
+ * Write content to a file, creating directories if needed. A file that
+ * already has the content is left alone, so its mtime doesn't change.
+ *
+ * @returns {Promise<boolean>} Whether the file was written
  */
 export async function writeToFile(filePath, content) {
   try {
+    if (await fileExists(filePath) && await fs.readFile(filePath, 'utf8') === content) {
+      return false;
+    }
     await fs.ensureDir(path.dirname(filePath));
     await fs.writeFile(filePath, content, 'utf8');
+    return true;
   } catch (error) {
     throw new Error(`Failed to write file ${filePath}: ${error.message}`);
   }
@@ -37,87 +47,227 @@ export async function fileExists(filePath) {
   }
 }
 
+const SQL_RESERVED_WORDS = new Set([
+  'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric',
+  'both', 'case', 'cast', 'check', 'collate', 'column', 'constraint', 'create',
+  'current_catalog', 'current_date', 'current_role', 'current_time',
+  'current_timestamp', 'current_user', 'default', 'deferrable', 'desc',
+  'distinct', 'do', 'else', 'end', 'except', 'false', 'fetch', 'for', 'foreign',
+  'from', 'grant', 'group', 'having', 'in', 'initially', 'intersect', 'into',
+  'lateral', 'leading', 'limit', 'localtime', 'localtimestamp', 'not', 'null',
+  'offset', 'on', 'only', 'or', 'order', 'placing', 'primary', 'references',
+  'returning', 'select', 'session_user', 'some', 'symmetric', 'table', 'then',
+  'to', 'trailing', 'true', 'union', 'unique', 'user', 'using', 'variadic',
+  'when', 'where', 'window', 'with'
+]);
+
+/**
+ * Quote an SQL identifier when it isn't a plain lowercase name
+ */
+export function quoteIdent(name) {
+  if (/^[a-z_][a-z0-9_$]*$/.test(name) && !SQL_RESERVED_WORDS.has(name)) {
+    return name;
+  }
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote an SQL string literal
+ */
+export function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Qualify an object name with its schema unless it lives in public
+ */
+export function qualifiedName(schema, name) {
+  return !schema || schema === 'public'
+    ? quoteIdent(name)
+    : `${quoteIdent(schema)}.${quoteIdent(name)}`;
+}
+
+/**
+ * Group constraint rows (one per column) into one entry per constraint,
+ * with the columns of composite keys in their ordinal order
+ */
+export function groupConstraints(constraints) {
+  const groups = new Map();
+
+  (constraints || []).forEach((row, index) => {
+    if (!groups.has(row.constraint_name)) {
+      groups.set(row.constraint_name, {
+        constraint_name: row.constraint_name,
+        constraint_type: row.constraint_type,
+        table_name: row.table_name,
+        foreign_table_schema: row.foreign_table_schema,
+        foreign_table_name: row.foreign_table_name,
+        check_clause: row.check_clause,
+        not_valid: Boolean(row.not_valid),
+        ...(row.definition ? { definition: row.definition } : {}),
+        confupdtype: row.confupdtype,
+        confdeltype: row.confdeltype,
+        rows: []
+      });
+    }
+    const group = groups.get(row.constraint_name);
+    group.foreign_table_schema = group.foreign_table_schema || row.foreign_table_schema;
+    group.foreign_table_name = group.foreign_table_name || row.foreign_table_name;
+    group.check_clause = group.check_clause || row.check_clause;
+    group.rows.push({ ...row, index });
+  });
+
+  return [...groups.values()].map(({ rows, ...group }) => {
+    const ordered = rows.sort((a, b) =>
+      (Number(a.ordinal_position) || 0) - (Number(b.ordinal_position) || 0) || a.index - b.index
+    );
+    // Deduplicate, since older helper installations return one row per column pair
+    const unique = values => [...new Set(values.filter(Boolean))];
+    return {
+      ...group,
+      columns: unique(ordered.map(r => r.column_name)),
+      foreign_columns: unique(ordered.map(r => r.foreign_column_name))
+    };
+  });
+}
+
+/**
+ * Column definition as used in CREATE TABLE and ALTER TABLE ... ADD COLUMN
+ */
+export function getColumnDefinition(col) {
+  let line = `${quoteIdent(col.column_name)} ${getColumnType(col)}`;
+  
+  // Add nullability
+  line += col.is_nullable === 'NO' ? ' NOT NULL' : '';
+  
+  // Add generated expression, identity or default value
+  if (col.is_generated === 'ALWAYS' && col.generation_expression) {
+    line += ` GENERATED ALWAYS AS (${col.generation_expression}) STORED`;
+  } else if (col.is_identity === 'YES') {
+    line += ` GENERATED ${col.identity_generation || 'BY DEFAULT'} AS IDENTITY`;
+  } else if (col.column_default) {
+    line += ` DEFAULT ${col.column_default}`;
+  }
+  
+  return line;
+}
+
 /**
  * Generate table creation SQL with constraints
  */
-export function generateTableSQL(tableName, columns, constraints) {
-  let sql = `CREATE TABLE IF NOT EXISTS ${tableName} (\n`;
+export function generateTableSQL(tableName, columns, constraints, options = {}) {
+  const { schema = 'public', excludeConstraints = [] } = options;
+  let sql = `CREATE TABLE IF NOT EXISTS ${qualifiedName(schema, tableName)} (\n`;
   
   // Add columns
-  const columnLines = columns.map(col => {
-    let line = `  ${col.column_name} ${col.data_type}`;
-    
-    // Add length for character types
-    if (col.character_maximum_length) {
-      line += `(${col.character_maximum_length})`;
-    }
-    
-    // Add numeric precision and scale
-    if (col.numeric_precision && col.data_type !== 'serial') {
-      if (col.numeric_scale) {
-        line += `(${col.numeric_precision},${col.numeric_scale})`;
-      } else {
-        line += `(${col.numeric_precision})`;
-      }
-    }
-    
-    // Add nullability
-    line += col.is_nullable === 'NO' ? ' NOT NULL' : '';
-    
-    // Add default value
-    if (col.column_default) {
-      line += ` DEFAULT ${col.column_default}`;
-    }
-    
-    return line;
-  });
+  const columnLines = columns.map(col => `  ${getColumnDefinition(col)}`);
   
-  // Add constraints
+  // Add constraints, leaving out those created later with ALTER TABLE
   if (constraints && constraints.length > 0) {
-    constraints.forEach(constraint => {
-      let constraintLine = '';
+    groupConstraints(constraints)
+      .filter(constraint => !excludeConstraints.includes(constraint.constraint_name))
+      .forEach(constraint => {
+        const definition = getConstraintDefinition(constraint, schema);
+        if (definition) {
+          columnLines.push(`  ${definition}`);
+        }
+      });
+  }
+  
+  sql += columnLines.join(',\n');
+  sql += '\n);\n';
+  
+  return sql;
+}
+
+/**
+ * Generate the definition of a grouped constraint, e.g.
+ * CONSTRAINT users_pkey PRIMARY KEY (id)
+ */
+export function getConstraintDefinition(constraint, schema = 'public') {
+  const name = quoteIdent(constraint.constraint_name);
+  const columnList = constraint.columns.map(quoteIdent).join(', ');
+  
+  switch (constraint.constraint_type) {
+    case 'PRIMARY KEY':
+      return `CONSTRAINT ${name} PRIMARY KEY (${columnList})`;
       
-      switch (constraint.constraint_type) {
-        case 'PRIMARY KEY':
-          constraintLine = `  CONSTRAINT ${constraint.constraint_name} PRIMARY KEY (${constraint.column_name})`;
-          break;
-          
-        case 'FOREIGN KEY':
-          constraintLine = `  CONSTRAINT ${constraint.constraint_name} FOREIGN KEY (${constraint.column_name}) ` +
-            `REFERENCES ${constraint.foreign_table_name}(${constraint.foreign_column_name})`;
-          
-          // Add ON UPDATE action
-          if (constraint.confupdtype && constraint.confupdtype !== 'a') {
-            constraintLine += ` ON UPDATE ${getActionType(constraint.confupdtype)}`;
-          }
-          
-          // Add ON DELETE action
-          if (constraint.confdeltype && constraint.confdeltype !== 'a') {
-            constraintLine += ` ON DELETE ${getActionType(constraint.confdeltype)}`;
-          }
-          break;
-          
-        case 'UNIQUE':
-          constraintLine = `  CONSTRAINT ${constraint.constraint_name} UNIQUE (${constraint.column_name})`;
-          break;
-          
-        case 'CHECK':
-          if (constraint.check_clause) {
-            constraintLine = `  CONSTRAINT ${constraint.constraint_name} CHECK (${constraint.check_clause})`;
-          }
-          break;
+    case 'FOREIGN KEY': {
+      // References across schemas are always qualified, public included
+      const foreignSchema = constraint.foreign_table_schema || schema;
+      const foreignTable = foreignSchema === schema
+        ? qualifiedName(schema, constraint.foreign_table_name)
+        : `${quoteIdent(foreignSchema)}.${quoteIdent(constraint.foreign_table_name)}`;
+      // Without referenced columns (tables parsed from SQL outside the input) Postgres uses the primary key
+      const foreignColumns = constraint.foreign_columns.length > 0
+        ? `(${constraint.foreign_columns.map(quoteIdent).join(', ')})`
+        : '';
+      let definition = `CONSTRAINT ${name} FOREIGN KEY (${columnList}) ` +
+        `REFERENCES ${foreignTable}${foreignColumns}`;
+      
+      // Add ON UPDATE action
+      if (constraint.confupdtype && constraint.confupdtype !== 'a') {
+        definition += ` ON UPDATE ${getActionType(constraint.confupdtype)}`;
       }
       
-      if (constraintLine) {
-        columnLines.push(constraintLine);
+      // Add ON DELETE action
+      if (constraint.confdeltype && constraint.confdeltype !== 'a') {
+        definition += ` ON DELETE ${getActionType(constraint.confdeltype)}`;
       }
-    });
+      return constraint.not_valid ? `${definition} NOT VALID` : definition;
+    }
+      
+    case 'UNIQUE':
+      return `CONSTRAINT ${name} UNIQUE (${columnList})`;
+      
+    case 'CHECK':
+      return constraint.check_clause
+        ? `CONSTRAINT ${name} CHECK (${constraint.check_clause})${constraint.not_valid ? ' NOT VALID' : ''}`
+        : null;
+      
+    // pg_get_constraintdef() output, e.g. EXCLUDE USING gist (room WITH =, during WITH &&)
+    case 'EXCLUDE':
+      return constraint.definition ? `CONSTRAINT ${name} ${constraint.definition}` : null;
+      
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the SQL type of a column, e.g. character varying(255) or job_stage[]
+ */
+export function getColumnType(col) {
+  // format_type() output from the introspection query is already complete
+  if (col.column_type) {
+    return col.column_type;
   }
   
-  sql += columnLines.join(',\n');
-  sql += '\n);\n';
+  if (col.data_type === 'USER-DEFINED' && col.udt_name) {
+    return qualifiedName(col.udt_schema, col.udt_name);
+  }
   
-  return sql;
+  if (col.data_type === 'ARRAY' && col.udt_name) {
+    return `${col.udt_name.replace(/^_/, '')}[]`;
+  }
+  
+  let type = col.data_type;
+  
+  // Add length for character types
+  if (col.character_maximum_length) {
+    type += `(${col.character_maximum_length})`;
+  }
+  
+  // Add numeric precision and scale
+  if (col.numeric_precision && (col.data_type === 'numeric' || col.data_type === 'decimal')) {
+    if (col.numeric_scale) {
+      type += `(${col.numeric_precision},${col.numeric_scale})`;
+    } else {
+      type += `(${col.numeric_precision})`;
+    }
+  }
+  
+  return type;
 }
 
 /**
@@ -134,27 +284,10 @@ function getActionType(type) {
 }
 
 /**
- * Generate Dart model code
+ * Enum values of CHECK (column = ANY (ARRAY[...])) constraints, by column
  */
-export function generateDartModel(tableName, columns, constraints, options = {}) {
-  const className = pascalCase(tableName);
-  const { generateDocs = true } = options;
-
-  // Get primary key columns
-  const primaryKeys = constraints.filter(c => c.constraint_type === 'PRIMARY KEY')
-    .map(c => c.column_name)
-    .filter(Boolean);
-
-  // Get foreign key constraints
-  const foreignKeys = constraints.filter(c => c.constraint_type === 'FOREIGN KEY' && c.column_name)
-    .map(c => ({
-      column: c.column_name,
-      foreignTable: c.foreign_table_name,
-      foreignColumn: c.foreign_column_name
-    }));
-
-  // Get enum constraints
-  const enumConstraints = constraints.filter(c => 
+function getCheckEnums(constraints) {
+  return constraints.filter(c => 
     c.constraint_type === 'CHECK' && 
     c.check_clause?.includes('= ANY (ARRAY[')
   ).map(c => {
@@ -171,95 +304,423 @@ export function generateDartModel(tableName, columns, constraints, options = {})
     }
     return null;
   }).filter(Boolean);
+}
 
-  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
-
-// ignore_for_file: type=lint
-// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
-
-import 'package:freezed_annotation/freezed_annotation.dart';
-
-part '${tableName}.g.dart';
-part '${tableName}.freezed.dart';
+/**
+ * Dart field name and type of every column, resolving CHECK-constraint enums
+ * (generated into the model file), Postgres enums (from enums.dart) and the
+ * type mapping of types.js
+ *
+ * @param {Object} options
+ * @param {string} options.tableName Table of the columns, for table.column type overrides
+ * @param {Object} options.typeOverrides Dart types by Postgres type or column (see types.js)
+ * @param {Object} options.fieldNames Dart field names by table.column or schema.table.column
+ * @param {Array} options.domains Domains, resolved to their base type
+ * @param {Array} options.compositeTypes Composite types with their Dart model
+ * @returns {Array<{column: Object, fieldName: string, dartType: string, enumName: string|null,
+ *   enumValues: string[]|null, enumType: Object|null, converter: string|null, imports: string[]}>}
+ *   dartType is nullable (`?`) for nullable columns
+ */
+export function getDartFields(columns, constraints, options = {}) {
+  const {
+    schema = 'public',
+    classPrefix = '',
+    enumTypes = [],
+    tableName = null,
+    typeOverrides = {},
+    fieldNames = {},
+    domains = [],
+    compositeTypes = []
+  } = options;
+  const typePrefix = classPrefix ? pascalCase(classPrefix) : '';
+  const enumConstraints = getCheckEnums(constraints);
+
+  return columns.map(column => {
+    let dartType;
+    let enumValues = null;
+    let enumName = null;
+    let enumType = null;
+    let converter = null;
+    let imports = [];
+
+    // Column overrides come first, then enums, then the type mapping
+    const columnKeys = tableName ? [`${schema}.${tableName}.${column.column_name}`, `${tableName}.${column.column_name}`] : [];
+    const override = getTypeOverride(typeOverrides, columnKeys);
+    const renamed = columnKeys.find(key => Object.hasOwn(fieldNames, key));
+    const enumConstraint = enumConstraints.find(c => c.column === column.column_name);
+    const pgEnum = findPgEnum(column, schema, enumTypes);
+    if (override) {
+      ({ type: dartType, converter, imports } = override);
+    } else if (enumConstraint) {
+      enumName = `${typePrefix}${pascalCase(column.column_name)}Type`;
+      enumValues = enumConstraint.values;
+      dartType = enumName;
+    } else if (pgEnum) {
+      enumName = pgEnum.enumType.dartName;
+      enumValues = pgEnum.isArray ? null : pgEnum.enumType.values;
+      enumType = pgEnum.enumType;
+      dartType = pgEnum.isArray ? `List<${enumName}>` : enumName;
+    } else {
+      ({ dartType, converter, imports } = resolveDartType({
+        type: column.column_type,
+        dataType: column.data_type,
+        udtSchema: column.udt_schema,
+        udtName: column.udt_name,
+        domainSchema: column.domain_schema,
+        domainName: column.domain_name
+      }, { typeOverrides, domains, compositeTypes }));
+    }
+    if (column.is_nullable === 'YES' && !dartType.endsWith('?') && dartType !== 'dynamic') {
+      dartType += '?';
+    }
 
-`;
+    return {
+      column,
+      fieldName: renamed ? fieldNames[renamed] : camelCase(column.column_name),
+      dartType,
+      enumName,
+      enumValues,
+      enumType,
+      converter,
+      imports
+    };
+  });
+}
 
-  // Generate enum types for constrained fields outside the class
-  enumConstraints.forEach(constraint => {
-    const enumName = pascalCase(constraint.column) + 'Type';
-    code += `enum ${enumName} {
-${constraint.values.map(v => `  @JsonValue('${v}')
-  ${camelCase(v)}`).join(',\n')},
+/**
+ * Find the Postgres enum type (if any) behind a column
+ */
+function findPgEnum(column, schema, enumTypes) {
+  const isArray = column.data_type === 'ARRAY';
+  if (column.data_type !== 'USER-DEFINED' && !isArray) return null;
+  const typeName = isArray ? column.udt_name?.replace(/^_/, '') : column.udt_name;
+  const typeSchema = column.udt_schema || schema;
+  const enumType = enumTypes.find(t => t.schema === typeSchema && t.name === typeName);
+  return enumType ? { enumType, isArray } : null;
 }
 
-`;
-  });
+/**
+ * Generate Dart model code
+ *
+ * @param {Object} options
+ * @param {string} options.className Class name, by default the prefixed table name in PascalCase
+ * @param {string} options.fileName File name without .dart, for the part directives
+ * @param {Array} options.relations Embedded relations to add as nested fields
+ *   (see getEmbeddedRelations), each with the className and importPath of the related model
+ * @param {boolean} options.companions Add <Model>Insert and <Model>Update classes
+ * @param {boolean} options.validators Add a <Model>Validator class checking the column constraints (see validators.js)
+ * @param {Function} options.onWarning Called with a message per constraint the validator leaves out
+ * @param {string} options.objectType TABLE, VIEW, MATERIALIZED VIEW (read-only models) or COMPOSITE TYPE
+ * @param {string} options.convertersImport Import path of converters.dart
+ * @param {string} options.style Serialization style (see styles.js)
+ * @param {string} options.supportImport Import path of model_support.dart, for plain models
+ */
+export function generateDartModel(tableName, columns, constraints, options = {}) {
+  const {
+    generateDocs = true,
+    schema = 'public',
+    classPrefix = '',
+    relations = [],
+    companions = false,
+    validators = false,
+    objectType = 'TABLE',
+    convertersImport = DART_CONVERTERS_FILE,
+    style = 'freezed',
+    supportImport = DART_SUPPORT_FILE
+  } = options;
+  const dartStyle = getDartStyle(style);
+  const typePrefix = classPrefix ? pascalCase(classPrefix) : '';
+  const {
+    className = typePrefix + pascalCase(tableName),
+    fileName = tableName
+  } = options;
+  const readOnly = objectType === 'VIEW' || objectType === 'MATERIALIZED VIEW';
+  const fields = getDartFields(columns, constraints, { ...options, tableName });
+
+  const groupedConstraints = groupConstraints(constraints);
 
-  code += `/// Model representing the ${tableName} table in the database.
-/// This model was auto-generated from the database schema.
-@freezed
-class ${className} with _$${className} {
-  const factory ${className}({
-`;
+  // Get primary key columns
+  const primaryKeys = groupedConstraints.filter(c => c.constraint_type === 'PRIMARY KEY')
+    .flatMap(c => c.columns);
+
+  // Get foreign key constraints, pairing each column with the column it references
+  const foreignKeys = groupedConstraints.filter(c => c.constraint_type === 'FOREIGN KEY')
+    .flatMap(c => c.columns.map((column, i) => ({
+      column,
+      columns: c.columns,
+      foreignSchema: c.foreign_table_schema,
+      foreignTable: c.foreign_table_name,
+      foreignColumn: c.foreign_columns[i],
+      foreignColumns: c.foreign_columns
+    })));
+
+  // Get multi-column unique constraints
+  const compositeUniques = groupedConstraints
+    .filter(c => c.constraint_type === 'UNIQUE' && c.columns.length > 1)
+    .map(c => c.columns);
+
+  const modelDocs = [
+    `${readOnly ? 'Read-only model' : 'Model'} representing the ${qualifiedName(schema, tableName)} ${objectType.toLowerCase()} in the database.`,
+    'This model was auto-generated from the database schema.'
+  ];
+  if (generateDocs) {
+    const keyDocs = [];
+    if (primaryKeys.length > 1) {
+      keyDocs.push(`Composite primary key: (${primaryKeys.join(', ')})`);
+    }
+    compositeUniques.forEach(columns => {
+      keyDocs.push(`Composite unique key: (${columns.join(', ')})`);
+    });
+    groupedConstraints
+      .filter(c => c.constraint_type === 'FOREIGN KEY' && c.columns.length > 1)
+      .forEach(c => {
+        keyDocs.push(`Composite foreign key: (${c.columns.join(', ')}) references ` +
+          `${qualifiedName(c.foreign_table_schema, c.foreign_table_name)}(${c.foreign_columns.join(', ')})`);
+      });
+    if (keyDocs.length > 0) {
+      modelDocs.push('', ...keyDocs);
+    }
+  }
 
-  // Generate fields
-  columns.forEach(column => {
+  const modelFields = fields.map(({ column, fieldName, dartType, enumName, enumValues, enumType, converter }) => {
+    let docs = null;
     if (generateDocs) {
-      code += '\n';
-      code += `    /// ${column.column_name} field\n`;
+      docs = [`${column.column_name} field`];
       if (primaryKeys.includes(column.column_name)) {
-        code += '    /// Primary key\n';
-      }
-      const fk = foreignKeys.find(fk => fk.column === column.column_name);
-      if (fk) {
-        code += `    /// Foreign key reference to ${fk.foreignTable}(${fk.foreignColumn})\n`;
+        docs.push(primaryKeys.length > 1 ? `Part of composite primary key (${primaryKeys.join(', ')})` : 'Primary key');
       }
+      compositeUniques.filter(columns => columns.includes(column.column_name)).forEach(columns => {
+        docs.push(`Part of composite unique key (${columns.join(', ')})`);
+      });
+      foreignKeys.filter(fk => fk.column === column.column_name).forEach(fk => {
+        const foreignTable = qualifiedName(fk.foreignSchema, fk.foreignTable) +
+          (fk.foreignColumn ? `(${fk.foreignColumn})` : '');
+        docs.push(fk.columns.length > 1
+          ? `Foreign key reference to ${foreignTable}, part of composite key (${fk.columns.join(', ')})`
+          : `Foreign key reference to ${foreignTable}`);
+      });
       if (column.column_default) {
-        code += `    /// Default: ${column.column_default}\n`;
+        docs.push(`Default: ${column.column_default}`);
       }
     }
 
-    // Convert PostgreSQL types to Dart types
-    let dartType = getDartType(column.data_type, column.is_nullable === 'YES');
+    // Non-null fields with a default get it as the Dart default, the others are required
+    const required = column.is_nullable === 'NO';
+    const defaultValue = required && column.column_default
+      ? (enumName
+        ? getEnumDefaultValue(column.column_default, enumName, enumValues)
+        : getDefaultValue(column.column_default, column.data_type, dartType))
+      : null;
+    return {
+      name: fieldName,
+      type: dartType,
+      key: column.column_name,
+      converter,
+      isEnum: Boolean(enumName || enumType),
+      required,
+      defaultValue,
+      docs
+    };
+  });
 
-    // Check if field has an enum constraint
-    const enumConstraint = enumConstraints.find(c => c.column === column.column_name);
-    if (enumConstraint) {
-      dartType = pascalCase(column.column_name) + 'Type';
-      if (column.is_nullable === 'YES') {
-        dartType += '?';
-      }
+  // Nested objects and lists filled by PostgREST embedding, never sent back on writes
+  relations.forEach(relation => {
+    modelFields.push({
+      name: camelCase(relation.key),
+      type: relation.kind === 'one-to-many' ? `List<${relation.className}>?` : `${relation.className}?`,
+      key: relation.key,
+      converter: null,
+      isEnum: false,
+      required: false,
+      defaultValue: null,
+      docs: generateDocs
+        ? [
+          relation.kind === 'many-to-one'
+            ? `Embedded ${relation.table} row referenced by ${relation.columns.join(', ')}`
+            : `Embedded ${relation.table} ${relation.kind === 'one-to-one' ? 'row' : 'rows'} referencing this row`,
+          `Select with: ${relation.key}:${relation.table}!${relation.constraint}(*)`
+        ]
+        : null,
+      toJson: false
+    });
+  });
+
+  const classes = [dartStyle.renderClass({ name: className, docs: modelDocs, fields: modelFields, ignoreNull: false })];
+  if (companions) {
+    classes.push(...generateDartCompanions(tableName, className, fields, dartStyle));
+  }
+  if (validators) {
+    const validator = generateDartValidator(tableName, className, fields, groupedConstraints, {
+      ...options,
+      companions,
+      generateDocs
+    });
+    if (validator) {
+      classes.push(validator);
     }
+  }
+  const body = classes.join('\n');
 
-    const fieldName = camelCase(column.column_name);
-    code += `    @JsonKey(name: '${column.column_name}')\n`;
+  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
 
-    // Handle required fields and default values
-    if (column.is_nullable === 'NO') {
-      if (column.column_default) {
-        // For non-null fields with default values, use @Default annotation
-        const defaultValue = getDefaultValue(column.column_default, column.data_type);
-        if (defaultValue !== null) {
-          code += `    @Default(${defaultValue}) ${dartType} ${fieldName},\n`;
-        } else {
-          code += `    required ${dartType} ${fieldName},\n`;
-        }
-      } else {
-        code += `    required ${dartType} ${fieldName},\n`;
-      }
-    } else {
-      code += `    ${dartType} ${fieldName},\n`;
-    }
+// ignore_for_file: type=lint
+// ignore_for_file: ${dartStyle.ignores}
+
+${dartStyle.imports.map(importPath => `import '${importPath}';\n`).join('')}`;
+
+  // Import the shared enums.dart files of the Postgres enums in use, the
+  // packages, composite types and converters of mapped types and the related models
+  const imports = [...new Set([
+    ...fields
+      .filter(field => field.enumType)
+      .map(({ enumType }) => enumType.importPath || 'enums.dart'),
+    ...getFieldImports(fields, convertersImport),
+    ...relations
+      .filter(relation => relation.table !== tableName)
+      .map(relation => relation.importPath || `${relation.table}.dart`),
+    ...(usesDartSupport(body) ? [supportImport] : [])
+  ])].sort();
+  imports.forEach(importPath => {
+    code += `import '${importPath}';\n`;
   });
 
-  code += `  }) = _${className};\n\n`;
-  code += `  factory ${className}.fromJson(Map<String, dynamic> json) => _$${className}FromJson(json);\n`;
-  code += '}\n';
+  const parts = dartStyle.parts(fileName);
+  code += `\n${parts.map(part => `part '${part}';\n`).join('')}${parts.length > 0 ? '\n' : ''}`;
+
+  // Generate enum types for constrained fields outside the class
+  getCheckEnums(constraints).forEach(constraint => {
+    code += dartStyle.renderEnum(`${typePrefix}${pascalCase(constraint.column)}Type`, constraint.values);
+    code += '\n';
+  });
+
+  return code + body;
+}
+
+/**
+ * Insert and Update classes of a table model. Both leave out generated
+ * columns and only serialize the fields that are set, so the database fills
+ * defaults, identity and serial keys on insert and keeps untouched columns
+ * on update. A null field can't clear a column, the Update docs say how to.
+ */
+function generateDartCompanions(tableName, className, fields, dartStyle) {
+  const writable = fields.filter(({ column }) => isWritableColumn(column));
+  const optional = dartType => (dartType.endsWith('?') ? dartType : `${dartType}?`);
+  const isRequired = ({ column }) => isRequiredColumn(column);
+
+  const companion = (name, docs, isFieldRequired) => dartStyle.renderClass({
+    name,
+    docs,
+    ignoreNull: true,
+    fields: writable.map(field => ({
+      name: field.fieldName,
+      type: isFieldRequired(field) ? field.dartType : optional(field.dartType),
+      key: field.column.column_name,
+      converter: field.converter,
+      isEnum: Boolean(field.enumName || field.enumType),
+      required: isFieldRequired(field),
+      defaultValue: null,
+      docs: null
+    }))
+  });
+
+  return [
+    companion(
+      `${className}Insert`,
+      [`Values for a new ${tableName} row. Optional fields left null are filled by the database.`],
+      isRequired
+    ),
+    companion(
+      `${className}Update`,
+      [
+        `Changes to an existing ${tableName} row. Only the fields that are set are sent.`,
+        '',
+        'A field left null is not sent, so it can\'t set a nullable column to NULL.',
+        'To clear columns, add them to the JSON yourself, e.g.',
+        `\`{...${dartStyle.toJson('changes')}, 'column': null}\`, or pass them as \`setNull\``,
+        'to the repository\'s `update`.'
+      ],
+      () => false
+    )
+  ];
+}
+
+/**
+ * Whether a column can be written, unlike generated and GENERATED ALWAYS
+ * identity columns
+ */
+export function isWritableColumn(column) {
+  return column.is_generated !== 'ALWAYS' && column.identity_generation !== 'ALWAYS';
+}
+
+/**
+ * Whether a new row needs a value for a column: NOT NULL without a default or identity
+ */
+export function isRequiredColumn(column) {
+  return column.is_nullable === 'NO' && !column.column_default && column.is_identity !== 'YES';
+}
+
+/**
+ * Generate a Dart enum carrying the database value of every member
+ */
+export function generateDartEnum(enumName, values, description = null, style = 'freezed') {
+  return getDartStyle(style).renderEnum(enumName, values, description);
+}
+
+/**
+ * Generate the shared enums.dart file for Postgres enum types
+ */
+export function generateDartEnumsFile(enumTypes, style = 'freezed') {
+  const dartStyle = getDartStyle(style);
+  const parts = dartStyle.enumParts('enums');
+  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+${dartStyle.enumImports.length > 0 ? '\n' : ''}${dartStyle.enumImports.map(importPath => `import '${importPath}';\n`).join('')}${parts.length > 0 ? '\n' : ''}${parts.map(part => `part '${part}';\n`).join('')}`;
+
+  enumTypes.forEach(enumType => {
+    code += '\n';
+    code += dartStyle.renderEnum(
+      enumType.dartName,
+      enumType.values,
+      `Values of the ${qualifiedName(enumType.schema, enumType.name)} enum type in the database.`
+    );
+  });
 
   return code;
 }
 
-function getDefaultValue(defaultValue, dataType) {
+const DART_RESERVED_WORDS = new Set([
+  'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+  'do', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'for', 'if',
+  'in', 'is', 'new', 'null', 'rethrow', 'return', 'super', 'switch', 'this',
+  'throw', 'true', 'try', 'var', 'void', 'while', 'with', 'values', 'index'
+]);
+
+/**
+ * Convert a database enum value to a valid Dart enum member name
+ */
+export function dartEnumValueName(value) {
+  let name = camelCase(value);
+  if (!name || /^[0-9]/.test(name)) {
+    name = `value${pascalCase(value) || 'Empty'}`;
+  }
+  return DART_RESERVED_WORDS.has(name) ? `${name}Value` : name;
+}
+
+/**
+ * Convert an enum column default such as 'active'::status to a Dart enum value
+ */
+function getEnumDefaultValue(defaultValue, enumName, values) {
+  if (!defaultValue || !values) return null;
+
+  const match = defaultValue.match(/^'((?:[^']|'')*)'(?:::[\w."\s]+)?$/);
+  if (!match) return null;
+
+  const value = match[1].replace(/''/g, "'");
+  return values.includes(value) ? `${enumName}.${dartEnumValueName(value)}` : null;
+}
+
+function getDefaultValue(defaultValue, dataType, dartType) {
   if (!defaultValue) return null;
 
   // Handle nextval sequences
@@ -268,20 +729,21 @@ function getDefaultValue(defaultValue, dataType) {
   }
 
   // Handle now() defaults
-  if (defaultValue.includes('now()')) {
+  if (defaultValue.includes('now()') && dartType === 'DateTime') {
     return 'DateTime.now()';
   }
 
   // Handle text defaults
-  if (dataType === 'text' || dataType === 'character varying') {
+  if ((dataType === 'text' || dataType === 'character varying') && dartType === 'String') {
     const match = defaultValue.match(/'([^']*)'::text/);
     if (match) {
       return `'${match[1]}'`;
     }
   }
 
-  // Handle numeric defaults
-  if (dataType === 'integer' || dataType === 'bigint' || dataType === 'numeric') {
+  // Handle numeric defaults, unless they map to Decimal
+  if ((dataType === 'integer' || dataType === 'bigint' || dataType === 'numeric') &&
+    (dartType === 'int' || dartType === 'double')) {
     const numValue = parseInt(defaultValue, 10);
     if (!isNaN(numValue)) {
       return numValue.toString();
@@ -289,7 +751,7 @@ function getDefaultValue(defaultValue, dataType) {
   }
 
   // Handle boolean defaults
-  if (dataType === 'boolean') {
+  if (dataType === 'boolean' && dartType === 'bool') {
     if (defaultValue.toLowerCase() === 'true') return 'true';
     if (defaultValue.toLowerCase() === 'false') return 'false';
   }
@@ -298,71 +760,9 @@ function getDefaultValue(defaultValue, dataType) {
 }
 
 /**
- * Convert PostgreSQL type to Dart type
+ * Imports of the types of the given fields, with converters.dart at convertersImport
  */
-export function getDartType(pgType, isNullable = false) {
-  const nullSuffix = isNullable ? '?' : '';
-  
-  switch (pgType.toLowerCase()) {
-    case 'integer':
-    case 'smallint':
-    case 'bigint':
-    case 'serial':
-    case 'bigserial':
-      return `int${nullSuffix}`;
-      
-    case 'decimal':
-    case 'numeric':
-    case 'real':
-    case 'double precision':
-    case 'float':
-    case 'float4':
-    case 'float8':
-      return `double${nullSuffix}`;
-      
-    case 'boolean':
-      return `bool${nullSuffix}`;
-      
-    case 'timestamp':
-    case 'timestamp with time zone':
-    case 'timestamp without time zone':
-    case 'timestamptz':
-    case 'date':
-    case 'time':
-    case 'time with time zone':
-    case 'time without time zone':
-    case 'timetz':
-      return `DateTime${nullSuffix}`;
-      
-    case 'json':
-    case 'jsonb':
-      return `Map<String, dynamic>${nullSuffix}`;
-      
-    case 'uuid':
-      return `String${nullSuffix}`;
-
-    case 'bytea':
-      return `List<int>${nullSuffix}`;
-
-    case 'text[]':
-    case 'varchar[]':
-    case 'character varying[]':
-      return `List<String>${nullSuffix}`;
-
-    case 'integer[]':
-    case 'int[]':
-    case 'bigint[]':
-      return `List<int>${nullSuffix}`;
-
-    case 'boolean[]':
-      return `List<bool>${nullSuffix}`;
-
-    case 'numeric[]':
-    case 'decimal[]':
-    case 'double precision[]':
-      return `List<double>${nullSuffix}`;
-      
-    default:
-      return `String${nullSuffix}`;
-  }
-} 
\ No newline at end of file
+export function getFieldImports(fields, convertersImport = DART_CONVERTERS_FILE) {
+  return fields.flatMap(field => field.imports || [])
+    .map(importPath => (importPath === DART_CONVERTERS_FILE ? convertersImport : importPath));
+}
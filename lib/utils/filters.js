@@ -0,0 +1,191 @@
+import { getRelations } from './snapshot.js';
+import { EXPORTER_FUNCTIONS } from './rpc.js';
+
+/**
+ * Include/exclude filters on object names. Patterns are globs where `*`
+ * matches any run of characters and `?` a single one, matched against the
+ * bare name and against `schema.name`. Columns and triggers also match as
+ * `table.name` and `schema.table.name`.
+ */
+
+/**
+ * Convert a glob pattern to an anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a predicate accepting the names matched by an include pattern (all
+ * names when there are none) and by no exclude pattern
+ *
+ * @param {Object} filter
+ * @param {string[]|null} filter.include
+ * @param {string[]|null} filter.exclude
+ * @returns {(name: string, schema?: string) => boolean}
+ */
+export function createNameFilter({ include = null, exclude = null } = {}) {
+  const accepts = createPatternFilter(include, exclude);
+  return (name, schema = null) => accepts([name, schema && `${schema}.${name}`]);
+}
+
+/**
+ * Create a predicate on the columns or triggers of a table, matched against
+ * `name`, `table.name` and `schema.table.name`
+ *
+ * @returns {(name: string, table: string, schema?: string) => boolean}
+ */
+export function createTableObjectFilter({ include = null, exclude = null } = {}) {
+  const accepts = createPatternFilter(include, exclude);
+  return (name, table, schema = null) =>
+    accepts([name, `${table}.${name}`, schema && `${schema}.${table}.${name}`]);
+}
+
+function createPatternFilter(include, exclude) {
+  const includes = (include || []).map(globToRegExp);
+  const excludes = (exclude || []).map(globToRegExp);
+  const matches = (patterns, names) => patterns.some(pattern => names.some(name => name && pattern.test(name)));
+
+  return names => (includes.length === 0 || matches(includes, names)) && !matches(excludes, names);
+}
+
+/**
+ * Remove the tables, columns, functions and triggers the filters reject from a
+ * snapshot, along with everything that depends on them: their constraints,
+ * foreign keys pointing at them, the views reading them, the functions using
+ * their row types, indexes, policies, grants, comments and owned sequences.
+ * The exporter's helper functions are always removed.
+ *
+ * @param {Object} snapshot Snapshot, changed in place
+ * @param {Object} filters
+ * @param {Function} filters.table (name, schema) => boolean
+ * @param {Function} filters.column (name, table, schema) => boolean
+ * @param {Function} filters.function (name, schema) => boolean
+ * @param {Function} filters.trigger (name, table, schema) => boolean
+ * @returns {{tables: string[], columns: string[], views: string[], functions: string[], triggers: string[]}}
+ *   Qualified names of the removed objects
+ */
+export function filterSnapshot(snapshot, filters) {
+  const accept = { table: () => true, column: () => true, function: () => true, trigger: () => true, ...filters };
+  const removed = { tables: [], columns: [], views: [], functions: [], triggers: [] };
+  const entries = Object.entries(snapshot.schemas);
+
+  // Removed tables and columns of every schema first, for foreign keys across schemas
+  const removedTables = new Set();
+  const removedColumns = new Map();
+  entries.forEach(([schema, entry]) => {
+    entry.tables.forEach(table => {
+      if (!accept.table(table.name, schema)) {
+        removedTables.add(`${schema}.${table.name}`);
+        return;
+      }
+      const columns = table.columns.filter(col => !accept.column(col.name, table.name, schema)).map(col => col.name);
+      if (columns.length > 0) {
+        removedColumns.set(`${schema}.${table.name}`, columns);
+      }
+    });
+  });
+  const removedViews = new Set();
+  const isRemoved = (schema, table, columns = []) => removedTables.has(`${schema}.${table}`) ||
+    removedViews.has(`${schema}.${table}`) ||
+    columns.some(col => (removedColumns.get(`${schema}.${table}`) || []).includes(col));
+
+  // Views reading a removed table, column or view, until no more views go.
+  // Definitions leave out the schema of relations on the search path.
+  const reads = (definition, schema, relation) => {
+    const [relationSchema, name] = relation.split(/\.(.*)/);
+    return mentionsIdentifier(definition, relation) ||
+      ([schema, 'public'].includes(relationSchema) && mentionsIdentifier(definition, name));
+  };
+  const readsRemoved = (definition, schema) =>
+    [...removedTables, ...removedViews].some(relation => reads(definition, schema, relation)) ||
+    [...removedColumns].some(([relation, columns]) => reads(definition, schema, relation) &&
+      columns.some(col => mentionsIdentifier(definition, col)));
+  for (let found = true; found;) {
+    found = false;
+    entries.forEach(([schema, entry]) => entry.views.forEach(view => {
+      if (!removedViews.has(`${schema}.${view.name}`) && readsRemoved(view.definition || '', schema)) {
+        removedViews.add(`${schema}.${view.name}`);
+        found = true;
+      }
+    }));
+  }
+
+  entries.forEach(([schema, entry]) => {
+    removed.tables.push(...entry.tables.filter(table => isRemoved(schema, table.name)).map(table => `${schema}.${table.name}`));
+    entry.tables = entry.tables.filter(table => !isRemoved(schema, table.name));
+    removed.views.push(...entry.views.filter(view => isRemoved(schema, view.name)).map(view => `${schema}.${view.name}`));
+    entry.views = entry.views.filter(view => !isRemoved(schema, view.name));
+    entry.tables.forEach(table => {
+      const columns = table.columns.filter(col => isRemoved(schema, table.name, [col.name])).map(col => col.name);
+      removed.columns.push(...columns.map(col => `${schema}.${table.name}.${col}`));
+      table.columns = table.columns.filter(col => !columns.includes(col.name));
+      table.constraints = table.constraints.filter(constraint => !isRemoved(schema, table.name, constraint.columns) &&
+        !(constraint.references &&
+          isRemoved(constraint.references.schema || schema, constraint.references.table, constraint.references.columns)));
+    });
+    // Expressions only name the columns, so indexes and policies are matched by identifier
+    const usesRemoved = (table, ...expressions) => isRemoved(schema, table) ||
+      (removedColumns.get(`${schema}.${table}`) || []).some(col =>
+        expressions.some(expression => expression && mentionsIdentifier(expression, col)));
+    entry.indexes = entry.indexes.filter(index =>
+      !usesRemoved(index.tableName, index.indexDefinition.replace(/^.*? USING /, '')));
+    entry.rowLevelSecurity.tables = entry.rowLevelSecurity.tables.filter(rls => !isRemoved(schema, rls.tableName));
+    entry.rowLevelSecurity.policies = entry.rowLevelSecurity.policies.filter(policy =>
+      !usesRemoved(policy.tableName, policy.usingExpression, policy.checkExpression));
+    entry.sequences = entry.sequences.filter(sequence =>
+      !sequence.ownedByTable || !isRemoved(schema, sequence.ownedByTable, [sequence.ownedByColumn]));
+
+    // Functions go with the tables and views whose row types they take or return
+    const usesRemovedType = func => [...(func.parameters || []), ...(func.returns ? [func.returns] : [])]
+      .some(type => isRemoved(type.udtSchema, type.udtName));
+    const functions = entry.functions.filter(func => EXPORTER_FUNCTIONS.has(func.name) ||
+      !accept.function(func.name, schema) || usesRemovedType(func));
+    const removedFunctions = new Set(functions.map(func => func.name));
+    removed.functions.push(...functions.map(func => `${schema}.${func.name}(${func.arguments || ''})`));
+    entry.functions = entry.functions.filter(func => !functions.includes(func));
+
+    // Triggers go with their table and with the function they execute
+    const triggers = entry.triggers.filter(trigger => isRemoved(schema, trigger.table) ||
+      !accept.trigger(trigger.name, trigger.table, schema) ||
+      removedFunctions.has(getTriggerFunction(trigger.definition)));
+    removed.triggers.push(...triggers.filter(trigger => !isRemoved(schema, trigger.table))
+      .map(trigger => `${schema}.${trigger.table}.${trigger.name}`));
+    entry.triggers = entry.triggers.filter(trigger => !triggers.includes(trigger));
+
+    entry.grants = entry.grants.filter(grant => !(
+      (grant.objectType === 'TABLE' && isRemoved(schema, grant.objectName)) ||
+      (['FUNCTION', 'PROCEDURE'].includes(grant.objectType) && removedFunctions.has(grant.objectName))));
+    entry.comments = entry.comments.filter(comment => !(
+      (['TABLE', 'VIEW', 'MATERIALIZED VIEW', 'COLUMN'].includes(comment.objectType) &&
+        isRemoved(schema, comment.objectName, comment.columnName ? [comment.columnName] : [])) ||
+      (['FUNCTION', 'PROCEDURE'].includes(comment.objectType) && removedFunctions.has(comment.objectName))));
+    entry.relations = getRelations(entry.tables);
+  });
+
+  return removed;
+}
+
+/**
+ * Whether SQL mentions a column or relation, bare or quoted
+ */
+function mentionsIdentifier(sql, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w$"])(${escaped}|"${escaped}")($|[^\\w$"])`).test(sql);
+}
+
+/**
+ * Name of the function a CREATE TRIGGER statement executes, without its schema
+ */
+function getTriggerFunction(definition) {
+  const match = /EXECUTE (?:FUNCTION|PROCEDURE) (?:[\w$"]+\.)?"?([\w$]+)"?\(/.exec(definition || '');
+  return match ? match[1] : null;
+}
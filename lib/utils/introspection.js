@@ -0,0 +1,731 @@
+/**
+ * Schema introspection.
+ *
+ * Both introspectors return rows in the shape the SQL helper functions from
+ * sql/install_functions.sql produce, so the generators in files.js work the
+ * same whichever one is used. Objects the helpers don't cover (sequences,
+ * indexes, views and their columns, policies, grants and comments) are always
+ * read from the catalog.
+ */
+
+/**
+ * Reads the schema straight from pg_catalog/information_schema.
+ * Nothing has to be installed in the target database.
+ */
+export class CatalogIntrospector {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Get tables (and optionally views) in a schema
+   */
+  async getTables({ schema = 'public', tableTypes = ['BASE TABLE'], tableNames = null } = {}) {
+    const result = await this.pool.query(`
+      SELECT table_name, table_type
+      FROM information_schema.tables
+      WHERE table_schema = $1
+      AND table_type = ANY($2)
+      ${tableNames ? 'AND table_name = ANY($3)' : ''}
+      ORDER BY table_name
+    `, tableNames ? [schema, tableTypes, tableNames] : [schema, tableTypes]);
+    return result.rows;
+  }
+
+  /**
+   * Get enum types with their values in sort order
+   */
+  async getTypes(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        t.typname AS name,
+        array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS values
+      FROM pg_type t
+      JOIN pg_enum e ON t.oid = e.enumtypid
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE n.nspname = $1
+      GROUP BY t.typname
+      ORDER BY t.typname
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get table constraints, one row per constrained column
+   */
+  async getTableConstraints(tableName, schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        con.conname AS constraint_name,
+        CASE con.contype
+          WHEN 'p' THEN 'PRIMARY KEY'
+          WHEN 'f' THEN 'FOREIGN KEY'
+          WHEN 'u' THEN 'UNIQUE'
+          WHEN 'c' THEN 'CHECK'
+          WHEN 'x' THEN 'EXCLUDE'
+        END AS constraint_type,
+        rel.relname AS table_name,
+        att.attname AS column_name,
+        k.ordinal_position,
+        fnsp.nspname AS foreign_table_schema,
+        frel.relname AS foreign_table_name,
+        fatt.attname AS foreign_column_name,
+        CASE WHEN con.contype = 'c'
+          THEN '(' || pg_get_expr(con.conbin, con.conrelid) || ')'
+        END AS check_clause,
+        CASE WHEN con.contype = 'x' THEN pg_get_constraintdef(con.oid) END AS definition,
+        NOT con.convalidated AS not_valid,
+        con.confupdtype,
+        con.confdeltype
+      FROM pg_constraint con
+      JOIN pg_class rel ON rel.oid = con.conrelid
+      JOIN pg_namespace nsp ON nsp.oid = rel.relnamespace
+      LEFT JOIN LATERAL unnest(
+        CASE WHEN con.contype = 'c' THEN NULL ELSE con.conkey END,
+        con.confkey
+      ) WITH ORDINALITY AS k(attnum, fattnum, ordinal_position) ON true
+      LEFT JOIN pg_attribute att
+        ON att.attrelid = con.conrelid AND att.attnum = k.attnum
+      LEFT JOIN pg_class frel ON frel.oid = con.confrelid
+      LEFT JOIN pg_namespace fnsp ON fnsp.oid = frel.relnamespace
+      LEFT JOIN pg_attribute fatt
+        ON fatt.attrelid = con.confrelid AND fatt.attnum = k.fattnum
+      WHERE nsp.nspname = $2
+        AND rel.relname = $1
+        AND con.contype IN ('p', 'f', 'u', 'c', 'x')
+      ORDER BY con.conname, k.ordinal_position
+    `, [tableName, schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get column definitions in ordinal order
+   */
+  async getColumnDefinitions(tableName, schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        c.column_name,
+        c.column_default,
+        c.data_type,
+        c.character_maximum_length,
+        c.is_nullable,
+        c.numeric_precision,
+        c.numeric_scale,
+        c.udt_schema,
+        c.udt_name,
+        c.domain_schema,
+        c.domain_name,
+        format_type(a.atttypid, a.atttypmod) AS column_type,
+        c.is_identity,
+        c.identity_generation,
+        c.is_generated,
+        c.generation_expression
+      FROM information_schema.columns c
+      JOIN pg_namespace n ON n.nspname = c.table_schema
+      JOIN pg_class cl ON cl.relnamespace = n.oid AND cl.relname = c.table_name
+      JOIN pg_attribute a ON a.attrelid = cl.oid AND a.attname = c.column_name
+      WHERE c.table_schema = $2
+        AND c.table_name = $1
+      ORDER BY c.ordinal_position
+    `, [tableName, schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get function definitions, skipping aggregates and extension members
+   */
+  async getFunctions(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        p.proname AS name,
+        CASE p.prokind WHEN 'p' THEN 'PROCEDURE' ELSE 'FUNCTION' END AS kind,
+        pg_get_function_identity_arguments(p.oid) AS arguments,
+        pg_get_functiondef(p.oid) AS definition,
+        (
+          SELECT json_agg(json_build_object(
+            'name', p.proargnames[arg.position],
+            'mode', COALESCE(p.proargmodes[arg.position]::text, 'i'),
+            'type', format_type(arg.type, NULL),
+            'udt_schema', etn.nspname,
+            'udt_name', et.typname,
+            'is_array', argt.typcategory = 'A'
+          ) ORDER BY arg.position)
+          FROM unnest(COALESCE(p.proallargtypes, p.proargtypes::oid[])) WITH ORDINALITY AS arg(type, position)
+          JOIN pg_type argt ON argt.oid = arg.type
+          JOIN pg_type et ON et.oid = CASE WHEN argt.typcategory = 'A' THEN argt.typelem ELSE argt.oid END
+          JOIN pg_namespace etn ON etn.oid = et.typnamespace
+        ) AS parameters,
+        p.pronargdefaults AS default_count,
+        format_type(p.prorettype, NULL) AS return_type,
+        rn.nspname AS return_udt_schema,
+        ret.typname AS return_udt_name,
+        rt.typcategory = 'A' AS return_is_array,
+        rc.relname AS return_relation,
+        p.proretset AS returns_set
+      FROM pg_proc p
+      JOIN pg_namespace n ON p.pronamespace = n.oid
+      JOIN pg_type rt ON rt.oid = p.prorettype
+      JOIN pg_type ret ON ret.oid = CASE WHEN rt.typcategory = 'A' THEN rt.typelem ELSE rt.oid END
+      JOIN pg_namespace rn ON rn.oid = ret.typnamespace
+      LEFT JOIN pg_class rc ON rc.oid = ret.typrelid
+      WHERE n.nspname = $1
+        AND p.prokind IN ('f', 'p')
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend d
+          WHERE d.classid = 'pg_proc'::regclass
+            AND d.objid = p.oid
+            AND d.deptype = 'e'
+        )
+      ORDER BY p.proname, p.oid
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get user-defined trigger definitions
+   */
+  async getTriggers(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        t.tgname AS name,
+        c.relname AS table,
+        pg_get_triggerdef(t.oid) AS definition
+      FROM pg_trigger t
+      JOIN pg_class c ON t.tgrelid = c.oid
+      JOIN pg_namespace n ON c.relnamespace = n.oid
+      WHERE n.nspname = $1
+        AND t.tgisinternal = false
+      ORDER BY c.relname, t.tgname
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get standalone sequences (identity sequences are created with their table)
+   */
+  async getSequences(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        c.relname AS name,
+        format_type(s.seqtypid, NULL) AS data_type,
+        s.seqstart AS start_value,
+        s.seqmin AS min_value,
+        s.seqmax AS max_value,
+        s.seqincrement AS increment_by,
+        s.seqcache AS cache_size,
+        s.seqcycle AS cycle,
+        owner_table.relname AS owned_by_table,
+        owner_column.attname AS owned_by_column
+      FROM pg_sequence s
+      JOIN pg_class c ON c.oid = s.seqrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      LEFT JOIN pg_depend d
+        ON d.classid = 'pg_class'::regclass
+        AND d.objid = c.oid
+        AND d.refclassid = 'pg_class'::regclass
+        AND d.deptype = 'a'
+      LEFT JOIN pg_class owner_table ON owner_table.oid = d.refobjid
+      LEFT JOIN pg_attribute owner_column
+        ON owner_column.attrelid = d.refobjid AND owner_column.attnum = d.refobjsubid
+      WHERE n.nspname = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend i
+          WHERE i.classid = 'pg_class'::regclass
+            AND i.objid = c.oid
+            AND i.deptype IN ('i', 'e')
+        )
+      ORDER BY c.relname
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get indexes that don't back a constraint, in the shape of get_table_indexes()
+   */
+  async getIndexes(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        t.relname AS table_name,
+        i.relname AS index_name,
+        pg_get_indexdef(i.oid) AS index_definition,
+        ix.indisprimary AS is_primary,
+        ix.indisunique AS is_unique
+      FROM pg_index ix
+      JOIN pg_class i ON i.oid = ix.indexrelid
+      JOIN pg_class t ON t.oid = ix.indrelid
+      JOIN pg_namespace n ON n.oid = t.relnamespace
+      WHERE n.nspname = $1
+        AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = i.oid)
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend d
+          WHERE d.classid = 'pg_class'::regclass AND d.objid = i.oid AND d.deptype = 'e'
+        )
+      ORDER BY t.relname, i.relname
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get views and materialized views in creation order
+   */
+  async getViews(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        c.relname AS name,
+        CASE c.relkind WHEN 'm' THEN 'MATERIALIZED VIEW' ELSE 'VIEW' END AS view_type,
+        pg_get_viewdef(c.oid, true) AS definition,
+        c.reloptions::text[] AS options
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1
+        AND c.relkind IN ('v', 'm')
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend d
+          WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype = 'e'
+        )
+      ORDER BY c.oid
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get domains with their base type, as get_column_definitions reports a
+   * column of that type
+   */
+  async getDomains(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        t.typname AS name,
+        format_type(t.typbasetype, t.typtypmod) AS type,
+        CASE
+          WHEN bt.typcategory = 'A' THEN 'ARRAY'
+          WHEN btn.nspname <> 'pg_catalog' THEN 'USER-DEFINED'
+          ELSE format_type(bt.oid, NULL)
+        END AS data_type,
+        btn.nspname AS udt_schema,
+        bt.typname AS udt_name,
+        t.typnotnull AS not_null,
+        t.typdefault AS "default",
+        COALESCE(
+          (SELECT array_agg(pg_get_constraintdef(con.oid) ORDER BY con.conname)
+           FROM pg_constraint con
+           WHERE con.contypid = t.oid AND con.contype = 'c'),
+          '{}'
+        ) AS checks
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      JOIN pg_type bt ON bt.oid = t.typbasetype
+      JOIN pg_namespace btn ON btn.oid = bt.typnamespace
+      WHERE n.nspname = $1
+        AND t.typtype = 'd'
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend d
+          WHERE d.classid = 'pg_type'::regclass AND d.objid = t.oid AND d.deptype = 'e'
+        )
+      ORDER BY t.typname
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get composite types created with CREATE TYPE ... AS (...), without the row
+   * types of tables and views
+   */
+  async getCompositeTypes(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT c.relname AS name
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1
+        AND c.relkind = 'c'
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend d
+          WHERE d.classid = 'pg_type'::regclass AND d.objid = c.reltype AND d.deptype = 'e'
+        )
+      ORDER BY c.relname
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get the columns of a view or composite type in the get_column_definitions
+   * shape, all nullable
+   */
+  async getRelationColumns(relationName, schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT
+        a.attname AS column_name,
+        NULL AS column_default,
+        CASE
+          WHEN bt.typcategory = 'A' THEN 'ARRAY'
+          WHEN btn.nspname <> 'pg_catalog' THEN 'USER-DEFINED'
+          ELSE format_type(bt.oid, NULL)
+        END AS data_type,
+        information_schema._pg_char_max_length(bt.oid, tm.typmod) AS character_maximum_length,
+        'YES' AS is_nullable,
+        information_schema._pg_numeric_precision(bt.oid, tm.typmod) AS numeric_precision,
+        information_schema._pg_numeric_scale(bt.oid, tm.typmod) AS numeric_scale,
+        btn.nspname AS udt_schema,
+        bt.typname AS udt_name,
+        CASE WHEN t.typtype = 'd' THEN tn.nspname END AS domain_schema,
+        CASE WHEN t.typtype = 'd' THEN t.typname END AS domain_name,
+        format_type(a.atttypid, a.atttypmod) AS column_type,
+        'NO' AS is_identity,
+        NULL AS identity_generation,
+        'NEVER' AS is_generated,
+        NULL AS generation_expression
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      JOIN pg_type t ON t.oid = a.atttypid
+      JOIN pg_namespace tn ON tn.oid = t.typnamespace
+      JOIN pg_type bt ON bt.oid = CASE WHEN t.typtype = 'd' THEN t.typbasetype ELSE t.oid END
+      JOIN pg_namespace btn ON btn.oid = bt.typnamespace
+      CROSS JOIN LATERAL (
+        SELECT CASE WHEN t.typtype = 'd' THEN t.typtypmod ELSE a.atttypmod END AS typmod
+      ) tm
+      WHERE n.nspname = $2
+        AND c.relname = $1
+      ORDER BY a.attnum
+    `, [relationName, schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get the columns of a view or materialized view in the get_column_definitions
+   * shape. Views don't record nullability, so a column is NOT NULL only when it
+   * passes a NOT NULL table column through unchanged.
+   */
+  async getViewColumns(viewName, schema = 'public') {
+    const rows = await this.getRelationColumns(viewName, schema);
+
+    const rule = await this.pool.query(`
+      SELECT r.ev_action::text AS action
+      FROM pg_rewrite r
+      JOIN pg_class c ON c.oid = r.ev_class
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $2
+        AND c.relname = $1
+        AND r.rulename = '_RETURN'
+    `, [viewName, schema]);
+    const origins = rule.rows.length > 0 ? getViewColumnOrigins(rule.rows[0].action) : [];
+
+    if (origins.length > 0) {
+      const notNull = await this.pool.query(`
+        SELECT o.position
+        FROM unnest($1::int[], $2::oid[], $3::int2[]) AS o(position, relid, attnum)
+        JOIN pg_attribute a ON a.attrelid = o.relid AND a.attnum = o.attnum
+        WHERE a.attnotnull
+      `, [origins.map(o => o.position), origins.map(o => o.table), origins.map(o => o.column)]);
+      notNull.rows.forEach(({ position }) => {
+        rows[position - 1].is_nullable = 'NO';
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Get tables with row-level security enabled and their policies
+   */
+  async getRowLevelSecurity(schema = 'public') {
+    const tablesResult = await this.pool.query(`
+      SELECT
+        c.relname AS table_name,
+        c.relforcerowsecurity AS force_rls
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1
+        AND c.relrowsecurity
+      ORDER BY c.relname
+    `, [schema]);
+
+    const policiesResult = await this.pool.query(`
+      SELECT
+        tablename AS table_name,
+        policyname AS policy_name,
+        permissive,
+        roles::text[] AS roles,
+        cmd AS command,
+        qual AS using_expression,
+        with_check AS check_expression
+      FROM pg_policies
+      WHERE schemaname = $1
+      ORDER BY tablename, policyname
+    `, [schema]);
+
+    return { tables: tablesResult.rows, policies: policiesResult.rows };
+  }
+
+  /**
+   * Get privileges granted on the schema and its tables, views, sequences
+   * and functions, excluding the owners' implicit privileges and objects
+   * created by extensions
+   */
+  async getGrants(schema = 'public') {
+    const result = await this.pool.query(`
+      WITH objects AS (
+        SELECT
+          'SCHEMA' AS object_type,
+          n.nspname AS object_name,
+          NULL::text AS object_args,
+          n.nspacl AS acl,
+          n.nspowner AS owner
+        FROM pg_namespace n
+        WHERE n.nspname = $1
+        UNION ALL
+        SELECT
+          CASE WHEN c.relkind = 'S' THEN 'SEQUENCE' ELSE 'TABLE' END,
+          c.relname,
+          NULL,
+          c.relacl,
+          c.relowner
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = $1
+          AND c.relkind IN ('r', 'p', 'v', 'm', 'f', 'S')
+          AND NOT EXISTS (
+            SELECT 1 FROM pg_depend d
+            WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype = 'e'
+          )
+        UNION ALL
+        SELECT
+          CASE WHEN p.prokind = 'p' THEN 'PROCEDURE' ELSE 'FUNCTION' END,
+          p.proname,
+          pg_get_function_identity_arguments(p.oid),
+          p.proacl,
+          p.proowner
+        FROM pg_proc p
+        JOIN pg_namespace n ON n.oid = p.pronamespace
+        WHERE n.nspname = $1
+          AND p.prokind IN ('f', 'p')
+          AND NOT EXISTS (
+            SELECT 1 FROM pg_depend d
+            WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+          )
+      )
+      SELECT
+        o.object_type,
+        o.object_name,
+        o.object_args,
+        COALESCE(r.rolname, 'PUBLIC') AS grantee,
+        a.privilege_type,
+        a.is_grantable
+      FROM objects o
+      CROSS JOIN LATERAL aclexplode(o.acl) a
+      LEFT JOIN pg_roles r ON r.oid = a.grantee
+      WHERE o.acl IS NOT NULL
+        AND a.grantee <> o.owner
+      ORDER BY o.object_type, o.object_name, o.object_args, grantee, a.privilege_type
+    `, [schema]);
+    return result.rows;
+  }
+
+  /**
+   * Get comments on the schema's types, tables, views, columns and functions,
+   * except those created by extensions
+   */
+  async getComments(schema = 'public') {
+    const result = await this.pool.query(`
+      SELECT object_type, object_name, column_name, object_args, comment
+      FROM (
+        SELECT
+          'TYPE' AS object_type,
+          t.typname AS object_name,
+          NULL::text AS column_name,
+          NULL::text AS object_args,
+          obj_description(t.oid, 'pg_type') AS comment
+        FROM pg_type t
+        JOIN pg_namespace n ON n.oid = t.typnamespace
+        WHERE n.nspname = $1 AND t.typtype IN ('e', 'd')
+          AND NOT EXISTS (
+            SELECT 1 FROM pg_depend d
+            WHERE d.classid = 'pg_type'::regclass AND d.objid = t.oid AND d.deptype = 'e'
+          )
+        UNION ALL
+        SELECT
+          CASE c.relkind
+            WHEN 'v' THEN 'VIEW'
+            WHEN 'm' THEN 'MATERIALIZED VIEW'
+            ELSE 'TABLE'
+          END,
+          c.relname,
+          NULL,
+          NULL,
+          obj_description(c.oid, 'pg_class')
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = $1 AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+          AND NOT EXISTS (
+            SELECT 1 FROM pg_depend d
+            WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype = 'e'
+          )
+        UNION ALL
+        SELECT
+          'COLUMN',
+          c.relname,
+          a.attname,
+          NULL,
+          col_description(c.oid, a.attnum)
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+        WHERE n.nspname = $1 AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+          AND NOT EXISTS (
+            SELECT 1 FROM pg_depend d
+            WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype = 'e'
+          )
+        UNION ALL
+        SELECT
+          CASE WHEN p.prokind = 'p' THEN 'PROCEDURE' ELSE 'FUNCTION' END,
+          p.proname,
+          NULL,
+          pg_get_function_identity_arguments(p.oid),
+          obj_description(p.oid, 'pg_proc')
+        FROM pg_proc p
+        JOIN pg_namespace n ON n.oid = p.pronamespace
+        WHERE n.nspname = $1 AND p.prokind IN ('f', 'p')
+          AND NOT EXISTS (
+            SELECT 1 FROM pg_depend d
+            WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+          )
+      ) comments
+      WHERE comment IS NOT NULL
+      ORDER BY object_type, object_name, column_name NULLS FIRST, object_args
+    `, [schema]);
+    return result.rows;
+  }
+}
+
+/**
+ * Reads the schema through the helper functions installed by
+ * sql/install_functions.sql.
+ */
+export class HelperFunctionIntrospector extends CatalogIntrospector {
+  async getTypes(schema = 'public') {
+    const result = await this.pool.query('SELECT * FROM get_types($1)', [schema]);
+    return result.rows[0].get_types || [];
+  }
+
+  async getTableConstraints(tableName, schema = 'public') {
+    const result = await this.pool.query(
+      'SELECT * FROM get_table_constraints($1, $2)',
+      [tableName, schema]
+    );
+    return result.rows[0].get_table_constraints || [];
+  }
+
+  async getColumnDefinitions(tableName, schema = 'public') {
+    const result = await this.pool.query(
+      'SELECT * FROM get_column_definitions($1, $2)',
+      [tableName, schema]
+    );
+    return result.rows[0].get_column_definitions || [];
+  }
+
+  async getFunctions(schema = 'public') {
+    const result = await this.pool.query('SELECT * FROM get_functions($1)', [schema]);
+    return result.rows[0].get_functions || [];
+  }
+
+  async getTriggers(schema = 'public') {
+    const result = await this.pool.query('SELECT * FROM get_triggers($1)', [schema]);
+    return result.rows[0].get_triggers || [];
+  }
+}
+
+/**
+ * Table columns that the output columns of a view return unchanged, read from
+ * the view's stored query tree ({QUERY ... :targetList ({TARGETENTRY ...})}).
+ * Outer joins, grouping sets and set operations can turn such a column null,
+ * so views using them have no origins.
+ *
+ * @returns {Array<{position: number, table: number, column: number}>} Column
+ *   position in the view, table oid and column number
+ */
+function getViewColumnOrigins(action) {
+  const [query] = getNodeListItems(action);
+  if (!query) {
+    return [];
+  }
+  const fields = getNodeFields(query);
+  if (fields.setOperations !== '<>' || fields.groupingSets !== '<>' || /:jointype [1-9]/.test(action)) {
+    return [];
+  }
+  return getNodeListItems(fields.targetList || '')
+    .map(getNodeFields)
+    .filter(entry => entry.resjunk === 'false' && entry.resorigtbl !== '0')
+    .map(entry => ({
+      position: Number(entry.resno),
+      table: Number(entry.resorigtbl),
+      column: Number(entry.resorigcol)
+    }));
+}
+
+/**
+ * Nodes ({...}) of a node list ((...)) in a query tree
+ */
+function getNodeListItems(list) {
+  const items = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < list.length; i++) {
+    const char = list[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '{') {
+      if (depth === 1) start = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 1) items.push(list.slice(start, i + 1));
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    }
+  }
+  return items;
+}
+
+/**
+ * Fields (:name value) of a node in a query tree, with their raw values
+ */
+function getNodeFields(node) {
+  const fields = {};
+  let depth = 0;
+  let name = null;
+  let start = 0;
+  for (let i = 0; i < node.length; i++) {
+    const char = node[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '{' || char === '(' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ')' || char === ']') {
+      depth--;
+      if (depth === 0 && name) fields[name] = node.slice(start, i).trim();
+    } else if (char === ':' && depth === 1 && /\s/.test(node[i - 1])) {
+      if (name) fields[name] = node.slice(start, i).trim();
+      const end = node.indexOf(' ', i);
+      name = node.slice(i + 1, end);
+      start = end;
+    }
+  }
+  return fields;
+}
+
+export const INTROSPECTION_MODES = ['catalog', 'functions'];
+
+/**
+ * Create the introspector for the given mode
+ */
+export function createIntrospector(pool, mode = 'catalog') {
+  switch (mode) {
+    case 'catalog':
+      return new CatalogIntrospector(pool);
+    case 'functions':
+      return new HelperFunctionIntrospector(pool);
+    default:
+      throw new Error(`Unknown introspection mode: ${mode} (expected one of ${INTROSPECTION_MODES.join(', ')})`);
+  }
+}
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileExists, readFromFile, writeToFile } from './files.js';
+
+/**
+ * Manifest of the files an export generated into an output directory, kept
+ * next to them so files of dropped tables can be found on the next run:
+ *
+ * {
+ *   "version": 1,
+ *   "files": {
+ *     "jobs.dart": "<sha256 of the generated content>",
+ *     "billing/invoices.dart": "..."
+ *   }
+ * }
+ *
+ * Paths are relative to the output directory, with / separators, sorted.
+ */
+export const MANIFEST_FILE = '.supabase_dart_exporter_manifest.json';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * SHA-256 of generated content
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read the manifest of an output directory
+ *
+ * @returns {Promise<Object<string, string>|null>} Content hashes by relative path,
+ *   null when the directory has no manifest
+ */
+export async function readManifest(dir) {
+  const filePath = path.join(dir, MANIFEST_FILE);
+  if (!await fileExists(filePath)) {
+    return null;
+  }
+  const manifest = JSON.parse(await readFromFile(filePath));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version} in ${filePath}`);
+  }
+  return manifest.files || {};
+}
+
+/**
+ * Content of a manifest
+ *
+ * @param {Object<string, string>} files Content hashes by relative path
+ */
+export function serializeManifest(files) {
+  const sorted = Object.fromEntries(Object.keys(files).sort().map(file => [file, files[file]]));
+  return JSON.stringify({ version: MANIFEST_VERSION, files: sorted }, null, 2) + '\n';
+}
+
+/**
+ * Write the manifest of an output directory
+ *
+ * @returns {Promise<boolean>} Whether the file was written
+ */
+export async function writeManifest(dir, files) {
+  return writeToFile(path.join(dir, MANIFEST_FILE), serializeManifest(files));
+}
+
+/**
+ * Files of a previous manifest that weren't generated again and still exist,
+ * with whether they were edited after they were generated
+ *
+ * @param {string} dir Output directory
+ * @param {Object<string, string>} previous Manifest of the previous run
+ * @param {Object<string, string>} current Files generated by this run
+ * @returns {Promise<Array<{file: string, modified: boolean}>>}
+ */
+export async function findStaleFiles(dir, previous, current) {
+  const stale = [];
+  for (const file of Object.keys(previous).sort()) {
+    const filePath = path.join(dir, file);
+    if (Object.hasOwn(current, file) || !await fileExists(filePath)) {
+      continue;
+    }
+    stale.push({ file, modified: hashContent(await readFromFile(filePath)) !== previous[file] });
+  }
+  return stale;
+}
+
+/**
+ * Delete a generated file and the directories it leaves empty, up to the
+ * output directory
+ */
+export async function removeGeneratedFile(dir, file) {
+  await fs.remove(path.join(dir, file));
+  let parent = path.dirname(path.join(dir, file));
+  while (path.relative(dir, parent) && !path.relative(dir, parent).startsWith('..')) {
+    if ((await fs.readdir(parent)).length > 0) {
+      break;
+    }
+    await fs.remove(parent);
+    parent = path.dirname(parent);
+  }
+}
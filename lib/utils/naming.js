@@ -0,0 +1,122 @@
+import { pascalCase, snakeCase } from 'change-case';
+
+/**
+ * Dart class and file names of tables, views, composite types and enums.
+ * By default names follow the database: the job_members table becomes
+ * JobMembers in job_members.dart. Prefixes can be stripped and the last word
+ * singularized:
+ *
+ * createNamingStrategy({ singularize: true, stripPrefixes: ['tbl_'] })
+ *   tbl_job_members -> JobMember in job_member.dart
+ */
+
+// Words whose singular is the same or not formed by a suffix rule
+const IRREGULAR_SINGULARS = {
+  people: 'person',
+  children: 'child',
+  men: 'man',
+  women: 'woman',
+  mice: 'mouse',
+  geese: 'goose',
+  feet: 'foot',
+  teeth: 'tooth',
+  criteria: 'criterion',
+  indices: 'index',
+  matrices: 'matrix',
+  vertices: 'vertex',
+  analyses: 'analysis',
+  aliases: 'alias',
+  biases: 'bias',
+  atlases: 'atlas',
+  canvases: 'canvas'
+};
+
+// Words ending in -ie, whose plural the -ies rule would turn into -y
+const IE_SINGULARS = new Set([
+  'movie', 'cookie', 'pie', 'tie', 'lie', 'die', 'zombie', 'calorie', 'rookie', 'selfie', 'hoodie',
+  'brownie', 'smoothie', 'genie', 'goalie', 'prairie', 'sortie', 'auntie', 'freebie', 'newbie'
+]);
+
+// Words ending in a consonant and -use, whose plural the -uses rule would turn into -us
+const USE_SINGULARS = new Set([
+  'abuse', 'misuse', 'disuse', 'excuse', 'recluse', 'refuse', 'fuse', 'muse', 'ruse'
+]);
+
+const UNCOUNTABLE = new Set([
+  'data', 'metadata', 'media', 'news', 'series', 'species', 'info', 'information',
+  'equipment', 'feedback', 'analytics'
+]);
+
+/**
+ * Singular of an English plural, e.g. categories -> category, statuses ->
+ * status. Words that aren't plural are kept.
+ */
+export function singularize(word) {
+  // Only the last word of a compound name changes, e.g. JobSeries or job_series
+  const compound = word.match(/^(.*(?:[_\s-]|[a-z0-9](?=[A-Z])))([A-Za-z]+)$/);
+  if (compound) {
+    return compound[1] + singularize(compound[2]);
+  }
+
+  const lower = word.toLowerCase();
+  if (UNCOUNTABLE.has(lower)) {
+    return word;
+  }
+  if (IRREGULAR_SINGULARS[lower]) {
+    const singular = IRREGULAR_SINGULARS[lower];
+    return word[0] === lower[0] ? singular : singular[0].toUpperCase() + singular.slice(1);
+  }
+  if (lower.endsWith('ies') && IE_SINGULARS.has(lower.slice(0, -1))) {
+    return word.slice(0, -1);
+  }
+  if (/[^aeiou]ies$/.test(lower)) {
+    return `${word.slice(0, -3)}y`;
+  }
+  // statuses -> status, but houses -> house
+  if (/(ss|x|ch|sh|zz|[^aeiou]us)es$/.test(lower) && !USE_SINGULARS.has(lower.slice(0, -1))) {
+    return word.slice(0, -2);
+  }
+  if (/(ss|us|is|ous)$/.test(lower) || !lower.endsWith('s') || lower.length < 3) {
+    return word;
+  }
+  return word.slice(0, -1);
+}
+
+/**
+ * Naming strategy for the Dart output
+ *
+ * @param {Object} options
+ * @param {boolean} options.singularize Singularize the last word of each name
+ * @param {string[]} options.stripPrefixes Prefixes removed from names, the longest matching first
+ * @returns {{ baseName: Function, className: Function, fileName: Function }}
+ */
+export function createNamingStrategy({ singularize: singular = false, stripPrefixes = [] } = {}) {
+  const prefixes = [...stripPrefixes].sort((a, b) => b.length - a.length);
+
+  const baseName = name => {
+    const prefix = prefixes.find(candidate => name.startsWith(candidate) && name.length > candidate.length);
+    let base = prefix ? name.slice(prefix.length) : name;
+    if (singular) {
+      const match = base.match(/^(.*?)([A-Za-z]+)$/);
+      if (match) {
+        base = match[1] + singularize(match[2]);
+      }
+    }
+    return base;
+  };
+
+  return {
+    baseName,
+    /**
+     * Class name, after the schema's class prefix
+     */
+    className: (name, classPrefix = '') => pascalCase(classPrefix) + pascalCase(baseName(name)),
+    /**
+     * File name without .dart, in snake_case
+     */
+    fileName: name => {
+      const base = baseName(name);
+      return /^[a-z][a-z0-9_]*$/.test(base) ? base : snakeCase(base);
+    }
+  };
+}
@@ -0,0 +1,166 @@
+import yaml from 'js-yaml';
+
+/**
+ * Barrel files and the standalone Dart package layout of the Dart output.
+ *
+ * Every export writes a models.dart barrel exporting the generated models,
+ * enums, repositories and rpc.dart. As a package (--dart-package db_models)
+ * the output directory becomes a Dart package that several apps can depend
+ * on:
+ *
+ *   pubspec.yaml        dependencies of the generated code, written when missing
+ *   build.yaml          build_runner settings, written when missing
+ *   lib/db_models.dart  the barrel
+ *   lib/src/            the generated files
+ */
+export const DART_BARREL_FILE = 'models.dart';
+
+// Versions of the packages generated code imports or is built with
+const PACKAGE_VERSIONS = {
+  freezed_annotation: '^2.4.1',
+  json_annotation: '^4.9.0',
+  dart_mappable: '^4.3.0',
+  decimal: '^3.0.0',
+  supabase_flutter: '^2.0.0',
+  build_runner: '^2.4.15',
+  freezed: '^2.4.7',
+  json_serializable: '^6.7.1',
+  dart_mappable_builder: '^4.3.0'
+};
+
+// Public names code generators add for each enum of a style, in part files
+const GENERATED_ENUM_NAMES = {
+  dart_mappable: name => [`${name}Mapper`, `${name}MapperExtension`]
+};
+
+// Words Dart reserves, which package names can't be
+const RESERVED_WORDS = new Set([
+  'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+  'extends', 'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow', 'return',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with'
+]);
+
+/**
+ * Check a Dart package name (lowercase_with_underscores)
+ */
+export function assertPackageName(name) {
+  if (!/^[a-z][a-z0-9_]*$/.test(name) || RESERVED_WORDS.has(name)) {
+    throw new Error(`Invalid Dart package name "${name}". Use lowercase letters, digits and underscores, starting with a letter`);
+  }
+}
+
+/**
+ * Public top-level names a Dart library declares
+ */
+export function getDartDeclarations(code, style = 'freezed') {
+  const names = [];
+  for (const [, kind, name] of code.matchAll(/^(?:(?:abstract|sealed|final|base|interface) )*(class|enum|mixin|extension|typedef) ([A-Za-z]\w*)/gm)) {
+    names.push(name);
+    if (kind === 'enum' && GENERATED_ENUM_NAMES[style]) {
+      names.push(...GENERATED_ENUM_NAMES[style](name));
+    }
+  }
+  return names;
+}
+
+/**
+ * Generate a barrel file exporting generated libraries. Names that several of
+ * them declare, such as the CHECK constraint enums of equally named columns,
+ * would make the exports ambiguous and are hidden from all of them.
+ *
+ * @param {Array<{path: string, code: string}>} files Import paths relative to the barrel, with their code
+ * @param {Object} options
+ * @param {string} options.style Serialization style of the generated code
+ */
+export function generateDartBarrel(files, options = {}) {
+  const { style = 'freezed' } = options;
+  const sorted = [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  const declarations = sorted.map(file => getDartDeclarations(file.code, style));
+  const counts = new Map();
+  declarations.flat().forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+
+  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+`;
+  sorted.forEach((file, index) => {
+    const hidden = [...new Set(declarations[index].filter(name => counts.get(name) > 1))];
+    code += `export '${file.path}'${hidden.length > 0 ? ` hide ${hidden.join(', ')}` : ''};\n`;
+  });
+  return code;
+}
+
+/**
+ * Packages imported by generated Dart code
+ */
+export function getImportedPackages(code) {
+  return [...code.matchAll(/^import 'package:([a-z]\w*)\//gm)].map(([, name]) => name);
+}
+
+/**
+ * Generate the pubspec.yaml of a package of generated code
+ *
+ * @param {string} name Package name
+ * @param {Object} options
+ * @param {string[]} options.packages Packages the generated code imports
+ * @param {string[]} options.devPackages Code generators of the serialization style
+ */
+export function generatePubspec(name, options = {}) {
+  const { packages = [], devPackages = [] } = options;
+  const versions = names => [...new Set(names)]
+    .filter(pkg => PACKAGE_VERSIONS[pkg])
+    .sort()
+    .map(pkg => `  ${pkg}: ${PACKAGE_VERSIONS[pkg]}\n`)
+    .join('');
+
+  let dependencies = versions(packages);
+  // supabase_flutter is a Flutter plugin
+  if (packages.includes('supabase_flutter')) {
+    dependencies = `  flutter:\n    sdk: flutter\n${dependencies}`;
+  }
+  const devDependencies = versions(devPackages);
+
+  return `# Generated by supabase-dart-exporter, which only writes this file when it's
+# missing. Edit it freely.
+name: ${name}
+description: Models of the Supabase database schema.
+version: 1.0.0
+publish_to: none
+
+environment:
+  sdk: '>=3.0.0 <4.0.0'
+${dependencies ? `\ndependencies:\n${dependencies}` : ''}${devDependencies ? `\ndev_dependencies:\n${devDependencies}` : ''}`;
+}
+
+/**
+ * Generate the build.yaml restricting code generation to lib/src, or null
+ * for styles without code generation
+ *
+ * @param {string[]} devPackages Code generators of the serialization style
+ */
+export function generateBuildYaml(devPackages) {
+  const builders = devPackages.filter(pkg => pkg !== 'build_runner');
+  if (builders.length === 0) {
+    return null;
+  }
+  let code = `# Generated by supabase-dart-exporter, which only writes this file when it's
+# missing. Edit it freely.
+targets:
+  $default:
+    builders:
+`;
+  builders.forEach(builder => {
+    code += `      ${builder}:\n        generate_for:\n          - lib/src/**.dart\n`;
+    if (builder === 'json_serializable') {
+      code += '        options:\n          explicit_to_json: true\n';
+    }
+  });
+  return code;
+}
+
+/**
+ * Packages missing from the dependencies of a pubspec.yaml
+ */
+export function findMissingDependencies(pubspec, packages) {
+  const { dependencies = {} } = yaml.load(pubspec) || {};
+  return [...new Set(packages)].filter(pkg => !Object.hasOwn(dependencies || {}, pkg)).sort();
+}
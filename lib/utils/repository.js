@@ -0,0 +1,311 @@
+import { pascalCase } from 'change-case';
+import { groupConstraints, getDartFields, getFieldImports, dartEnumValueName } from './files.js';
+import { DART_CONVERTERS_FILE } from './types.js';
+import { getDartStyle } from './styles.js';
+
+/**
+ * Shared runtime of the generated repositories, written once per Dart output
+ * directory
+ */
+export const REPOSITORY_RUNTIME_FILE = 'supabase_repository.dart';
+
+/**
+ * Generate supabase_repository.dart: typed columns, filters and ordering
+ * used by every <Table>Repository
+ */
+export function generateRepositoryRuntime() {
+  return `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+
+import 'package:supabase_flutter/supabase_flutter.dart';
+
+/// A column of the table behind model [T] holding Dart values of type [V]
+class TableColumn<T, V> {
+  const TableColumn(this.name, [this.values]);
+
+  /// Column name in the database
+  final String name;
+
+  /// Database values of the enum members, for enum columns
+  final Map<Object, String>? values;
+
+  RowFilter<T> eq(V value) => RowFilter._(name, 'eq', encode(value));
+
+  RowFilter<T> neq(V value) => RowFilter._(name, 'neq', encode(value));
+
+  RowFilter<T> gt(V value) => RowFilter._(name, 'gt', encode(value));
+
+  RowFilter<T> gte(V value) => RowFilter._(name, 'gte', encode(value));
+
+  RowFilter<T> lt(V value) => RowFilter._(name, 'lt', encode(value));
+
+  RowFilter<T> lte(V value) => RowFilter._(name, 'lte', encode(value));
+
+  RowFilter<T> inList(List<V> list) => RowFilter._(name, 'in', list.map(encode).toList());
+
+  RowFilter<T> isNull() => RowFilter._(name, 'is', null);
+
+  RowFilter<T> isNotNull() => RowFilter._(name, 'not.is', null);
+
+  RowFilter<T> like(String pattern) => RowFilter._(name, 'like', pattern);
+
+  RowFilter<T> ilike(String pattern) => RowFilter._(name, 'ilike', pattern);
+
+  /// Array and jsonb containment
+  RowFilter<T> contains(V value) => RowFilter._(name, 'cs', encode(value));
+
+  RowOrder<T> asc({bool nullsFirst = false}) => RowOrder._(name, true, nullsFirst);
+
+  RowOrder<T> desc({bool nullsFirst = false}) => RowOrder._(name, false, nullsFirst);
+
+  /// Dart value as sent to PostgREST
+  Object? encode(Object? value) {
+    if (value is List) return value.map(encode).toList();
+    if (value is DateTime) return value.toIso8601String();
+    if (value is Duration) return '\${value.inMicroseconds} microseconds';
+    return values?[value] ?? value;
+  }
+}
+
+/// A filter on the rows of the table behind model [T]
+class RowFilter<T> {
+  const RowFilter._(this.column, this.operator, this.value);
+
+  final String column;
+  final String operator;
+  final Object? value;
+
+  /// Add the filter to a select, update or delete query
+  PostgrestFilterBuilder<R> apply<R>(PostgrestFilterBuilder<R> query) => switch (operator) {
+        'eq' => query.eq(column, value!),
+        'neq' => query.neq(column, value!),
+        'gt' => query.gt(column, value!),
+        'gte' => query.gte(column, value!),
+        'lt' => query.lt(column, value!),
+        'lte' => query.lte(column, value!),
+        'in' => query.inFilter(column, value! as List),
+        'is' => query.isFilter(column, null),
+        'not.is' => query.not(column, 'is', null),
+        'like' => query.like(column, value! as String),
+        'ilike' => query.ilike(column, value! as String),
+        'cs' => query.contains(column, value!),
+        _ => query.filter(column, operator, value),
+      };
+}
+
+/// A sort order on the rows of the table behind model [T]
+class RowOrder<T> {
+  const RowOrder._(this.column, this.ascending, this.nullsFirst);
+
+  final String column;
+  final bool ascending;
+  final bool nullsFirst;
+}
+
+/// Apply filters, ordering and paging to a select query
+PostgrestTransformBuilder<PostgrestList> buildListQuery<T>(
+  PostgrestFilterBuilder<PostgrestList> query, {
+  List<RowFilter<T>> where = const [],
+  List<RowOrder<T>> orderBy = const [],
+  int? limit,
+  int? offset,
+}) {
+  for (final filter in where) {
+    query = filter.apply(query);
+  }
+  PostgrestTransformBuilder<PostgrestList> transform = query;
+  for (final order in orderBy) {
+    transform = transform.order(order.column, ascending: order.ascending, nullsFirst: order.nullsFirst);
+  }
+  if (limit != null) {
+    transform = offset != null ? transform.range(offset, offset + limit - 1) : transform.limit(limit);
+  }
+  return transform;
+}
+`;
+}
+
+/**
+ * Generate <table>_repository.dart, a typed data-access class wrapping
+ * supabase_flutter for one table. Lookups, updates, deletes and streams
+ * use the primary key and are left out for tables without one.
+ *
+ * @param {string} tableName
+ * @param {Array} columns Column rows (see getColumnDefinitions)
+ * @param {Array} constraints Constraint rows (see getTableConstraints)
+ * @param {Object} options
+ * @param {string} options.schema
+ * @param {string} options.classPrefix Prefix of the Dart class names
+ * @param {string} options.className Class name of the model, by default the prefixed table name in PascalCase
+ * @param {string} options.fileName File name of the model without .dart
+ * @param {Array} options.enumTypes Postgres enum types, as for generateDartModel
+ * @param {string} options.runtimeImport Import path of supabase_repository.dart
+ * @param {Object} options.typeOverrides Dart types by Postgres type or column, as for generateDartModel
+ * @param {Array} options.domains Domains, as for generateDartModel
+ * @param {Array} options.compositeTypes Composite types, as for generateDartModel
+ * @param {string} options.convertersImport Import path of converters.dart
+ * @param {string} options.style Serialization style of the models (see styles.js)
+ */
+export function generateDartRepository(tableName, columns, constraints, options = {}) {
+  const {
+    schema = 'public',
+    classPrefix = '',
+    runtimeImport = REPOSITORY_RUNTIME_FILE,
+    convertersImport = DART_CONVERTERS_FILE,
+    style = 'freezed'
+  } = options;
+  const {
+    className: modelName = (classPrefix ? pascalCase(classPrefix) : '') + pascalCase(tableName),
+    fileName = tableName
+  } = options;
+  const dartStyle = getDartStyle(style);
+  const fromJson = json => dartStyle.fromJson(modelName, json);
+  const fromJsonTearOff = dartStyle.fromJsonTearOff(modelName);
+  const toJson = value => dartStyle.toJson(value);
+  const fields = getDartFields(columns, constraints, { ...options, tableName });
+  const primaryKeys = groupConstraints(constraints)
+    .filter(c => c.constraint_type === 'PRIMARY KEY')
+    .flatMap(c => c.columns)
+    .map(name => fields.find(field => field.column.column_name === name))
+    .filter(Boolean);
+
+  const imports = [
+    runtimeImport,
+    ...new Set(fields.filter(field => field.enumType).map(({ enumType }) => enumType.importPath || 'enums.dart')),
+    // Column types from other packages, e.g. Decimal
+    ...getFieldImports(fields, convertersImport).filter(importPath => importPath !== convertersImport),
+    `${fileName}.dart`
+  ];
+
+  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+
+import 'package:supabase_flutter/supabase_flutter.dart';
+${[...new Set(imports)].map(importPath => `import '${importPath}';`).join('\n')}
+
+/// Typed columns of the ${tableName} table, for [${modelName}Repository.list] filters and ordering
+class ${modelName}Columns {
+  ${modelName}Columns._();
+
+`;
+
+  fields.forEach(({ column, fieldName, dartType, enumName, enumValues, enumType }) => {
+    const valueType = dartType.replace(/\?$/, '');
+    // Enum arrays are encoded element by element
+    const databaseValues = enumValues || enumType?.values;
+    const values = databaseValues
+      ? `, {${databaseValues.map(value => `${enumName}.${dartEnumValueName(value)}: ${dartString(value)}`).join(', ')}}`
+      : '';
+    code += `  static const ${fieldName} = TableColumn<${modelName}, ${valueType}>(${dartString(column.column_name)}${values});\n`;
+  });
+
+  const client = schema === 'public' ? '_client' : `_client.schema(${dartString(schema)})`;
+  code += `}
+
+/// Data access for the ${tableName} table through supabase_flutter
+class ${modelName}Repository {
+  ${modelName}Repository([SupabaseClient? client]) : _client = client ?? Supabase.instance.client;
+
+  final SupabaseClient _client;
+
+  /// Table name in the database
+  static const tableName = ${dartString(tableName)};
+
+  SupabaseQueryBuilder get _table => ${client}.from(tableName);
+`;
+
+  const keyParams = primaryKeys.map(field => `${field.dartType.replace(/\?$/, '')} ${field.fieldName}`).join(', ');
+  const keyFilter = query => primaryKeys.reduce(
+    (expression, field) => `${modelName}Columns.${field.fieldName}.eq(${field.fieldName}).apply(${expression})`,
+    query
+  );
+
+  if (primaryKeys.length > 0) {
+    code += `
+  /// Fetch the row with the given primary key, or null when there is none
+  Future<${modelName}?> fetchById(${keyParams}, {String columns = '*'}) async {
+    final row = await ${keyFilter('_table.select(columns)')}.maybeSingle();
+    return row == null ? null : ${fromJson('row')};
+  }
+`;
+  }
+
+  code += `
+  /// Fetch the rows matching every filter in [where]
+  Future<List<${modelName}>> list({
+    List<RowFilter<${modelName}>> where = const [],
+    List<RowOrder<${modelName}>> orderBy = const [],
+    int? limit,
+    int? offset,
+    String columns = '*',
+  }) async {
+    final rows = await buildListQuery<${modelName}>(
+      _table.select(columns),
+      where: where,
+      orderBy: orderBy,
+      limit: limit,
+      offset: offset,
+    );
+    return rows.map(${fromJsonTearOff}).toList();
+  }
+
+  /// Insert a row and return it as stored
+  Future<${modelName}> insert(${modelName}Insert values) async {
+    final inserted = await _table.insert(${toJson('values')}).select().single();
+    return ${fromJson('inserted')};
+  }
+`;
+
+  if (primaryKeys.length > 0) {
+    code += `
+  /// Apply [changes] to the row with the given primary key and return it as stored.
+  /// Fields left null in [changes] are kept, the columns in [setNull] are cleared.
+  Future<${modelName}> update(${keyParams}, ${modelName}Update changes, {
+    List<TableColumn<${modelName}, Object?>> setNull = const [],
+  }) async {
+    final payload = {
+      ...${toJson('changes')},
+      for (final column in setNull) column.name: null,
+    };
+    final updated = await ${keyFilter('_table.update(payload)')}.select().single();
+    return ${fromJson('updated')};
+  }
+`;
+  }
+
+  code += `
+  /// Insert a row, or update it when its primary or unique key already exists
+  Future<${modelName}> upsert(${modelName}Insert values) async {
+    final upserted = await _table.upsert(${toJson('values')}).select().single();
+    return ${fromJson('upserted')};
+  }
+`;
+
+  if (primaryKeys.length > 0) {
+    code += `
+  /// Delete the row with the given primary key
+  Future<void> delete(${keyParams}) async {
+    await ${keyFilter('_table.delete()')};
+  }
+
+  /// Realtime stream of the table's rows
+  Stream<List<${modelName}>> stream() {
+    return _table
+        .stream(primaryKey: [${primaryKeys.map(field => dartString(field.column.column_name)).join(', ')}])
+        .map((rows) => rows.map(${fromJsonTearOff}).toList());
+  }
+`;
+  }
+
+  code += '}\n';
+  return code;
+}
+
+/**
+ * Single-quoted Dart string literal
+ */
+function dartString(value) {
+  return `'${value.replace(/[\\'$]/g, '\\$&')}'`;
+}
@@ -0,0 +1,421 @@
+import { parseTypeName, normalizeDefault } from './sql-parser.js';
+
+/**
+ * Schema introspection through the PostgREST API of a Supabase project, for
+ * projects that only expose HTTPS. Tables, views, columns, primary and
+ * foreign keys, enums and comments are read from the OpenAPI description
+ * PostgREST serves at /rest/v1/. When the helper functions from
+ * sql/install_functions.sql are installed, columns, constraints, enums,
+ * functions and triggers are read through their RPCs instead, as the
+ * functions introspection mode does over a Postgres connection.
+ *
+ * Sequences, indexes, policies, grants, domains, composite types and view
+ * definitions aren't available through the API and are left out.
+ */
+
+// Helper functions called through /rpc when they are all exposed
+const HELPER_FUNCTIONS = [
+  'get_types',
+  'get_table_constraints',
+  'get_column_definitions',
+  'get_functions',
+  'get_triggers'
+];
+
+// Defaults PostgREST reports without parentheses that aren't literals
+const DEFAULT_KEYWORDS = new Set([
+  'current_date', 'current_time', 'current_timestamp', 'localtime', 'localtimestamp',
+  'current_user', 'session_user', 'user', 'true', 'false'
+]);
+
+const NUMERIC_TYPES = new Set(['smallint', 'integer', 'bigint', 'real', 'double precision', 'numeric']);
+
+/**
+ * Minimal PostgREST client authenticating with the project's API key
+ */
+export class PostgrestClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url Supabase project URL, e.g. https://abc.supabase.co
+   * @param {string} options.key Service role key
+   * @param {Function} options.fetch fetch implementation, the global one by default
+   */
+  constructor({ url, key, fetch = globalThis.fetch }) {
+    this.url = `${url.replace(/\/+$/, '')}/rest/v1`;
+    this.key = key;
+    this.fetch = fetch;
+    this.specs = new Map();
+  }
+
+  /**
+   * Send a request and return the parsed JSON response
+   */
+  async request(route, { method = 'GET', schema = null, body, accept = 'application/json' } = {}) {
+    const headers = {
+      apikey: this.key,
+      Authorization: `Bearer ${this.key}`,
+      Accept: accept
+    };
+    if (schema) {
+      headers[method === 'GET' ? 'Accept-Profile' : 'Content-Profile'] = schema;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await this.fetch(`${this.url}${route}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new Error(`Can't reach ${this.url}: ${error.cause?.message || error.message}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      let message = text;
+      try {
+        message = JSON.parse(text).message || text;
+      } catch {
+        // Not a PostgREST error, e.g. a proxy's HTML page
+      }
+      throw new Error(`${method} ${this.url}${route} failed with ${response.status}: ${message}`);
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * OpenAPI description of a schema's tables, views and functions
+   */
+  async getOpenApi(schema = 'public') {
+    if (!this.specs.has(schema)) {
+      this.specs.set(schema, await this.request('/', { schema, accept: 'application/openapi+json' }));
+    }
+    return this.specs.get(schema);
+  }
+
+  /**
+   * Call a function through /rpc
+   */
+  rpc(name, args = {}) {
+    return this.request(`/rpc/${name}`, { method: 'POST', body: args });
+  }
+}
+
+/**
+ * Introspector with the interface of CatalogIntrospector (introspection.js),
+ * reading the schema through a PostgrestClient
+ */
+export class RestIntrospector {
+  constructor(client) {
+    this.client = client;
+    this.helpers = null;
+  }
+
+  /**
+   * Whether the helper functions are exposed through the API
+   */
+  async detectHelpers() {
+    if (this.helpers === null) {
+      const { paths = {} } = await this.client.getOpenApi('public');
+      this.helpers = HELPER_FUNCTIONS.every(name => paths[`/rpc/${name}`]);
+    }
+    return this.helpers;
+  }
+
+  /**
+   * Tables and views of a schema's OpenAPI description. Relations without
+   * insert, update or delete endpoints are views; views PostgREST can write
+   * through count as tables.
+   */
+  async getRelations(schema) {
+    const { definitions = {}, paths = {} } = await this.client.getOpenApi(schema);
+    return Object.keys(definitions).sort().map(name => {
+      const methods = paths[`/${name}`] || {};
+      return {
+        name,
+        definition: definitions[name],
+        isView: !methods.post && !methods.patch && !methods.delete
+      };
+    });
+  }
+
+  async getRelation(name, schema) {
+    const relation = (await this.getRelations(schema)).find(item => item.name === name);
+    if (!relation) {
+      throw new Error(`${schema}.${name} isn't in the API description`);
+    }
+    return relation;
+  }
+
+  /**
+   * Types of enum columns, by name, with their schema and values
+   */
+  async getEnums(schema) {
+    const enums = new Map();
+    for (const { definition } of await this.getRelations(schema)) {
+      Object.values(definition.properties || {}).forEach(property => {
+        const values = property.enum || property.items?.enum;
+        if (!values || !property.format) {
+          return;
+        }
+        const typeName = property.format.replace(/\[\]$/, '');
+        const separator = typeName.lastIndexOf('.');
+        const name = typeName.slice(separator + 1);
+        enums.set(name, { schema: separator > 0 ? typeName.slice(0, separator) : schema, name, values });
+      });
+    }
+    return enums;
+  }
+
+  async getTables({ schema = 'public', tableTypes = ['BASE TABLE'], tableNames = null } = {}) {
+    return (await this.getRelations(schema))
+      .map(relation => ({ table_name: relation.name, table_type: relation.isView ? 'VIEW' : 'BASE TABLE' }))
+      .filter(table => tableTypes.includes(table.table_type) &&
+        (!tableNames || tableNames.includes(table.table_name)));
+  }
+
+  async getTypes(schema = 'public') {
+    if (await this.detectHelpers()) {
+      return await this.client.rpc('get_types', { p_schema_name: schema }) || [];
+    }
+    return [...(await this.getEnums(schema)).values()]
+      .filter(type => type.schema === schema)
+      .map(({ name, values }) => ({ name, values }));
+  }
+
+  async getTableConstraints(tableName, schema = 'public') {
+    if (await this.detectHelpers()) {
+      return await this.client.rpc('get_table_constraints', { p_table_name: tableName, p_schema_name: schema }) || [];
+    }
+    const { definition } = await this.getRelation(tableName, schema);
+    const { definitions = {} } = await this.client.getOpenApi(schema);
+    return getKeyConstraints(tableName, definition, schema, definitions);
+  }
+
+  async getColumnDefinitions(tableName, schema = 'public') {
+    if (await this.detectHelpers()) {
+      return await this.client.rpc('get_column_definitions', { p_table_name: tableName, p_schema_name: schema }) || [];
+    }
+    return this.getRelationProperties(tableName, schema);
+  }
+
+  async getViewColumns(viewName, schema = 'public') {
+    return this.getRelationProperties(viewName, schema);
+  }
+
+  /**
+   * Columns of a relation in the get_column_definitions shape, NOT NULL when
+   * PostgREST lists them as required
+   */
+  async getRelationProperties(name, schema) {
+    const { definition } = await this.getRelation(name, schema);
+    const enumSchemas = new Map([...(await this.getEnums(schema)).values()].map(type => [type.name, type.schema]));
+    const required = new Set(definition.required || []);
+    return Object.entries(definition.properties || {}).map(([name, property]) =>
+      toColumnRow(name, property, required.has(name), schema, enumSchemas));
+  }
+
+  async getFunctions(schema = 'public') {
+    return await this.detectHelpers() ? await this.client.rpc('get_functions', { p_schema_name: schema }) || [] : [];
+  }
+
+  async getTriggers(schema = 'public') {
+    return await this.detectHelpers() ? await this.client.rpc('get_triggers', { p_schema_name: schema }) || [] : [];
+  }
+
+  /**
+   * Views with their columns only; the API doesn't describe their queries
+   */
+  async getViews(schema = 'public') {
+    return (await this.getRelations(schema))
+      .filter(relation => relation.isView)
+      .map(relation => ({ name: relation.name, view_type: 'VIEW', definition: null, options: null }));
+  }
+
+  /**
+   * Table, view and column comments, which PostgREST uses as descriptions
+   */
+  async getComments(schema = 'public') {
+    const comments = [];
+    for (const { name, definition, isView } of await this.getRelations(schema)) {
+      const objectType = isView ? 'VIEW' : 'TABLE';
+      if (definition.description) {
+        comments.push({ object_type: objectType, object_name: name, column_name: null, object_args: null, comment: definition.description });
+      }
+      Object.entries(definition.properties || {}).forEach(([column, property]) => {
+        const { comment } = parseDescription(property.description);
+        if (comment) {
+          comments.push({ object_type: 'COLUMN', object_name: name, column_name: column, object_args: null, comment });
+        }
+      });
+    }
+    return comments;
+  }
+
+  async getDomains() {
+    return [];
+  }
+
+  async getCompositeTypes() {
+    return [];
+  }
+
+  async getRelationColumns() {
+    return [];
+  }
+
+  async getSequences() {
+    return [];
+  }
+
+  async getIndexes() {
+    return [];
+  }
+
+  async getRowLevelSecurity() {
+    return { tables: [], policies: [] };
+  }
+
+  async getGrants() {
+    return [];
+  }
+}
+
+/**
+ * Split a column description into the column's comment and the key notes
+ * PostgREST appends to it:
+ *
+ *   Note:
+ *   This is a Foreign Key to `users.id`.<fk table='users' column='id'/>
+ */
+export function parseDescription(description = '') {
+  const notes = (description || '').search(/(^|\n\n)Note:\n/);
+  const comment = (notes === -1 ? description || '' : description.slice(0, notes)).trim();
+  return {
+    comment: comment || null,
+    primaryKey: /<pk\/>/.test(description || ''),
+    foreignKeys: [...(description || '').matchAll(/<fk table='([^']+)' column='([^']+)'\/>/g)]
+      .map(([, table, column]) => ({ table, column }))
+  };
+}
+
+/**
+ * Primary and foreign key rows of a relation in the get_table_constraints
+ * shape, with Postgres' default constraint names. PostgREST notes every
+ * column of a foreign key separately; columns referencing the primary key
+ * columns of one table are joined into a composite foreign key. The notes
+ * name tables without their schema, so only references to relations of the
+ * same description are kept.
+ *
+ * @param {string} tableName
+ * @param {Object} definition OpenAPI definition of the relation
+ * @param {string} schema
+ * @param {Object} definitions Every definition of the schema's description
+ */
+export function getKeyConstraints(tableName, definition, schema = 'public', definitions = {}) {
+  const rows = [];
+  let position = 0;
+  const references = [];
+  Object.entries(definition.properties || {}).forEach(([column, property]) => {
+    const { primaryKey, foreignKeys } = parseDescription(property.description);
+    if (primaryKey) {
+      rows.push(keyRow(`${tableName}_pkey`, 'PRIMARY KEY', tableName, column, ++position));
+    }
+    foreignKeys
+      .filter(reference => definitions[reference.table])
+      .forEach(reference => references.push({ column, table: reference.table, foreignColumn: reference.column }));
+  });
+
+  const primaryKeyOf = table => Object.entries(definitions[table].properties || {})
+    .filter(([, property]) => parseDescription(property.description).primaryKey)
+    .map(([column]) => column);
+  const tables = [...new Set(references.map(reference => reference.table))];
+  tables.forEach(table => {
+    const toTable = references.filter(reference => reference.table === table);
+    const primaryKey = primaryKeyOf(table);
+    const composite = primaryKey.length > 1 && toTable.length === primaryKey.length &&
+      primaryKey.every(column => toTable.filter(reference => reference.foreignColumn === column).length === 1);
+    const groups = composite
+      ? [primaryKey.map(column => toTable.find(reference => reference.foreignColumn === column))]
+      : toTable.map(reference => [reference]);
+    groups.forEach(group => {
+      const name = `${tableName}_${group.map(reference => reference.column).join('_')}_fkey`;
+      group.forEach((reference, index) => {
+        rows.push({
+          ...keyRow(name, 'FOREIGN KEY', tableName, reference.column, index + 1),
+          foreign_table_schema: schema,
+          foreign_table_name: reference.table,
+          foreign_column_name: reference.foreignColumn,
+          confupdtype: 'a',
+          confdeltype: 'a'
+        });
+      });
+    });
+  });
+  return rows;
+}
+
+function keyRow(name, type, tableName, column, position) {
+  return {
+    constraint_name: name,
+    constraint_type: type,
+    table_name: tableName,
+    column_name: column,
+    ordinal_position: position,
+    foreign_table_schema: null,
+    foreign_table_name: null,
+    foreign_column_name: null,
+    check_clause: null,
+    confupdtype: null,
+    confdeltype: null
+  };
+}
+
+/**
+ * get_column_definitions row of an OpenAPI property, whose format is the
+ * column type as format_type() prints it
+ */
+function toColumnRow(name, property, required, schema, enumSchemas) {
+  const format = property.format || 'text';
+  const sized = property.maxLength && !format.endsWith('[]') ? `${format}(${property.maxLength})` : format;
+  const column = parseTypeName(sized, schema, enumSchemas);
+  return {
+    column_name: name,
+    column_default: toColumnDefault(property.default, column),
+    data_type: column.dataType,
+    character_maximum_length: column.maxLength,
+    is_nullable: required ? 'NO' : 'YES',
+    numeric_precision: column.precision,
+    numeric_scale: column.scale,
+    udt_schema: column.udtSchema,
+    udt_name: column.udtName,
+    column_type: column.type,
+    is_identity: 'NO',
+    identity_generation: null,
+    is_generated: 'NEVER',
+    generation_expression: null
+  };
+}
+
+/**
+ * Default expression of a column, the way Postgres reports it. PostgREST
+ * reports literal defaults without quotes and casts, e.g. 'draft'::job_stage
+ * as draft.
+ */
+function toColumnDefault(value, column) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const expression = typeof value === 'string' && (/[()]|::/.test(text) ||
+    DEFAULT_KEYWORDS.has(text.toLowerCase()) ||
+    (/^-?\d+(\.\d+)?$/.test(text) && NUMERIC_TYPES.has(column.dataType)));
+  return expression ? text : normalizeDefault(`'${text.replace(/'/g, "''")}'`, column);
+}
@@ -0,0 +1,376 @@
+import { camelCase, pascalCase } from 'change-case';
+import { dartEnumValueName, qualifiedName } from './files.js';
+import { DART_CONVERTERS_FILE, resolveDartType } from './types.js';
+import { DART_SUPPORT_FILE, getDartStyle, usesDartSupport } from './styles.js';
+
+/**
+ * Helper functions installed by the SQL files in sql/, never exposed as RPC
+ */
+export const EXPORTER_FUNCTIONS = new Set([
+  'exec_sql',
+  'get_column_definitions',
+  'get_db_functions',
+  'get_db_triggers',
+  'get_enum_types',
+  'get_functions',
+  'get_table_constraints',
+  'get_table_indexes',
+  'get_table_info',
+  'get_tables',
+  'get_triggers',
+  'get_types',
+  'get_view_definitions'
+]);
+
+// Return types PostgREST can't call a function for
+const UNSUPPORTED_TYPES = new Set(['trigger', 'event_trigger', 'internal', 'cstring']);
+
+/**
+ * Functions of a snapshot schema that can be called through PostgREST's
+ * /rpc endpoint: plain functions with named input parameters, excluding the
+ * exporter's helpers and functions of snapshots written before parameters
+ * were recorded.
+ */
+export function getRpcFunctions(functions) {
+  return functions.filter(func => func.kind === 'FUNCTION' &&
+    func.parameters &&
+    func.returns &&
+    !EXPORTER_FUNCTIONS.has(func.name) &&
+    !UNSUPPORTED_TYPES.has(func.returns.udtName) &&
+    getInputParameters(func).every(param => param.name && !UNSUPPORTED_TYPES.has(param.udtName)));
+}
+
+/**
+ * Generate rpc.dart: an Rpc class with one typed method per function of a
+ * schema. Arguments are named parameters, required unless the function has a
+ * default for them. Functions returning a table's rows give that table's
+ * model, RETURNS TABLE(...) and OUT parameters give a generated result class
+ * and scalars their Dart type.
+ *
+ * @param {Array} functions Snapshot functions of the schema
+ * @param {Object} options
+ * @param {string} options.schema
+ * @param {string} options.classPrefix Prefix of the Dart class names
+ * @param {Array} options.enumTypes Postgres enum types, as for generateDartModel
+ * @param {Array} options.models Generated models as { schema, name, className, importPath }
+ * @param {Object} options.typeOverrides Dart types by Postgres type (see types.js)
+ * @param {Array} options.domains Domains, resolved to their base type
+ * @param {Array} options.compositeTypes Composite types with their Dart model
+ * @param {string} options.convertersImport Import path of converters.dart
+ * @param {string} options.style Serialization style of the models and result classes (see styles.js)
+ * @param {string} options.supportImport Import path of model_support.dart, for plain result classes
+ */
+export function generateDartRpc(functions, options = {}) {
+  const {
+    schema = 'public',
+    classPrefix = '',
+    enumTypes = [],
+    models = [],
+    typeOverrides = {},
+    domains = [],
+    compositeTypes = [],
+    convertersImport = DART_CONVERTERS_FILE,
+    style = 'freezed',
+    supportImport = DART_SUPPORT_FILE
+  } = options;
+  const dartStyle = getDartStyle(style);
+  const typePrefix = classPrefix ? pascalCase(classPrefix) : '';
+  const className = `${typePrefix}Rpc`;
+  const imports = new Set();
+  const usedEnums = new Map();
+  const resultClasses = [];
+
+  // Dart type of a parameter or return value, and how to encode and decode it
+  const resolveType = type => {
+    const enumType = enumTypes.find(t => t.schema === type.udtSchema && t.name === type.udtName);
+    if (enumType) {
+      imports.add(enumType.importPath || 'enums.dart');
+      usedEnums.set(enumType.dartName, enumType);
+      return { element: enumType.dartName, enumType, isArray: type.isArray };
+    }
+
+    const resolved = resolveDartType({ ...type, isArray: false }, { typeOverrides, domains, compositeTypes });
+    resolved.imports.forEach(importPath => {
+      imports.add(importPath === DART_CONVERTERS_FILE ? convertersImport : importPath);
+    });
+    const composite = compositeTypes.some(t => t.dartName === resolved.dartType);
+    // json and jsonb functions can return any JSON value
+    const element = resolved.dartType.startsWith('Map<') ? 'dynamic' : resolved.dartType;
+    return { element, converter: resolved.converter, composite, isArray: type.isArray, dartStyle };
+  };
+
+  const methods = [];
+  const byName = new Map();
+  // Sorted by name, however the functions were introspected
+  getRpcFunctions(functions)
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .forEach(func => {
+      byName.set(func.name, [...(byName.get(func.name) || []), func]);
+    });
+
+  const taken = new Set();
+  byName.forEach((overloads, name) => {
+    overloads.forEach(func => {
+      const params = getInputParameters(func);
+      // Overloads are told apart by their argument names
+      let methodName = camelCase(name);
+      if (overloads.length > 1 && params.length > 0) {
+        methodName += `With${params.map(param => pascalCase(param.name)).join('And')}`;
+      }
+      methodName = dartEnumValueName(methodName);
+      const baseName = methodName;
+      for (let i = 2; taken.has(methodName); i++) {
+        methodName = `${baseName}${i}`;
+      }
+      taken.add(methodName);
+      methods.push(generateMethod(func, methodName, params));
+    });
+  });
+
+  function generateMethod(func, methodName, params) {
+    const requiredCount = params.length - (func.defaultCount || 0);
+    const args = params.map((param, index) => ({
+      name: param.name,
+      fieldName: dartEnumValueName(param.name),
+      required: index < requiredCount,
+      ...resolveType(param)
+    }));
+    const { returnType, call, decode } = getReturn(func, methodName);
+
+    let code = `\n  /// Calls ${qualifiedName(schema, func.name)}(${func.arguments || ''})\n`;
+    code += `  Future<${returnType}> ${methodName}(`;
+    if (args.length > 0) {
+      code += '{\n';
+      args.forEach(arg => {
+        const dartType = arg.isArray ? `List<${arg.element}>` : arg.element;
+        code += arg.required
+          ? `    required ${dartType} ${arg.fieldName},\n`
+          : `    ${dartType === 'dynamic' ? dartType : `${dartType}?`} ${arg.fieldName},\n`;
+      });
+      code += '  }';
+    }
+    code += ') async {\n';
+
+    const paramsArg = args.length > 0 ? `, params: {\n${args.map(arg => {
+      const entry = `${dartString(arg.name)}: ${encodeExpression(arg.fieldName, arg)}`;
+      return arg.required
+        ? `      ${entry},\n`
+        : `      if (${arg.fieldName} != null) ${entry},\n`;
+    }).join('')}    }` : '';
+    code += `    ${call}(${dartString(func.name)}${paramsArg});\n`;
+    if (decode) {
+      code += `    return ${decode};\n`;
+    }
+    code += '  }\n';
+    return code;
+  }
+
+  function getReturn(func, methodName) {
+    const { returns } = func;
+    const rpc = '_rpc.rpc';
+    const outputs = func.parameters.filter(param => ['OUT', 'INOUT', 'TABLE'].includes(param.mode));
+
+    if (returns.udtName === 'void') {
+      return { returnType: 'void', call: `await ${rpc}` };
+    }
+
+    // Rows of a table or view with a generated model
+    const model = returns.relation &&
+      models.find(m => m.schema === returns.udtSchema && m.name === returns.relation);
+    if (model) {
+      if (model.importPath) {
+        imports.add(model.importPath);
+      }
+      return returns.isSet
+        ? {
+          returnType: `List<${model.className}>`,
+          call: `final rows = await ${rpc}<List<dynamic>>`,
+          decode: `rows.map((row) => ${dartStyle.fromJson(model.className, 'row as Map<String, dynamic>')}).toList()`
+        }
+        : {
+          returnType: `${model.className}?`,
+          call: `final row = await ${rpc}<Map<String, dynamic>?>`,
+          decode: `row == null ? null : ${dartStyle.fromJson(model.className, 'row')}`
+        };
+    }
+
+    // RETURNS TABLE(...) and several OUT parameters
+    if (returns.udtName === 'record' && outputs.length > 0) {
+      const resultName = `${typePrefix}${pascalCase(methodName)}Result`;
+      resultClasses.push(generateResultClass(resultName, func, outputs));
+      return returns.isSet
+        ? {
+          returnType: `List<${resultName}>`,
+          call: `final rows = await ${rpc}<List<dynamic>>`,
+          decode: `rows.map((row) => ${dartStyle.fromJson(resultName, 'row as Map<String, dynamic>')}).toList()`
+        }
+        : {
+          returnType: `${resultName}?`,
+          call: `final row = await ${rpc}<Map<String, dynamic>?>`,
+          decode: `row == null ? null : ${dartStyle.fromJson(resultName, 'row')}`
+        };
+    }
+
+    // Anonymous records and composite types without a model stay JSON
+    if (returns.relation || returns.udtName === 'record') {
+      return returns.isSet
+        ? {
+          returnType: 'List<Map<String, dynamic>>',
+          call: `final rows = await ${rpc}<List<dynamic>>`,
+          decode: 'rows.cast<Map<String, dynamic>>()'
+        }
+        : {
+          returnType: 'Map<String, dynamic>?',
+          call: `final row = await ${rpc}<Map<String, dynamic>?>`,
+          decode: 'row'
+        };
+    }
+
+    const type = resolveType(returns);
+    if (returns.isSet) {
+      return {
+        returnType: `List<${dartTypeOf(type)}>`,
+        call: `final values = await ${rpc}<List<dynamic>>`,
+        decode: `values.map((value) => ${decodeExpression('value', type)}).toList()`
+      };
+    }
+    const returnType = dartTypeOf(type);
+    return {
+      returnType: returnType === 'dynamic' ? returnType : `${returnType}?`,
+      call: `final value = await ${rpc}`,
+      decode: decodeExpression('value', type, true)
+    };
+  }
+
+  function generateResultClass(resultName, func, outputs) {
+    return dartStyle.renderClass({
+      name: resultName,
+      docs: [`Row returned by ${qualifiedName(schema, func.name)}(${func.arguments || ''})`],
+      ignoreNull: false,
+      fields: outputs.map(param => {
+        const type = resolveType(param);
+        const dartType = dartTypeOf(type);
+        return {
+          name: dartEnumValueName(param.name),
+          type: dartType === 'dynamic' ? dartType : `${dartType}?`,
+          key: param.name,
+          converter: type.converter || null,
+          isEnum: Boolean(type.enumType),
+          required: false,
+          defaultValue: null,
+          docs: null
+        };
+      })
+    });
+  }
+
+  const client = schema === 'public' ? '_client' : `_client.schema(${dartString(schema)})`;
+  const body = `/// Typed calls to the functions of the ${schema} schema through supabase_flutter
+class ${className} {
+  ${className}([SupabaseClient? client]) : _client = client ?? Supabase.instance.client;
+
+  final SupabaseClient _client;
+
+  ${schema === 'public' ? 'SupabaseClient' : 'PostgrestClient'} get _rpc => ${client};
+${methods.join('')}}
+`;
+
+  if (resultClasses.some(usesDartSupport)) {
+    imports.add(supportImport);
+  }
+
+  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+// ignore_for_file: invalid_annotation_target
+
+${resultClasses.length > 0 ? dartStyle.imports.map(importPath => `import '${importPath}';\n`).join('') : ''}\
+import 'package:supabase_flutter/supabase_flutter.dart';
+${[...imports].sort().map(importPath => `import '${importPath}';\n`).join('')}`;
+
+  const parts = resultClasses.length > 0 ? dartStyle.parts('rpc') : [];
+  if (parts.length > 0) {
+    code += `\n${parts.map(part => `part '${part}';\n`).join('')}`;
+  }
+
+  code += '\n';
+  // Result classes decode their enum fields themselves, so only the enums of
+  // arguments and return values need a table of database values
+  const calls = [...resultClasses, body].join('');
+  usedEnums.forEach(enumType => {
+    const values = `_${camelCase(enumType.dartName)}Values`;
+    if (!calls.includes(values)) {
+      return;
+    }
+    code += `const ${values} = {\n`;
+    code += enumType.values.map(value =>
+      `  ${enumType.dartName}.${dartEnumValueName(value)}: ${dartString(value)},\n`).join('');
+    code += '};\n\n';
+  });
+  if (calls.includes('_decodeEnum(')) {
+    code += `E _decodeEnum<E>(Map<E, String> values, Object? value) =>
+    values.entries.firstWhere((entry) => entry.value == value).key;
+
+`;
+  }
+
+  resultClasses.forEach(resultClass => {
+    code += `${resultClass}\n`;
+  });
+
+  return code + body;
+}
+
+/**
+ * IN, INOUT and VARIADIC parameters, in call order
+ */
+function getInputParameters(func) {
+  return (func.parameters || []).filter(param => ['IN', 'INOUT', 'VARIADIC'].includes(param.mode));
+}
+
+function dartTypeOf({ element, isArray }) {
+  return isArray ? `List<${element}>` : element;
+}
+
+/**
+ * Dart expression turning an argument into its JSON value
+ */
+function encodeExpression(name, { element, enumType, converter, composite, isArray, dartStyle }) {
+  const encode = value => {
+    if (enumType) return `_${camelCase(enumType.dartName)}Values[${value}]!`;
+    if (converter) return `const ${converter}.toJson(${value})`;
+    if (composite) return dartStyle.toJson(value);
+    if (element === 'DateTime') return `${value}.toIso8601String()`;
+    return null;
+  };
+  const encoded = encode(isArray ? 'e' : name);
+  if (!encoded) return name;
+  return isArray ? `${name}.map((e) => ${encoded}).toList()` : encoded;
+}
+
+/**
+ * Dart expression turning a JSON value into the Dart type
+ */
+function decodeExpression(name, { element, enumType, converter, composite, isArray, dartStyle }, nullable = false) {
+  const decode = value => {
+    if (enumType) return `_decodeEnum(_${camelCase(enumType.dartName)}Values, ${value})`;
+    if (converter) return `const ${converter}.fromJson(${value} as dynamic)`;
+    if (composite) return dartStyle.fromJson(element, `${value} as Map<String, dynamic>`);
+    switch (element) {
+      case 'int': return `(${value} as num).toInt()`;
+      case 'double': return `(${value} as num).toDouble()`;
+      case 'DateTime': return `DateTime.parse(${value} as String)`;
+      case 'dynamic': return value;
+      default: return `${value} as ${element}`;
+    }
+  };
+  const decoded = isArray ? `(${name} as List).map((e) => ${decode('e')}).toList()` : decode(name);
+  return nullable && decoded !== name ? `${name} == null ? null : ${decoded}` : decoded;
+}
+
+/**
+ * Single-quoted Dart string literal
+ */
+function dartString(value) {
+  return `'${value.replace(/[\\'$]/g, '\\$&')}'`;
+}
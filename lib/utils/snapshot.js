@@ -0,0 +1,423 @@
+import path from 'path';
+import { camelCase, snakeCase } from 'change-case';
+import { fileExists, readFromFile, writeToFile, groupConstraints } from './files.js';
+
+/**
+ * Normalized schema snapshot (schema.json), the intermediate representation
+ * every SQL file, Dart model and migration is generated from. It can be
+ * written by a live export and read back offline.
+ *
+ * {
+ *   version: 1,
+ *   schemas: {
+ *     public: {
+ *       enums: [{ name, values }],
+ *       domains: [{ name, type, dataType, udtSchema, udtName, notNull, default, checks }],
+ *       compositeTypes: [{ name, columns }],
+ *       sequences: [{ name, dataType, startValue, ..., ownedByTable, ownedByColumn }],
+ *       tables: [{ name, columns, constraints }],
+ *       views: [{ name, viewType, definition, options, columns }],
+ *       functions: [{ name, kind, arguments, definition, parameters, defaultCount, returns }],
+ *       triggers: [{ name, table, definition }],
+ *       indexes: [{ tableName, indexName, indexDefinition, isPrimary, isUnique }],
+ *       rowLevelSecurity: { tables: [{ tableName, forceRls }], policies: [...] },
+ *       grants: [{ objectType, objectName, objectArgs, grantee, privilegeType, isGrantable }],
+ *       comments: [{ objectType, objectName, columnName, objectArgs, comment }],
+ *       relations: [{ constraint, table, columns, referencedSchema, referencedTable, referencedColumns }]
+ *     }
+ *   }
+ * }
+ *
+ * Columns are { name, type, dataType, udtSchema, udtName, nullable, default,
+ * maxLength, precision, scale, identity, generated } and constraints are
+ * { name, type, columns, references, check } with
+ * references = { schema, table, columns, onUpdate, onDelete }. EXCLUDE
+ * constraints also have the definition pg_get_constraintdef() prints.
+ *
+ * Function parameters are { name, mode, type, udtSchema, udtName, isArray }
+ * and returns is { type, udtSchema, udtName, isArray, relation, isSet }.
+ */
+export const SNAPSHOT_FILE = 'schema.json';
+export const SNAPSHOT_VERSION = 1;
+
+const FK_ACTIONS = {
+  a: 'NO ACTION',
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT'
+};
+
+const PARAMETER_MODES = {
+  i: 'IN',
+  o: 'OUT',
+  b: 'INOUT',
+  v: 'VARIADIC',
+  t: 'TABLE'
+};
+
+/**
+ * Create an empty snapshot
+ */
+export function createSnapshot() {
+  return { version: SNAPSHOT_VERSION, schemas: {} };
+}
+
+/**
+ * Get a schema's entry in a snapshot, adding it when missing
+ */
+export function getSnapshotSchema(snapshot, schema) {
+  if (!snapshot.schemas[schema]) {
+    snapshot.schemas[schema] = {
+      enums: [],
+      domains: [],
+      compositeTypes: [],
+      sequences: [],
+      tables: [],
+      views: [],
+      functions: [],
+      triggers: [],
+      indexes: [],
+      rowLevelSecurity: { tables: [], policies: [] },
+      grants: [],
+      comments: [],
+      relations: []
+    };
+  }
+  return snapshot.schemas[schema];
+}
+
+/**
+ * Build a snapshot from a database. Every table is read, so foreign keys to
+ * tables filtered out later (see filterSnapshot) can be dropped with them.
+ *
+ * @param {CatalogIntrospector} introspector
+ * @param {string[]} schemas
+ */
+export async function introspectSnapshot(introspector, schemas) {
+  const snapshot = createSnapshot();
+
+  for (const schema of schemas) {
+    const entry = getSnapshotSchema(snapshot, schema);
+
+    entry.enums = (await introspector.getTypes(schema)).map(type => ({ name: type.name, values: type.values }));
+    entry.domains = (await introspector.getDomains(schema)).map(camelCaseKeys);
+    for (const type of await introspector.getCompositeTypes(schema)) {
+      const columns = await introspector.getRelationColumns(type.name, schema);
+      entry.compositeTypes.push({ name: type.name, columns: columns.map(normalizeColumn) });
+    }
+    entry.sequences = (await introspector.getSequences(schema)).map(camelCaseKeys);
+
+    for (const table of await introspector.getTables({ schema })) {
+      const columns = await introspector.getColumnDefinitions(table.table_name, schema);
+      const constraints = await introspector.getTableConstraints(table.table_name, schema);
+      entry.tables.push(normalizeTable(table.table_name, columns, sortBy(constraints, row => row.constraint_name)));
+    }
+
+    for (const view of await introspector.getViews(schema)) {
+      const columns = await introspector.getViewColumns(view.name, schema);
+      entry.views.push({ ...camelCaseKeys(view), columns: columns.map(normalizeColumn) });
+    }
+
+    entry.functions = (await introspector.getFunctions(schema)).map(normalizeFunction);
+    entry.triggers = (await introspector.getTriggers(schema)).map(camelCaseKeys);
+    entry.indexes = (await introspector.getIndexes(schema)).map(camelCaseKeys);
+
+    const rls = await introspector.getRowLevelSecurity(schema);
+    entry.rowLevelSecurity = {
+      tables: rls.tables.map(camelCaseKeys),
+      policies: rls.policies.map(camelCaseKeys)
+    };
+    entry.grants = (await introspector.getGrants(schema)).map(camelCaseKeys);
+    entry.comments = (await introspector.getComments(schema)).map(camelCaseKeys);
+
+    // Code point order, so the output doesn't depend on the database's collation
+    sortBy(entry.enums, item => item.name);
+    sortBy(entry.domains, item => item.name);
+    sortBy(entry.compositeTypes, item => item.name);
+    sortBy(entry.sequences, item => item.name);
+    sortBy(entry.tables, item => item.name);
+    sortBy(entry.functions, item => `${item.name}(${item.arguments || ''})`);
+    sortBy(entry.triggers, item => `${item.table}.${item.name}`);
+    sortBy(entry.indexes, item => `${item.tableName}.${item.indexName}`);
+    entry.relations = getRelations(entry.tables);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Sort items in place by a string key, keeping the order of equal keys
+ */
+function sortBy(items, keyOf) {
+  return items.sort((a, b) => {
+    const keyA = keyOf(a);
+    const keyB = keyOf(b);
+    return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+  });
+}
+
+/**
+ * Normalize a table's column and constraint rows
+ */
+export function normalizeTable(name, columns, constraints) {
+  return {
+    name,
+    columns: columns.map(normalizeColumn),
+    constraints: groupConstraints(constraints).map(normalizeConstraint)
+  };
+}
+
+/**
+ * Normalize a get_column_definitions row
+ */
+export function normalizeColumn(col) {
+  return {
+    name: col.column_name,
+    type: col.column_type || null,
+    dataType: col.data_type,
+    udtSchema: col.udt_schema || null,
+    udtName: col.udt_name || null,
+    // udt_* name the base type of domain columns
+    ...(col.domain_name ? { domainSchema: col.domain_schema, domainName: col.domain_name } : {}),
+    nullable: col.is_nullable !== 'NO',
+    default: col.column_default ?? null,
+    maxLength: col.character_maximum_length ?? null,
+    precision: col.numeric_precision ?? null,
+    scale: col.numeric_scale ?? null,
+    identity: col.is_identity === 'YES' ? (col.identity_generation || 'BY DEFAULT') : null,
+    generated: col.is_generated === 'ALWAYS' ? (col.generation_expression || null) : null
+  };
+}
+
+/**
+ * Normalize a get_functions row. Parameters and the return type are only
+ * known for live exports and are left out when the row has none.
+ */
+export function normalizeFunction(func) {
+  const normalized = {
+    name: func.name,
+    kind: func.kind || 'FUNCTION',
+    arguments: func.arguments ?? null,
+    definition: func.definition
+  };
+  if (func.parameters !== undefined) {
+    normalized.parameters = (func.parameters || []).map(param => ({
+      name: param.name || null,
+      mode: PARAMETER_MODES[param.mode] || 'IN',
+      type: param.type,
+      udtSchema: param.udt_schema,
+      udtName: param.udt_name,
+      isArray: param.is_array
+    }));
+    normalized.defaultCount = func.default_count ?? 0;
+    normalized.returns = func.return_type
+      ? {
+        type: func.return_type,
+        udtSchema: func.return_udt_schema,
+        udtName: func.return_udt_name,
+        isArray: func.return_is_array,
+        relation: func.return_relation || null,
+        isSet: func.returns_set
+      }
+      : null;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize a grouped constraint (see groupConstraints)
+ */
+function normalizeConstraint(constraint) {
+  return {
+    name: constraint.constraint_name,
+    type: constraint.constraint_type,
+    columns: constraint.columns,
+    references: constraint.constraint_type === 'FOREIGN KEY'
+      ? {
+        schema: constraint.foreign_table_schema || null,
+        table: constraint.foreign_table_name,
+        columns: constraint.foreign_columns,
+        onUpdate: FK_ACTIONS[constraint.confupdtype] || 'NO ACTION',
+        onDelete: FK_ACTIONS[constraint.confdeltype] || 'NO ACTION'
+      }
+      : null,
+    check: constraint.check_clause || null,
+    ...(constraint.definition ? { definition: constraint.definition } : {}),
+    ...(constraint.not_valid ? { notValid: true } : {})
+  };
+}
+
+/**
+ * Foreign key relations between the tables of a schema
+ */
+export function getRelations(tables) {
+  return tables.flatMap(table => table.constraints
+    .filter(constraint => constraint.references)
+    .map(constraint => ({
+      constraint: constraint.name,
+      table: table.name,
+      columns: constraint.columns,
+      referencedSchema: constraint.references.schema,
+      referencedTable: constraint.references.table,
+      referencedColumns: constraint.references.columns
+    })));
+}
+
+/**
+ * Relations of a table that PostgREST can embed, keyed the way they appear in
+ * the response of select('*, key:table!constraint(*)'):
+ * - many-to-one: this table's foreign keys, keyed by the column without its
+ *   _id suffix (owner_id becomes owner), or the referenced table's name
+ * - one-to-one: foreign keys of other tables on their primary or unique key
+ *   pointing here, keyed by the referencing table
+ * - one-to-many: any other foreign key pointing here, keyed by the referencing
+ *   table, or table_column when that table references this one more than once
+ *
+ * Only relations within the schema are returned, PostgREST can't embed across schemas.
+ *
+ * @param {Array} tables Snapshot tables of one schema
+ * @param {string} tableName
+ * @param {string} schema
+ */
+export function getEmbeddedRelations(tables, tableName, schema) {
+  const table = tables.find(t => t.name === tableName);
+  if (!table) {
+    return [];
+  }
+
+  const sameSchema = constraint => constraint.references &&
+    (constraint.references.schema || schema) === schema;
+  const singleColumnBase = columns => (columns.length === 1 && /_id$/.test(columns[0])
+    ? columns[0].replace(/_id$/, '')
+    : null);
+  const taken = new Set(table.columns.map(col => col.name));
+  const relations = [];
+
+  const add = (relation, candidates) => {
+    const key = candidates.find(candidate => candidate && !taken.has(candidate)) || relation.constraint;
+    taken.add(key);
+    relations.push({ key, ...relation });
+  };
+
+  table.constraints
+    .filter(constraint => sameSchema(constraint) && tables.some(t => t.name === constraint.references.table))
+    .forEach(constraint => {
+      add({
+        kind: 'many-to-one',
+        table: constraint.references.table,
+        constraint: constraint.name,
+        columns: constraint.columns
+      }, [singleColumnBase(constraint.columns), constraint.references.table]);
+    });
+
+  tables.forEach(other => {
+    const incoming = other.constraints.filter(constraint => sameSchema(constraint) &&
+      constraint.references.table === tableName);
+    incoming.forEach(constraint => {
+      const isUnique = other.constraints.some(c => (c.type === 'PRIMARY KEY' || c.type === 'UNIQUE') &&
+        c.columns.length === constraint.columns.length &&
+        c.columns.every(column => constraint.columns.includes(column)));
+      const base = singleColumnBase(constraint.columns) || constraint.columns.join('_');
+      add({
+        kind: isUnique ? 'one-to-one' : 'one-to-many',
+        table: other.name,
+        constraint: constraint.name,
+        columns: constraint.columns
+      }, incoming.length === 1 ? [other.name, `${other.name}_${base}`] : [`${other.name}_${base}`]);
+    });
+  });
+
+  return relations;
+}
+
+/**
+ * Column rows in the get_column_definitions shape the generators take
+ */
+export function toColumnRows(columns) {
+  return columns.map(col => ({
+    column_name: col.name,
+    column_default: col.default,
+    data_type: col.dataType,
+    character_maximum_length: col.maxLength,
+    is_nullable: col.nullable ? 'YES' : 'NO',
+    numeric_precision: col.precision,
+    numeric_scale: col.scale,
+    udt_schema: col.udtSchema,
+    udt_name: col.udtName,
+    domain_schema: col.domainSchema ?? null,
+    domain_name: col.domainName ?? null,
+    column_type: col.type,
+    is_identity: col.identity ? 'YES' : 'NO',
+    identity_generation: col.identity,
+    is_generated: col.generated ? 'ALWAYS' : 'NEVER',
+    generation_expression: col.generated
+  }));
+}
+
+/**
+ * Constraint rows (one per column) in the get_table_constraints shape the generators take
+ */
+export function toConstraintRows(tableName, constraints) {
+  const actionCode = action => Object.keys(FK_ACTIONS).find(code => FK_ACTIONS[code] === action) || 'a';
+
+  return constraints.flatMap(constraint => {
+    const columns = constraint.columns.length > 0 ? constraint.columns : [null];
+    return columns.map((column, index) => ({
+      constraint_name: constraint.name,
+      constraint_type: constraint.type,
+      table_name: tableName,
+      column_name: column,
+      ordinal_position: index + 1,
+      foreign_table_schema: constraint.references?.schema ?? null,
+      foreign_table_name: constraint.references?.table ?? null,
+      foreign_column_name: constraint.references?.columns[index] ?? null,
+      check_clause: constraint.check,
+      not_valid: Boolean(constraint.notValid),
+      ...(constraint.definition ? { definition: constraint.definition } : {}),
+      confupdtype: constraint.references ? actionCode(constraint.references.onUpdate) : null,
+      confdeltype: constraint.references ? actionCode(constraint.references.onDelete) : null
+    }));
+  });
+}
+
+/**
+ * Convert the keys of a snapshot entry back to the snake_case rows the SQL generators take
+ */
+export function toRow(entry) {
+  return Object.fromEntries(Object.entries(entry).map(([key, value]) => [snakeCase(key), value]));
+}
+
+function camelCaseKeys(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [camelCase(key), value]));
+}
+
+/**
+ * Read schema.json from a file or an export directory
+ */
+export async function readSnapshot(source) {
+  const filePath = source.endsWith('.json') ? source : path.join(source, SNAPSHOT_FILE);
+  if (!await fileExists(filePath)) {
+    throw new Error(`No ${SNAPSHOT_FILE} found at ${source}. Re-export it with this version first.`);
+  }
+
+  const snapshot = JSON.parse(await readFromFile(filePath));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported schema snapshot version ${snapshot.version} in ${filePath}`);
+  }
+  return snapshot;
+}
+
+/**
+ * Content of schema.json
+ */
+export function serializeSnapshot(snapshot) {
+  return JSON.stringify(snapshot, null, 2) + '\n';
+}
+
+/**
+ * Write schema.json into an export directory
+ */
+export async function writeSnapshot(dir, snapshot) {
+  await writeToFile(path.join(dir, SNAPSHOT_FILE), serializeSnapshot(snapshot));
+}
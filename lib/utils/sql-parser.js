@@ -0,0 +1,1104 @@
+import { qualifiedName } from './files.js';
+import { createSnapshot, getSnapshotSchema, getRelations } from './snapshot.js';
+
+/**
+ * Offline schema reader. Replays CREATE/ALTER/DROP statements for types,
+ * sequences and tables from SQL dumps or migration files into a schema
+ * snapshot (see snapshot.js), without a database connection. Everything
+ * else (functions, views, policies, ...) is skipped.
+ */
+
+const BUILTIN_TYPES = {
+  'smallint': { udt: 'int2', precision: 16, scale: 0 },
+  'integer': { udt: 'int4', precision: 32, scale: 0 },
+  'bigint': { udt: 'int8', precision: 64, scale: 0 },
+  'real': { udt: 'float4', precision: 24 },
+  'double precision': { udt: 'float8', precision: 53 },
+  'numeric': { udt: 'numeric' },
+  'boolean': { udt: 'bool' },
+  'text': { udt: 'text' },
+  'character varying': { udt: 'varchar' },
+  'character': { udt: 'bpchar' },
+  'uuid': { udt: 'uuid' },
+  'json': { udt: 'json' },
+  'jsonb': { udt: 'jsonb' },
+  'date': { udt: 'date' },
+  'timestamp without time zone': { udt: 'timestamp' },
+  'timestamp with time zone': { udt: 'timestamptz' },
+  'time without time zone': { udt: 'time' },
+  'time with time zone': { udt: 'timetz' },
+  'interval': { udt: 'interval' },
+  'bytea': { udt: 'bytea' },
+  'inet': { udt: 'inet' },
+  'cidr': { udt: 'cidr' },
+  'macaddr': { udt: 'macaddr' },
+  'money': { udt: 'money' },
+  'xml': { udt: 'xml' },
+  'tsvector': { udt: 'tsvector' },
+  'tsquery': { udt: 'tsquery' },
+  'point': { udt: 'point' },
+  'bit': { udt: 'bit' },
+  'bit varying': { udt: 'varbit' },
+  'oid': { udt: 'oid' }
+};
+
+const TYPE_ALIASES = {
+  'int': 'integer',
+  'int2': 'smallint',
+  'int4': 'integer',
+  'int8': 'bigint',
+  'float': 'double precision',
+  'float4': 'real',
+  'float8': 'double precision',
+  'decimal': 'numeric',
+  'bool': 'boolean',
+  'varchar': 'character varying',
+  'char': 'character',
+  'bpchar': 'character',
+  'timestamp': 'timestamp without time zone',
+  'timestamptz': 'timestamp with time zone',
+  'time': 'time without time zone',
+  'timetz': 'time with time zone',
+  'varbit': 'bit varying'
+};
+
+const SERIAL_TYPES = {
+  'smallserial': 'smallint',
+  'serial2': 'smallint',
+  'serial': 'integer',
+  'serial4': 'integer',
+  'bigserial': 'bigint',
+  'serial8': 'bigint'
+};
+
+const SEQUENCE_MAX_VALUES = {
+  'smallint': '32767',
+  'integer': '2147483647',
+  'bigint': '9223372036854775807'
+};
+
+// Words ending a column's type or DEFAULT expression
+const COLUMN_CONSTRAINT_WORDS = new Set([
+  'constraint', 'not', 'null', 'default', 'primary', 'unique', 'references',
+  'check', 'generated', 'collate', 'deferrable', 'initially'
+]);
+
+// Words starting a sequence option
+const SEQUENCE_OPTION_WORDS = new Set([
+  'increment', 'minvalue', 'maxvalue', 'no', 'start', 'restart', 'cache', 'cycle', 'owned'
+]);
+
+const FK_ACTION_WORDS = ['cascade', 'restrict', 'no action', 'set null', 'set default'];
+
+/**
+ * Split SQL into tokens, keeping their positions in the source text
+ */
+export function tokenizeSql(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const rest = sql.slice(i);
+    let match;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (rest.startsWith('--')) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+    } else if (rest.startsWith('/*')) {
+      // Block comments nest in Postgres
+      let depth = 0;
+      do {
+        if (sql.startsWith('/*', i)) {
+          depth++;
+          i += 2;
+        } else if (sql.startsWith('*/', i)) {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      } while (depth > 0 && i < sql.length);
+    } else if ((match = rest.match(/^[eE]'(?:[^'\\]|''|\\.)*'/)) || (match = rest.match(/^'(?:[^']|'')*'/))) {
+      // Backslashes escape only in E'' strings
+      tokens.push({ type: 'string', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if ((match = rest.match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/))) {
+      const close = sql.indexOf(match[0], i + match[0].length);
+      const end = close === -1 ? sql.length : close + match[0].length;
+      tokens.push({ type: 'string', value: sql.slice(i, end), start: i, end });
+      i = end;
+    } else if (char === '"') {
+      match = rest.match(/^"(?:[^"]|"")*"/);
+      const text = match ? match[0] : rest;
+      tokens.push({ type: 'ident', value: text.slice(1, -1).replace(/""/g, '"'), start: i, end: i + text.length });
+      i += text.length;
+    } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_$]*/))) {
+      tokens.push({ type: 'word', value: match[0].toLowerCase(), start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if ((match = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/))) {
+      tokens.push({ type: 'number', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if (rest.startsWith('::')) {
+      tokens.push({ type: 'symbol', value: '::', start: i, end: i + 2 });
+      i += 2;
+    } else {
+      tokens.push({ type: 'symbol', value: char, start: i, end: i + 1 });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split SQL into statements, each with its tokens
+ */
+export function splitSqlStatements(sql) {
+  // psql meta-commands such as \set or \ir aren't SQL
+  const source = sql.replace(/^[ \t]*\\.*$/gm, match => ' '.repeat(match.length));
+  const statements = [];
+  let tokens = [];
+
+  tokenizeSql(source).forEach(token => {
+    if (token.type === 'symbol' && token.value === ';') {
+      if (tokens.length > 0) {
+        statements.push({ sql: source, tokens });
+      }
+      tokens = [];
+    } else {
+      tokens.push(token);
+    }
+  });
+
+  if (tokens.length > 0) {
+    statements.push({ sql: source, tokens });
+  }
+  return statements;
+}
+
+/**
+ * Cursor over the tokens of a statement or clause
+ */
+class TokenStream {
+  constructor(sql, tokens) {
+    this.sql = sql;
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  get done() {
+    return this.index >= this.tokens.length;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  /**
+   * Whether the next tokens are the given keywords, e.g. isWord('not', 'null')
+   */
+  isWord(...words) {
+    return words.every((word, offset) => {
+      const token = this.peek(offset);
+      return token && token.type === 'word' && token.value === word;
+    });
+  }
+
+  isSymbol(symbol) {
+    const token = this.peek();
+    return Boolean(token && token.type === 'symbol' && token.value === symbol);
+  }
+
+  /**
+   * Consume the given keywords if they come next
+   */
+  acceptWord(...words) {
+    if (!this.isWord(...words)) {
+      return false;
+    }
+    this.index += words.length;
+    return true;
+  }
+
+  acceptSymbol(symbol) {
+    if (!this.isSymbol(symbol)) {
+      return false;
+    }
+    this.index++;
+    return true;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) {
+      throw new Error(`Expected "${symbol}" near ${this.context()}`);
+    }
+  }
+
+  /**
+   * Identifier, lower-cased unless quoted
+   */
+  identifier() {
+    const token = this.next();
+    if (!token || (token.type !== 'word' && token.type !== 'ident')) {
+      throw new Error(`Expected an identifier near ${this.context()}`);
+    }
+    return token.value;
+  }
+
+  /**
+   * Optionally schema-qualified name
+   */
+  qualifiedName() {
+    const first = this.identifier();
+    if (this.acceptSymbol('.')) {
+      return { schema: first, name: this.identifier() };
+    }
+    return { schema: null, name: first };
+  }
+
+  /**
+   * Tokens of a parenthesized group, without the outer parentheses
+   */
+  group() {
+    this.expectSymbol('(');
+    const start = this.index;
+    let depth = 1;
+    while (!this.done) {
+      const token = this.next();
+      if (token.type === 'symbol' && token.value === '(') depth++;
+      if (token.type === 'symbol' && token.value === ')' && --depth === 0) {
+        return new TokenStream(this.sql, this.tokens.slice(start, this.index - 1));
+      }
+    }
+    throw new Error(`Unbalanced parentheses near ${this.context()}`);
+  }
+
+  /**
+   * Tokens up to (not including) the first top-level token matching `stop`
+   */
+  until(stop) {
+    const start = this.index;
+    let depth = 0;
+    while (!this.done) {
+      const token = this.peek();
+      if (depth === 0 && this.index > start && stop(token)) break;
+      if (token.type === 'symbol' && (token.value === '(' || token.value === '[')) depth++;
+      if (token.type === 'symbol' && (token.value === ')' || token.value === ']')) depth--;
+      this.index++;
+    }
+    return new TokenStream(this.sql, this.tokens.slice(start, this.index));
+  }
+
+  /**
+   * Split the remaining tokens at top-level commas
+   */
+  splitOnCommas() {
+    const parts = [];
+    while (!this.done) {
+      parts.push(this.until(token => token.type === 'symbol' && token.value === ','));
+      this.acceptSymbol(',');
+    }
+    return parts.filter(part => part.tokens.length > 0);
+  }
+
+  /**
+   * Source text of the remaining tokens
+   */
+  text() {
+    const rest = this.tokens.slice(this.index);
+    if (rest.length === 0) return '';
+    return this.sql.slice(rest[0].start, rest[rest.length - 1].end);
+  }
+
+  /**
+   * Comma separated identifiers, e.g. a column list
+   */
+  identifierList() {
+    return this.splitOnCommas().map(part => part.identifier());
+  }
+
+  context() {
+    return `"${this.text().slice(0, 60) || 'end of statement'}"`;
+  }
+}
+
+/**
+ * Reads schema DDL into a snapshot. Statements are applied in order, so
+ * migrations have to be parsed oldest first.
+ *
+ * @example
+ * const parser = new SqlSchemaParser();
+ * parser.parse(fs.readFileSync('supabase/migrations/20240101_init.sql', 'utf8'));
+ * const snapshot = parser.getSnapshot();
+ */
+export class SqlSchemaParser {
+  constructor(options = {}) {
+    this.defaultSchema = options.defaultSchema || 'public';
+    this.schemas = new Map();
+    this.warnings = [];
+    this.skipped = 0;
+  }
+
+  /**
+   * Apply every statement of a SQL file
+   */
+  parse(sql, source = 'input') {
+    splitSqlStatements(sql).forEach(({ sql: text, tokens }) => {
+      const stream = new TokenStream(text, tokens);
+      try {
+        if (!this.parseStatement(stream)) {
+          this.skipped++;
+        }
+      } catch (error) {
+        this.warnings.push(`${source}: ${error.message}`);
+      }
+    });
+    return this;
+  }
+
+  parseStatement(stream) {
+    if (stream.acceptWord('create')) {
+      stream.acceptWord('or', 'replace');
+      if (stream.acceptWord('schema')) return this.createSchema(stream);
+      if (stream.acceptWord('type')) return this.createType(stream);
+      if (stream.acceptWord('sequence')) return this.createSequence(stream);
+      stream.acceptWord('unlogged');
+      if (stream.acceptWord('table')) return this.createTable(stream);
+      return false;
+    }
+    if (stream.acceptWord('alter')) {
+      if (stream.acceptWord('table')) return this.alterTable(stream);
+      if (stream.acceptWord('type')) return this.alterType(stream);
+      if (stream.acceptWord('sequence')) return this.alterSequence(stream);
+      return false;
+    }
+    if (stream.acceptWord('drop')) {
+      if (stream.acceptWord('table')) return this.dropObjects(stream, 'tables');
+      if (stream.acceptWord('type')) return this.dropObjects(stream, 'enums');
+      if (stream.acceptWord('sequence')) return this.dropObjects(stream, 'sequences');
+      return false;
+    }
+    return false;
+  }
+
+  /**
+   * Objects of a schema, keyed by name
+   */
+  getSchema(name) {
+    const schema = name || this.defaultSchema;
+    if (!this.schemas.has(schema)) {
+      this.schemas.set(schema, { created: false, enums: new Map(), sequences: new Map(), tables: new Map() });
+    }
+    return this.schemas.get(schema);
+  }
+
+  getTable({ schema, name }) {
+    const table = this.getSchema(schema).tables.get(name);
+    if (!table) {
+      throw new Error(`ALTER TABLE on unknown table ${qualifiedName(schema || this.defaultSchema, name)}`);
+    }
+    return table;
+  }
+
+  createSchema(stream) {
+    stream.acceptWord('if', 'not', 'exists');
+    this.getSchema(stream.identifier()).created = true;
+    return true;
+  }
+
+  createType(stream) {
+    const { schema, name } = stream.qualifiedName();
+    if (!stream.acceptWord('as', 'enum')) {
+      return false;
+    }
+    const values = stream.group().splitOnCommas().map(part => parseStringLiteral(part.next().value));
+    this.getSchema(schema).enums.set(name, values);
+    return true;
+  }
+
+  alterType(stream) {
+    const { schema, name } = stream.qualifiedName();
+    const enums = this.getSchema(schema).enums;
+    const values = enums.get(name);
+    if (!values) {
+      return false;
+    }
+
+    if (stream.acceptWord('add', 'value')) {
+      stream.acceptWord('if', 'not', 'exists');
+      const value = parseStringLiteral(stream.next().value);
+      if (values.includes(value)) {
+        return true;
+      }
+      if (stream.acceptWord('before') || stream.isWord('after')) {
+        const after = stream.acceptWord('after');
+        const index = values.indexOf(parseStringLiteral(stream.next().value));
+        values.splice(after ? index + 1 : index, 0, value);
+      } else {
+        values.push(value);
+      }
+      return true;
+    }
+    if (stream.acceptWord('rename', 'value')) {
+      const from = parseStringLiteral(stream.next().value);
+      stream.acceptWord('to');
+      values[values.indexOf(from)] = parseStringLiteral(stream.next().value);
+      return true;
+    }
+    if (stream.acceptWord('rename', 'to')) {
+      enums.delete(name);
+      enums.set(stream.identifier(), values);
+      return true;
+    }
+    return false;
+  }
+
+  createSequence(stream) {
+    stream.acceptWord('if', 'not', 'exists');
+    const { schema, name } = stream.qualifiedName();
+    const sequence = this.defineSequence(schema, name, 'bigint');
+    this.applySequenceOptions(sequence, stream, schema);
+    return true;
+  }
+
+  alterSequence(stream) {
+    stream.acceptWord('if', 'exists');
+    const { schema, name } = stream.qualifiedName();
+    const existing = this.getSchema(schema).sequences.get(name);
+    const sequence = existing || this.defineSequence(schema, name, 'bigint');
+    this.applySequenceOptions(sequence, stream, schema);
+
+    // A sequence only known from OWNED BY takes the type of its column, like serial
+    const owner = !existing && sequence.ownedByTable &&
+      this.getSchema(schema).tables.get(sequence.ownedByTable)?.columns.find(col => col.name === sequence.ownedByColumn);
+    if (owner && SEQUENCE_MAX_VALUES[owner.dataType]) {
+      sequence.dataType = owner.dataType;
+      sequence.maxValue = SEQUENCE_MAX_VALUES[owner.dataType];
+    }
+    return true;
+  }
+
+  defineSequence(schema, name, dataType, owner = null) {
+    const sequence = {
+      name,
+      dataType,
+      startValue: '1',
+      minValue: '1',
+      maxValue: SEQUENCE_MAX_VALUES[dataType],
+      incrementBy: '1',
+      cacheSize: '1',
+      cycle: false,
+      ownedByTable: owner ? owner.table : null,
+      ownedByColumn: owner ? owner.column : null
+    };
+    this.getSchema(schema).sequences.set(name, sequence);
+    return sequence;
+  }
+
+  applySequenceOptions(sequence, stream, schema) {
+    const number = () => {
+      const sign = stream.acceptSymbol('-') ? '-' : '';
+      return sign + stream.next().value;
+    };
+
+    while (!stream.done) {
+      if (stream.acceptWord('as')) {
+        const type = stream.until(token => token.type === 'word' && SEQUENCE_OPTION_WORDS.has(token.value));
+        sequence.dataType = parseColumnType(type, schema).dataType;
+        sequence.maxValue = SEQUENCE_MAX_VALUES[sequence.dataType] || sequence.maxValue;
+      } else if (stream.acceptWord('increment')) {
+        stream.acceptWord('by');
+        sequence.incrementBy = number();
+      } else if (stream.acceptWord('no', 'minvalue')) {
+        sequence.minValue = '1';
+      } else if (stream.acceptWord('no', 'maxvalue')) {
+        sequence.maxValue = SEQUENCE_MAX_VALUES[sequence.dataType] || sequence.maxValue;
+      } else if (stream.acceptWord('minvalue')) {
+        sequence.minValue = number();
+      } else if (stream.acceptWord('maxvalue')) {
+        sequence.maxValue = number();
+      } else if (stream.acceptWord('start')) {
+        stream.acceptWord('with');
+        sequence.startValue = number();
+      } else if (stream.acceptWord('cache')) {
+        sequence.cacheSize = number();
+      } else if (stream.acceptWord('no', 'cycle')) {
+        sequence.cycle = false;
+      } else if (stream.acceptWord('cycle')) {
+        sequence.cycle = true;
+      } else if (stream.acceptWord('owned', 'by')) {
+        if (stream.acceptWord('none')) {
+          sequence.ownedByTable = null;
+          sequence.ownedByColumn = null;
+        } else {
+          // [schema.]table.column
+          const parts = [stream.identifier()];
+          while (stream.acceptSymbol('.')) {
+            parts.push(stream.identifier());
+          }
+          sequence.ownedByTable = parts[parts.length - 2];
+          sequence.ownedByColumn = parts[parts.length - 1];
+        }
+      } else {
+        stream.next();
+      }
+    }
+  }
+
+  createTable(stream) {
+    const ifNotExists = stream.acceptWord('if', 'not', 'exists');
+    const { schema, name } = stream.qualifiedName();
+    if (!stream.isSymbol('(')) {
+      // CREATE TABLE ... AS / PARTITION OF
+      return false;
+    }
+    if (ifNotExists && this.getSchema(schema).tables.has(name)) {
+      return true;
+    }
+
+    const table = { schema: schema || this.defaultSchema, name, columns: [], constraints: [] };
+    this.getSchema(schema).tables.set(name, table);
+
+    stream.group().splitOnCommas().forEach(item => {
+      if (item.isWord('like') || item.isWord('exclude')) {
+        this.warnings.push(`Skipped "${item.text().slice(0, 40)}" in ${name}`);
+      } else if (isTableConstraint(item)) {
+        this.addTableConstraint(table, item);
+      } else {
+        this.addColumn(table, item);
+      }
+    });
+    return true;
+  }
+
+  alterTable(stream) {
+    stream.acceptWord('if', 'exists');
+    stream.acceptWord('only');
+    const target = stream.qualifiedName();
+    const table = this.getTable(target);
+
+    stream.splitOnCommas().forEach(action => this.alterTableAction(table, action));
+    return true;
+  }
+
+  alterTableAction(table, action) {
+    if (action.acceptWord('add')) {
+      if (isTableConstraint(action)) {
+        this.addTableConstraint(table, action);
+      } else {
+        action.acceptWord('column');
+        const ifNotExists = action.acceptWord('if', 'not', 'exists');
+        const name = action.peek().value;
+        if (!(ifNotExists && table.columns.some(col => col.name === name))) {
+          this.addColumn(table, action);
+        }
+      }
+    } else if (action.acceptWord('drop')) {
+      if (action.acceptWord('constraint')) {
+        action.acceptWord('if', 'exists');
+        const name = action.identifier();
+        table.constraints = table.constraints.filter(c => c.name !== name);
+      } else {
+        action.acceptWord('column');
+        action.acceptWord('if', 'exists');
+        this.dropColumn(table, action.identifier());
+      }
+    } else if (action.acceptWord('alter')) {
+      action.acceptWord('column');
+      this.alterColumn(table, findColumn(table, action.identifier()), action);
+    } else if (action.acceptWord('rename')) {
+      this.rename(table, action);
+    }
+    // ENABLE ROW LEVEL SECURITY, OWNER TO, ... don't change the model
+  }
+
+  alterColumn(table, column, action) {
+    if (action.acceptWord('set', 'not', 'null')) {
+      column.nullable = false;
+    } else if (action.acceptWord('drop', 'not', 'null')) {
+      column.nullable = true;
+    } else if (action.acceptWord('set', 'default')) {
+      column.default = normalizeDefault(action.text(), column);
+    } else if (action.acceptWord('drop', 'default')) {
+      column.default = null;
+    } else if (action.acceptWord('drop', 'identity')) {
+      column.identity = null;
+    } else if (action.acceptWord('add', 'generated')) {
+      column.identity = action.acceptWord('always') ? 'ALWAYS' : 'BY DEFAULT';
+      column.nullable = false;
+    } else if (action.acceptWord('set', 'data', 'type') || action.acceptWord('type')) {
+      const type = parseColumnType(action.until(token => token.type === 'word' &&
+        (token.value === 'using' || token.value === 'collate')), table.schema, this.enumSchemas());
+      Object.assign(column, type.column);
+    }
+  }
+
+  rename(table, action) {
+    const schema = this.getSchema(table.schema);
+    if (action.acceptWord('to')) {
+      const name = action.identifier();
+      schema.tables.delete(table.name);
+      this.allTables().forEach(other => other.constraints.forEach(c => {
+        if (c.references && c.references.table === table.name && c.references.schema === table.schema) {
+          c.references.table = name;
+        }
+      }));
+      table.name = name;
+      schema.tables.set(name, table);
+    } else if (action.acceptWord('constraint')) {
+      const constraint = table.constraints.find(c => c.name === action.identifier());
+      action.acceptWord('to');
+      if (constraint) constraint.name = action.identifier();
+    } else {
+      action.acceptWord('column');
+      const from = action.identifier();
+      action.acceptWord('to');
+      const to = action.identifier();
+      findColumn(table, from).name = to;
+      const renameIn = columns => columns.map(c => (c === from ? to : c));
+      table.constraints.forEach(c => {
+        c.columns = renameIn(c.columns);
+      });
+      this.allTables().forEach(other => other.constraints.forEach(c => {
+        if (c.references && c.references.table === table.name && c.references.schema === table.schema) {
+          c.references.columns = renameIn(c.references.columns);
+        }
+      }));
+    }
+  }
+
+  dropColumn(table, name) {
+    table.columns = table.columns.filter(col => col.name !== name);
+    table.constraints = table.constraints.filter(c => !c.columns.includes(name));
+    this.allTables().forEach(other => {
+      other.constraints = other.constraints.filter(c => !(c.references &&
+        c.references.table === table.name && c.references.schema === table.schema &&
+        c.references.columns.includes(name)));
+    });
+  }
+
+  dropObjects(stream, kind) {
+    stream.acceptWord('if', 'exists');
+    stream.until(token => token.type === 'word' && (token.value === 'cascade' || token.value === 'restrict'))
+      .splitOnCommas()
+      .forEach(part => {
+        const { schema, name } = part.qualifiedName();
+        const resolvedSchema = schema || this.defaultSchema;
+        this.getSchema(schema)[kind].delete(name);
+        if (kind === 'tables') {
+          this.allTables().forEach(other => {
+            other.constraints = other.constraints.filter(c => !(c.references &&
+              c.references.table === name && c.references.schema === resolvedSchema));
+          });
+        }
+      });
+    return true;
+  }
+
+  /**
+   * Column definition: name, type and inline constraints
+   */
+  addColumn(table, item) {
+    const name = item.identifier();
+    const typeTokens = item.until(token => token.type === 'word' && COLUMN_CONSTRAINT_WORDS.has(token.value));
+    const type = parseColumnType(typeTokens, table.schema, this.enumSchemas());
+    const column = {
+      name,
+      type: type.column.type,
+      dataType: type.column.dataType,
+      udtSchema: type.column.udtSchema,
+      udtName: type.column.udtName,
+      nullable: true,
+      default: null,
+      maxLength: type.column.maxLength,
+      precision: type.column.precision,
+      scale: type.column.scale,
+      identity: null,
+      generated: null
+    };
+    table.columns.push(column);
+
+    if (type.serial) {
+      // serial is an integer column with a sequence it owns
+      const sequenceName = `${table.name}_${name}_seq`;
+      this.defineSequence(table.schema, sequenceName, type.column.dataType, { table: table.name, column: name });
+      column.default = `nextval('${qualifiedName(table.schema, sequenceName)}'::regclass)`;
+      column.nullable = false;
+    }
+
+    while (!item.done) {
+      let constraintName = null;
+      if (item.acceptWord('constraint')) {
+        constraintName = item.identifier();
+      }
+
+      if (item.acceptWord('not', 'null')) {
+        column.nullable = false;
+      } else if (item.acceptWord('null')) {
+        column.nullable = true;
+      } else if (item.acceptWord('default')) {
+        const expression = item.until(token => token.type === 'word' && COLUMN_CONSTRAINT_WORDS.has(token.value));
+        column.default = normalizeDefault(expression.text(), column);
+      } else if (item.acceptWord('generated')) {
+        if (item.acceptWord('always', 'as', 'identity') || item.isWord('by')) {
+          column.identity = item.acceptWord('by', 'default', 'as', 'identity') ? 'BY DEFAULT' : 'ALWAYS';
+          column.nullable = false;
+          if (item.isSymbol('(')) item.group();
+        } else if (item.acceptWord('always', 'as')) {
+          column.generated = item.group().text();
+          item.acceptWord('stored');
+        }
+      } else if (item.acceptWord('primary', 'key')) {
+        this.pushConstraint(table, { name: constraintName, type: 'PRIMARY KEY', columns: [name] });
+      } else if (item.acceptWord('unique')) {
+        if (item.acceptWord('nulls')) {
+          item.acceptWord('not');
+          item.acceptWord('distinct');
+        }
+        this.pushConstraint(table, { name: constraintName, type: 'UNIQUE', columns: [name] });
+      } else if (item.acceptWord('check')) {
+        this.pushConstraint(table, {
+          name: constraintName,
+          type: 'CHECK',
+          columns: [name],
+          check: normalizeCheck(item.group().text())
+        });
+        item.acceptWord('no', 'inherit');
+      } else if (item.acceptWord('references')) {
+        this.pushConstraint(table, {
+          name: constraintName,
+          type: 'FOREIGN KEY',
+          columns: [name],
+          references: this.parseReferences(item, table)
+        });
+      } else if (item.acceptWord('collate')) {
+        item.qualifiedName();
+      } else {
+        item.next();
+      }
+    }
+  }
+
+  /**
+   * Table constraint: [CONSTRAINT name] PRIMARY KEY | UNIQUE | FOREIGN KEY | CHECK
+   */
+  addTableConstraint(table, item) {
+    const name = item.acceptWord('constraint') ? item.identifier() : null;
+
+    if (item.acceptWord('primary', 'key')) {
+      this.pushConstraint(table, { name, type: 'PRIMARY KEY', columns: item.group().identifierList() });
+    } else if (item.acceptWord('unique')) {
+      if (item.acceptWord('nulls')) {
+        item.acceptWord('not');
+        item.acceptWord('distinct');
+      }
+      this.pushConstraint(table, { name, type: 'UNIQUE', columns: item.group().identifierList() });
+    } else if (item.acceptWord('foreign', 'key')) {
+      const columns = item.group().identifierList();
+      item.acceptWord('references');
+      const references = this.parseReferences(item, table);
+      this.pushConstraint(table, { name, type: 'FOREIGN KEY', columns, references, ...this.parseNotValid(item) });
+    } else if (item.acceptWord('check')) {
+      const check = item.group().text();
+      // Postgres names table checks after the first column they mention
+      const mentioned = tokenizeSql(check)
+        .filter(token => token.type === 'word' || token.type === 'ident')
+        .map(token => token.value);
+      const columns = [...new Set(mentioned)].filter(word => table.columns.some(col => col.name === word));
+      this.pushConstraint(table, { name, type: 'CHECK', columns, check: normalizeCheck(check), ...this.parseNotValid(item) });
+    } else {
+      this.warnings.push(`Skipped constraint "${item.text().slice(0, 40)}" on ${table.name}`);
+    }
+  }
+
+  /**
+   * Trailing NOT VALID of a foreign key or check added to an existing table
+   */
+  parseNotValid(item) {
+    return item.acceptWord('not', 'valid') ? { notValid: true } : {};
+  }
+
+  /**
+   * REFERENCES table [(columns)] [ON DELETE action] [ON UPDATE action]
+   */
+  parseReferences(item, table) {
+    const target = item.qualifiedName();
+    const references = {
+      schema: target.schema || table.schema,
+      table: target.name,
+      // Resolved to the referenced primary key in getSnapshot() when omitted
+      columns: item.isSymbol('(') ? item.group().identifierList() : [],
+      onUpdate: 'NO ACTION',
+      onDelete: 'NO ACTION'
+    };
+
+    while (item.isWord('match') || item.isWord('on')) {
+      if (item.acceptWord('match')) {
+        item.next();
+        continue;
+      }
+      item.acceptWord('on');
+      let event = 'onUpdate';
+      if (item.acceptWord('delete')) {
+        event = 'onDelete';
+      } else {
+        item.acceptWord('update');
+      }
+      const action = FK_ACTION_WORDS.find(words => item.acceptWord(...words.split(' ')));
+      if (action) {
+        references[event] = action.toUpperCase();
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Add a constraint, naming it the way Postgres would when unnamed
+   */
+  pushConstraint(table, constraint) {
+    if (!constraint.name) {
+      const suffix = { 'PRIMARY KEY': 'pkey', 'UNIQUE': 'key', 'FOREIGN KEY': 'fkey', 'CHECK': 'check' }[constraint.type];
+      const base = constraint.type === 'PRIMARY KEY'
+        ? `${table.name}_${suffix}`
+        : [table.name, ...constraint.columns.slice(0, constraint.type === 'CHECK' ? 1 : undefined), suffix].join('_');
+      let name = base;
+      for (let i = 1; table.constraints.some(c => c.name === name); i++) {
+        name = `${base}${i}`;
+      }
+      constraint.name = name;
+    }
+
+    // Primary key columns are implicitly NOT NULL
+    if (constraint.type === 'PRIMARY KEY') {
+      constraint.columns.forEach(name => {
+        const column = table.columns.find(col => col.name === name);
+        if (column) column.nullable = false;
+      });
+    }
+
+    table.constraints.push({ references: null, check: null, ...constraint });
+  }
+
+  allTables() {
+    return [...this.schemas.values()].flatMap(schema => [...schema.tables.values()]);
+  }
+
+  /**
+   * Schemas of the enums parsed so far, by enum name, to resolve unqualified column types
+   */
+  enumSchemas() {
+    const schemas = new Map();
+    this.schemas.forEach((schema, schemaName) => {
+      schema.enums.forEach((values, name) => {
+        if (!schemas.has(name) || schemaName === this.defaultSchema) {
+          schemas.set(name, schemaName);
+        }
+      });
+    });
+    return schemas;
+  }
+
+  /**
+   * Snapshot of everything parsed so far, in the same order introspection returns it
+   */
+  getSnapshot() {
+    const snapshot = createSnapshot();
+    const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+    this.schemas.forEach((parsed, schemaName) => {
+      // Schemas only touched by statements on unknown objects (e.g. ALTER TABLE auth.users) are left out
+      if (!parsed.created && parsed.enums.size === 0 && parsed.sequences.size === 0 && parsed.tables.size === 0) {
+        return;
+      }
+      const entry = getSnapshotSchema(snapshot, schemaName);
+      entry.enums = [...parsed.enums].map(([name, values]) => ({ name, values: [...values] })).sort(byName);
+      entry.sequences = [...parsed.sequences.values()].map(seq => ({ ...seq })).sort(byName);
+      entry.tables = [...parsed.tables.values()].map(table => ({
+        name: table.name,
+        columns: table.columns.map(col => ({ ...col })),
+        constraints: table.constraints
+          .map(constraint => ({
+            name: constraint.name,
+            type: constraint.type,
+            // The catalog doesn't list the columns of CHECK constraints
+            columns: constraint.type === 'CHECK' ? [] : [...constraint.columns],
+            references: constraint.references && {
+              ...constraint.references,
+              columns: constraint.references.columns.length > 0
+                ? [...constraint.references.columns]
+                : this.primaryKeyOf(constraint.references)
+            },
+            check: constraint.check,
+            ...(constraint.notValid ? { notValid: true } : {})
+          }))
+          .sort(byName)
+      })).sort(byName);
+      entry.relations = getRelations(entry.tables);
+    });
+
+    return snapshot;
+  }
+
+  primaryKeyOf({ schema, table }) {
+    const target = this.schemas.get(schema)?.tables.get(table);
+    const primaryKey = target?.constraints.find(c => c.type === 'PRIMARY KEY');
+    return primaryKey ? [...primaryKey.columns] : [];
+  }
+}
+
+function isTableConstraint(item) {
+  return item.isWord('constraint') || item.isWord('primary', 'key') || item.isWord('foreign', 'key') ||
+    (item.isWord('unique') && (item.peek(1)?.value === '(' || item.isWord('unique', 'nulls'))) ||
+    (item.isWord('check') && item.peek(1)?.value === '(');
+}
+
+function findColumn(table, name) {
+  const column = table.columns.find(col => col.name === name);
+  if (!column) {
+    throw new Error(`Unknown column ${table.name}.${name}`);
+  }
+  return column;
+}
+
+/**
+ * Value of a single-quoted SQL string literal
+ */
+function parseStringLiteral(literal) {
+  if (/^[eE]'/.test(literal)) {
+    return literal.slice(2, -1).replace(/\\(.)/g, '$1').replace(/''/g, "'");
+  }
+  return literal.slice(1, -1).replace(/''/g, "'");
+}
+
+/**
+ * Column type in the shape information_schema reports it, e.g. varchar(40) becomes
+ * data_type "character varying" with udt_name "varchar" and a max length of 40
+ */
+function parseColumnType(stream, schema, enumSchemas = new Map()) {
+  const tokens = stream.tokens;
+  let arrayDepth = 0;
+  const words = [];
+  const modifiers = [];
+  let typeSchema = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'symbol' && token.value === '[') {
+      arrayDepth++;
+      while (i < tokens.length && tokens[i].value !== ']') i++;
+    } else if (token.type === 'word' && token.value === 'array') {
+      arrayDepth = Math.max(arrayDepth, 1);
+    } else if (token.type === 'symbol' && token.value === '(') {
+      for (i++; i < tokens.length && tokens[i].value !== ')'; i++) {
+        if (tokens[i].type === 'number') modifiers.push(tokens[i].value);
+      }
+    } else if (token.type === 'symbol' && token.value === '.') {
+      typeSchema = words.pop();
+    } else if (token.type === 'word' || token.type === 'ident') {
+      words.push(token.value);
+    }
+  }
+
+  const written = words.join(' ');
+  const serial = SERIAL_TYPES[written];
+  const baseName = serial || TYPE_ALIASES[written] || written;
+  const builtin = !typeSchema || typeSchema === 'pg_catalog' ? BUILTIN_TYPES[baseName] : null;
+
+  let column;
+  if (builtin) {
+    let type = baseName;
+    let maxLength = null;
+    let precision = builtin.precision ?? null;
+    let scale = builtin.scale ?? null;
+
+    if (baseName === 'character varying' || baseName === 'character' || baseName.startsWith('bit')) {
+      maxLength = modifiers[0] ? Number(modifiers[0]) : baseName === 'character' ? 1 : null;
+      type = maxLength ? `${baseName}(${maxLength})` : baseName;
+    } else if (baseName === 'numeric' && modifiers.length > 0) {
+      precision = Number(modifiers[0]);
+      scale = Number(modifiers[1] || 0);
+      type = `numeric(${modifiers.join(',')})`;
+    } else if (/^(timestamp|time) /.test(baseName) && modifiers.length > 0) {
+      type = baseName.replace(/^(timestamp|time)/, `$1(${modifiers[0]})`);
+    }
+
+    column = {
+      type,
+      dataType: baseName,
+      udtSchema: 'pg_catalog',
+      udtName: builtin.udt,
+      maxLength,
+      precision,
+      scale
+    };
+  } else {
+    const udtSchema = typeSchema || enumSchemas.get(baseName) || schema;
+    column = {
+      type: qualifiedName(udtSchema, baseName),
+      dataType: 'USER-DEFINED',
+      udtSchema,
+      udtName: baseName,
+      maxLength: null,
+      precision: null,
+      scale: null
+    };
+  }
+
+  if (arrayDepth > 0) {
+    column = {
+      ...column,
+      type: `${column.type}[]`,
+      dataType: 'ARRAY',
+      udtName: `_${column.udtName}`,
+      maxLength: null,
+      precision: null,
+      scale: null
+    };
+  }
+
+  return { column, dataType: column.dataType, serial: Boolean(serial) };
+}
+
+/**
+ * Column type of a type name as format_type() prints it, e.g. "character
+ * varying" or "billing.invoice_status[]"
+ */
+export function parseTypeName(typeName, schema = 'public', enumSchemas = new Map()) {
+  return parseColumnType({ tokens: tokenizeSql(typeName) }, schema, enumSchemas).column;
+}
+
+/**
+ * Store defaults the way Postgres reports them, e.g. 'x' on a text column
+ * becomes 'x'::text, so generated Dart defaults match a live export
+ */
+export function normalizeDefault(expression, column) {
+  const trimmed = expression.trim();
+  if (!/^'(?:[^']|'')*'$/.test(trimmed)) {
+    return trimmed;
+  }
+  const castType = column.dataType === 'USER-DEFINED'
+    ? column.type
+    : column.dataType === 'ARRAY' ? column.type.replace(/\(\d+(,\d+)?\)/, '') : column.dataType;
+  return `${trimmed}::${castType}`;
+}
+
+/**
+ * Rewrite `column IN ('a', 'b')` the way Postgres stores it, so Dart enums
+ * are detected the same as for a live export
+ */
+function normalizeCheck(check) {
+  const match = check.trim().match(/^\(?\s*("?[A-Za-z_][A-Za-z0-9_]*"?)\s+in\s*\(((?:\s*'(?:[^']|'')*'\s*,?)+)\)\s*\)?$/i);
+  if (!match) {
+    return check.trim();
+  }
+  const values = match[2].match(/'(?:[^']|'')*'/g).map(value => `${value}::text`);
+  return `((${match[1]} = ANY (ARRAY[${values.join(', ')}])))`;
+}
@@ -0,0 +1,474 @@
+import {
+  qualifiedName,
+  quoteIdent,
+  quoteLiteral,
+  groupConstraints,
+  getConstraintDefinition,
+  getColumnType,
+  generateTableSQL
+} from './files.js';
+
+/**
+ * Order in which the exported files of every schema are replayed by master.sql
+ */
+export const SQL_FILE_ORDER = [
+  '00_schema.sql',
+  '01_types.sql',
+  '05_sequences.sql',
+  '03_functions.sql',
+  '02_tables.sql',
+  '06_views.sql',
+  '13_relation_functions.sql',
+  '07_indexes.sql',
+  '11_data.sql',
+  '12_constraints.sql',
+  '04_triggers.sql',
+  '08_policies.sql',
+  '09_grants.sql',
+  '10_comments.sql'
+];
+
+/**
+ * Order tables so that every table comes after the tables its foreign keys
+ * reference. Foreign keys that close a cycle are returned separately so they
+ * can be added with ALTER TABLE once all tables exist.
+ *
+ * @param {Array<{table_name: string, constraints: Array}>} tables
+ * @param {string} schema
+ * @returns {{ tables: Array, deferred: Array }}
+ */
+export function orderTablesByDependencies(tables, schema = 'public') {
+  const byName = new Map(tables.map(table => [table.table_name, table]));
+  const state = new Map();
+  const ordered = [];
+  const deferred = [];
+
+  const visit = table => {
+    state.set(table.table_name, 'visiting');
+
+    groupConstraints(table.constraints)
+      .filter(c => c.constraint_type === 'FOREIGN KEY')
+      .sort((a, b) => a.constraint_name.localeCompare(b.constraint_name))
+      .forEach(constraint => {
+        const target = constraint.foreign_table_name;
+        // Self references and references to other schemas don't affect the order
+        if ((constraint.foreign_table_schema || schema) !== schema ||
+          target === table.table_name || !byName.has(target)) {
+          return;
+        }
+        if (state.get(target) === 'visiting') {
+          deferred.push({ table_name: table.table_name, constraint });
+        } else if (!state.has(target)) {
+          visit(byName.get(target));
+        }
+      });
+
+    state.set(table.table_name, 'done');
+    ordered.push(table);
+  };
+
+  [...tables]
+    .sort((a, b) => a.table_name.localeCompare(b.table_name))
+    .forEach(table => {
+      if (!state.has(table.table_name)) {
+        visit(table);
+      }
+    });
+
+  return { tables: ordered, deferred };
+}
+
+/**
+ * Generate ALTER TABLE ... ADD CONSTRAINT statements for foreign keys split
+ * out of circular table dependencies
+ */
+export function generateDeferredConstraintsSQL(deferred, options = {}) {
+  const { schema = 'public' } = options;
+  if (deferred.length === 0) {
+    return '';
+  }
+
+  let sql = '-- Circular foreign keys\n\n';
+  deferred.forEach(({ table_name, constraint }) => {
+    sql += `ALTER TABLE ${qualifiedName(schema, table_name)}\n`;
+    sql += `  ADD ${getConstraintDefinition(constraint, schema)};\n\n`;
+  });
+
+  return sql;
+}
+
+/**
+ * Split the constraints that can't be part of CREATE TABLE: foreign keys
+ * closing a cycle, and NOT VALID constraints, which only stay unvalidated
+ * when added to an existing table
+ */
+function splitLateConstraints(tables, schema) {
+  const { tables: orderedTables, deferred } = orderTablesByDependencies(tables, schema);
+  const notValid = orderedTables.flatMap(table => groupConstraints(table.constraints)
+    .filter(constraint => constraint.not_valid &&
+      !deferred.some(d => d.table_name === table.table_name && d.constraint.constraint_name === constraint.constraint_name))
+    .map(constraint => ({ table_name: table.table_name, constraint })));
+  return { tables: orderedTables, deferred, notValid };
+}
+
+/**
+ * Generate 02_tables.sql: tables in dependency order, without the constraints
+ * 12_constraints.sql adds, then the ownership of serial sequences
+ *
+ * @param {Array<{table_name: string, columns: Array, constraints: Array}>} tables
+ * @param {Array} sequences Sequence rows of the same schema
+ */
+export function generateTablesFileSQL(tables, sequences, options = {}) {
+  const { schema = 'public' } = options;
+  const { tables: orderedTables, deferred, notValid } = splitLateConstraints(tables, schema);
+
+  let sql = '-- Tables with constraints\n\n';
+  orderedTables.forEach(table => {
+    sql += generateTableSQL(table.table_name, table.columns, table.constraints, {
+      schema,
+      excludeConstraints: [...deferred, ...notValid]
+        .filter(d => d.table_name === table.table_name)
+        .map(d => d.constraint.constraint_name)
+    });
+    sql += '\n';
+  });
+
+  // Serial sequences can only be attached once their tables exist
+  sql += generateSequenceOwnershipSQL(sequences, { schema });
+
+  return sql;
+}
+
+/**
+ * Generate 12_constraints.sql: the foreign keys closing a cycle and the NOT
+ * VALID constraints left out of 02_tables.sql. master.sql adds them after
+ * 11_data.sql, so rows referencing each other can be seeded and rows
+ * predating a NOT VALID constraint stay unchecked.
+ *
+ * @param {Array<{table_name: string, columns: Array, constraints: Array}>} tables
+ */
+export function generateConstraintsFileSQL(tables, options = {}) {
+  const { schema = 'public' } = options;
+  const { deferred, notValid } = splitLateConstraints(tables, schema);
+
+  let sql = generateDeferredConstraintsSQL(deferred, { schema });
+  if (notValid.length > 0) {
+    sql += '-- Constraints not validated against existing rows\n\n';
+    notValid.forEach(({ table_name, constraint }) => {
+      sql += `ALTER TABLE ${qualifiedName(schema, table_name)}\n`;
+      sql += `  ADD ${getConstraintDefinition(constraint, schema)};\n\n`;
+    });
+  }
+
+  return sql;
+}
+
+/**
+ * Split functions into those master.sql creates before the tables, so column
+ * defaults and checks can call them, and those whose parameters or return
+ * type are the row type of a table or view, created after the views. With
+ * check_function_bodies off only signatures need their types to exist.
+ *
+ * @param {Array} functions Snapshot functions of the schema
+ * @param {Set<string>} relations Tables and views of every exported schema, as schema.name
+ * @returns {{ functions: Array, relationFunctions: Array }}
+ */
+export function splitFunctionsByRelations(functions, relations, options = {}) {
+  const { schema = 'public' } = options;
+  const usesRelation = func => {
+    if (func.parameters) {
+      return [...func.parameters, ...(func.returns ? [func.returns] : [])]
+        .some(type => relations.has(`${type.udtSchema}.${type.udtName}`));
+    }
+    // Without parameter details, look for the relation names in the signature
+    const signature = func.definition.split(/\nAS /)[0];
+    const escape = name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return [...relations].some(relation => {
+      const [relationSchema, name] = relation.split(/\.(.*)/).map(escape);
+      const qualified = relationSchema === schema ? `(?:${relationSchema}\\.)?` : `${relationSchema}\\.`;
+      return new RegExp(`(^|[^\\w$."])${qualified}"?${name}"?($|[^\\w$"])`).test(signature);
+    });
+  };
+  return {
+    functions: functions.filter(func => !usesRelation(func)),
+    relationFunctions: functions.filter(usesRelation)
+  };
+}
+
+/**
+ * Generate master.sql, which includes every exported file in replay order.
+ * Paths are relative to master.sql, so it can be run from any directory
+ * with psql -f.
+ *
+ * @param {Array<{schema: string, file: string, path: string}>} files
+ * @param {string[]} schemas Schemas in dependency order
+ */
+export function generateMasterSQL(files, schemas, options = {}) {
+  const { singleTransaction = false } = options;
+
+  let sql = '-- Replays the exported schema in dependency order\n';
+  sql += '-- Usage: psql -f master.sql\n\n';
+  sql += '\\set ON_ERROR_STOP on\n';
+  sql += 'SET check_function_bodies = false;\n\n';
+
+  if (singleTransaction) {
+    sql += 'BEGIN;\n\n';
+  }
+
+  SQL_FILE_ORDER.forEach(fileName => {
+    schemas.forEach(schema => {
+      const file = files.find(f => f.schema === schema && f.file === fileName);
+      if (file) {
+        sql += `\\ir ${file.path.split('\\').join('/')}\n`;
+      }
+    });
+  });
+
+  if (singleTransaction) {
+    sql += '\nCOMMIT;\n';
+  }
+
+  return sql;
+}
+
+/**
+ * Generate 01_types.sql: enums, then domains, then composite types, which
+ * may use both. Domain checks marked NOT VALID are added with ALTER DOMAIN,
+ * as CREATE DOMAIN validates them.
+ *
+ * @param {Object} types
+ * @param {Array<{name: string, values: string[]}>} types.enums
+ * @param {Array} types.domains Domain rows (type, not_null, default, checks)
+ * @param {Array<{name: string, columns: Array}>} types.compositeTypes Composite types with column rows
+ */
+export function generateTypesSQL({ enums = [], domains = [], compositeTypes = [] }, options = {}) {
+  const { schema = 'public' } = options;
+  let sql = '-- Custom types\n\n';
+
+  enums.forEach(type => {
+    sql += `CREATE TYPE ${qualifiedName(schema, type.name)} AS ENUM (\n`;
+    sql += type.values.map(value => `  ${quoteLiteral(value)}`).join(',\n');
+    sql += '\n);\n\n';
+  });
+
+  domains.forEach(domain => {
+    const name = qualifiedName(schema, domain.name);
+    const checks = domain.checks || [];
+    const notValid = checks.filter(check => / NOT VALID$/.test(check));
+    sql += `CREATE DOMAIN ${name} AS ${domain.type}`;
+    if (domain.default) {
+      sql += ` DEFAULT ${domain.default}`;
+    }
+    if (domain.not_null) {
+      sql += ' NOT NULL';
+    }
+    checks.filter(check => !notValid.includes(check)).forEach(check => {
+      sql += `\n  ${check}`;
+    });
+    sql += ';\n';
+    notValid.forEach(check => {
+      sql += `ALTER DOMAIN ${name} ADD ${check};\n`;
+    });
+    sql += '\n';
+  });
+
+  orderCompositeTypes(compositeTypes, schema).forEach(type => {
+    sql += `CREATE TYPE ${qualifiedName(schema, type.name)} AS (\n`;
+    sql += type.columns.map(col => `  ${quoteIdent(col.column_name)} ${getColumnType(col)}`).join(',\n');
+    sql += '\n);\n\n';
+  });
+
+  return sql;
+}
+
+/**
+ * Order composite types so that types used by the attributes of another
+ * come first
+ */
+function orderCompositeTypes(types, schema) {
+  const byName = new Map(types.map(type => [type.name, type]));
+  const ordered = [];
+  const visit = type => {
+    if (ordered.includes(type)) {
+      return;
+    }
+    byName.delete(type.name);
+    type.columns.forEach(col => {
+      const used = byName.get((col.udt_name || '').replace(/^_/, ''));
+      if (used && (col.udt_schema || schema) === schema) {
+        visit(used);
+      }
+    });
+    ordered.push(type);
+  };
+  types.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Generate CREATE SEQUENCE statements
+ */
+export function generateSequencesSQL(sequences, options = {}) {
+  const { schema = 'public' } = options;
+  let sql = '-- Sequences\n\n';
+
+  sequences.forEach(seq => {
+    sql += `CREATE SEQUENCE IF NOT EXISTS ${qualifiedName(schema, seq.name)} AS ${seq.data_type}\n`;
+    sql += `  INCREMENT BY ${seq.increment_by}\n`;
+    sql += `  MINVALUE ${seq.min_value}\n`;
+    sql += `  MAXVALUE ${seq.max_value}\n`;
+    sql += `  START WITH ${seq.start_value}\n`;
+    sql += `  CACHE ${seq.cache_size}`;
+    sql += seq.cycle ? '\n  CYCLE;\n\n' : ';\n\n';
+  });
+
+  return sql;
+}
+
+/**
+ * Generate ALTER SEQUENCE ... OWNED BY statements for serial columns.
+ * These have to run after the owning tables exist.
+ */
+export function generateSequenceOwnershipSQL(sequences, options = {}) {
+  const { schema = 'public' } = options;
+  const owned = sequences.filter(seq => seq.owned_by_table && seq.owned_by_column);
+  if (owned.length === 0) {
+    return '';
+  }
+
+  let sql = '-- Sequence ownership\n\n';
+  owned.forEach(seq => {
+    sql += `ALTER SEQUENCE ${qualifiedName(schema, seq.name)} ` +
+      `OWNED BY ${qualifiedName(schema, seq.owned_by_table)}.${quoteIdent(seq.owned_by_column)};\n`;
+  });
+
+  return sql + '\n';
+}
+
+/**
+ * Generate CREATE INDEX statements from pg_get_indexdef() output
+ */
+export function generateIndexesSQL(indexes) {
+  let sql = '-- Indexes\n\n';
+
+  indexes.forEach(index => {
+    const definition = index.index_definition
+      .replace(/^CREATE (UNIQUE )?INDEX (?!IF NOT EXISTS)/, 'CREATE $1INDEX IF NOT EXISTS ');
+    sql += `${definition};\n\n`;
+  });
+
+  return sql;
+}
+
+/**
+ * Generate view and materialized view definitions
+ */
+export function generateViewsSQL(views, options = {}) {
+  const { schema = 'public' } = options;
+  let sql = '-- Views\n\n';
+
+  views.forEach(view => {
+    const name = qualifiedName(schema, view.name);
+    const withOptions = view.options && view.options.length > 0
+      ? ` WITH (${view.options.join(', ')})`
+      : '';
+    const definition = view.definition.trim().replace(/;$/, '');
+
+    if (view.view_type === 'MATERIALIZED VIEW') {
+      sql += `CREATE MATERIALIZED VIEW IF NOT EXISTS ${name}${withOptions} AS\n${definition};\n\n`;
+    } else {
+      sql += `CREATE OR REPLACE VIEW ${name}${withOptions} AS\n${definition};\n\n`;
+    }
+  });
+
+  return sql;
+}
+
+/**
+ * Generate ENABLE ROW LEVEL SECURITY and CREATE POLICY statements
+ */
+export function generatePoliciesSQL({ tables, policies }, options = {}) {
+  const { schema = 'public' } = options;
+  let sql = '-- Row level security\n\n';
+
+  tables.forEach(table => {
+    const name = qualifiedName(schema, table.table_name);
+    sql += `ALTER TABLE ${name} ENABLE ROW LEVEL SECURITY;\n`;
+    if (table.force_rls) {
+      sql += `ALTER TABLE ${name} FORCE ROW LEVEL SECURITY;\n`;
+    }
+  });
+
+  policies.forEach(policy => {
+    const table = qualifiedName(schema, policy.table_name);
+    const policyName = quoteIdent(policy.policy_name);
+    const roles = (policy.roles || ['public'])
+      .map(role => role === 'public' ? 'public' : quoteIdent(role))
+      .join(', ');
+
+    sql += `\nDROP POLICY IF EXISTS ${policyName} ON ${table};\n`;
+    sql += `CREATE POLICY ${policyName} ON ${table}\n`;
+    sql += `  AS ${policy.permissive}\n`;
+    sql += `  FOR ${policy.command}\n`;
+    sql += `  TO ${roles}`;
+    if (policy.using_expression) {
+      sql += `\n  USING (${policy.using_expression})`;
+    }
+    if (policy.check_expression) {
+      sql += `\n  WITH CHECK (${policy.check_expression})`;
+    }
+    sql += ';\n';
+  });
+
+  return sql + '\n';
+}
+
+/**
+ * Generate GRANT statements, one per object and grantee
+ */
+export function generateGrantsSQL(grants, options = {}) {
+  const { schema = 'public' } = options;
+  const statements = new Map();
+
+  grants.forEach(grant => {
+    const object = grant.object_type === 'SCHEMA'
+      ? `SCHEMA ${quoteIdent(grant.object_name)}`
+      : `${grant.object_type} ${qualifiedName(schema, grant.object_name)}` +
+        (grant.object_args !== null && grant.object_args !== undefined ? `(${grant.object_args})` : '');
+    const grantee = grant.grantee === 'PUBLIC' ? 'PUBLIC' : quoteIdent(grant.grantee);
+    const key = `${object}\u0000${grantee}\u0000${grant.is_grantable}`;
+
+    if (!statements.has(key)) {
+      statements.set(key, { object, grantee, grantable: grant.is_grantable, privileges: [] });
+    }
+    statements.get(key).privileges.push(grant.privilege_type);
+  });
+
+  let sql = '-- Grants\n\n';
+  statements.forEach(({ object, grantee, grantable, privileges }) => {
+    sql += `GRANT ${privileges.join(', ')} ON ${object} TO ${grantee}`;
+    sql += grantable ? ' WITH GRANT OPTION;\n' : ';\n';
+  });
+
+  return sql + '\n';
+}
+
+/**
+ * Generate COMMENT ON statements
+ */
+export function generateCommentsSQL(comments, options = {}) {
+  const { schema = 'public' } = options;
+  let sql = '-- Comments\n\n';
+
+  comments.forEach(comment => {
+    let target = `${comment.object_type} ${qualifiedName(schema, comment.object_name)}`;
+    if (comment.object_type === 'COLUMN') {
+      target += `.${quoteIdent(comment.column_name)}`;
+    } else if (comment.object_type === 'FUNCTION' || comment.object_type === 'PROCEDURE') {
+      target += `(${comment.object_args})`;
+    }
+    sql += `COMMENT ON ${target} IS ${quoteLiteral(comment.comment)};\n`;
+  });
+
+  return sql + '\n';
+}
@@ -0,0 +1,458 @@
+import { dartEnumValueName } from './files.js';
+
+/**
+ * Dart serialization styles of the generated models, enums and result
+ * classes:
+ *
+ * - freezed: freezed + json_serializable (the default)
+ * - json_serializable: immutable classes with json_serializable, no freezed
+ * - dart_mappable: @MappableClass classes for dart_mappable's generator
+ * - plain: handwritten fromJson/toJson/copyWith/==/hashCode, no code generation
+ *
+ * Every style renders the same class description:
+ *
+ * {
+ *   name: 'Jobs',
+ *   docs: ['Model representing the jobs table in the database.'],
+ *   ignoreNull: false,          // leave null fields out of the JSON
+ *   fields: [{
+ *     name: 'ownerId', type: 'String?', key: 'owner_id',
+ *     converter: null,          // e.g. 'DecimalConverter()'
+ *     isEnum: false,            // the element type is a generated enum
+ *     required: false,
+ *     defaultValue: null,       // Dart expression
+ *     docs: ['owner_id field'], // null leaves out the blank line before the field
+ *     toJson: true              // false for fields only read, e.g. embedded relations
+ *   }]
+ * }
+ *
+ * devPackages are the code generators a package of the models depends on.
+ */
+export const DART_STYLES = ['freezed', 'json_serializable', 'dart_mappable', 'plain'];
+
+/**
+ * Shared equality helpers of plain models, written once per Dart output
+ * directory
+ */
+export const DART_SUPPORT_FILE = 'model_support.dart';
+
+const FREEZED_IGNORES = 'unused_element, deprecated_member_use, deprecated_member_use_from_same_package, ' +
+  'use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, ' +
+  'invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, ' +
+  'invalid_annotation_target, unnecessary_question_mark';
+
+// Types decoded by a cast or conversion rather than a fromJson of their own
+const CORE_TYPES = new Set(['int', 'double', 'num', 'bool', 'String', 'DateTime', 'Object', 'dynamic']);
+
+/**
+ * Get a serialization style by name
+ */
+export function getDartStyle(name = 'freezed') {
+  const style = STYLES[name];
+  if (!style) {
+    throw new Error(`Unknown Dart style "${name}". Expected one of: ${DART_STYLES.join(', ')}`);
+  }
+  return style;
+}
+
+const freezed = {
+  name: 'freezed',
+  ignores: FREEZED_IGNORES,
+  imports: ['package:freezed_annotation/freezed_annotation.dart'],
+  devPackages: ['build_runner', 'freezed', 'json_serializable'],
+  enumImports: ['package:freezed_annotation/freezed_annotation.dart'],
+  parts: fileName => [`${fileName}.g.dart`, `${fileName}.freezed.dart`],
+  enumParts: () => [],
+  renderEnum: renderAnnotatedEnum('JsonValue'),
+  fromJson: (className, json) => `${className}.fromJson(${json})`,
+  fromJsonTearOff: className => `${className}.fromJson`,
+  toJson: value => `${value}.toJson()`,
+  renderClass({ name, docs, fields, ignoreNull }) {
+    let code = renderDocs(docs, '');
+    code += `@freezed
+class ${name} with _$${name} {
+${ignoreNull ? '  @JsonSerializable(includeIfNull: false)\n' : ''}  const factory ${name}({
+`;
+    fields.forEach(field => {
+      code += renderFieldDocs(field, '    ');
+      code += `    @JsonKey(${jsonKeyArguments(field)})\n`;
+      if (field.converter) {
+        code += `    @${field.converter}\n`;
+      }
+      if (field.defaultValue !== null && field.defaultValue !== undefined) {
+        code += `    @Default(${field.defaultValue}) ${field.type} ${field.name},\n`;
+      } else {
+        code += `    ${field.required ? 'required ' : ''}${field.type} ${field.name},\n`;
+      }
+    });
+    code += `  }) = _${name};
+
+  factory ${name}.fromJson(Map<String, dynamic> json) => _$${name}FromJson(json);
+}
+`;
+    return code;
+  }
+};
+
+const jsonSerializable = {
+  name: 'json_serializable',
+  ignores: 'unused_element',
+  imports: ['package:json_annotation/json_annotation.dart'],
+  devPackages: ['build_runner', 'json_serializable'],
+  enumImports: ['package:json_annotation/json_annotation.dart'],
+  parts: fileName => [`${fileName}.g.dart`],
+  enumParts: () => [],
+  renderEnum: renderAnnotatedEnum('JsonValue'),
+  fromJson: freezed.fromJson,
+  fromJsonTearOff: freezed.fromJsonTearOff,
+  toJson: freezed.toJson,
+  renderClass({ name, docs, fields, ignoreNull }) {
+    let code = renderDocs(docs, '');
+    code += `@JsonSerializable(${ignoreNull ? 'includeIfNull: false' : ''})
+class ${name} {
+${renderConstructor(name, fields)}${separator(fields)}`;
+    fields.forEach(field => {
+      code += renderFieldDocs(field, '  ');
+      code += `  @JsonKey(${jsonKeyArguments(field)})\n`;
+      if (field.converter) {
+        code += `  @${field.converter}\n`;
+      }
+      code += `  final ${field.type} ${field.name};\n`;
+    });
+    code += `
+  factory ${name}.fromJson(Map<String, dynamic> json) => _$${name}FromJson(json);
+
+  Map<String, dynamic> toJson() => _$${name}ToJson(this);
+}
+`;
+    return code;
+  }
+};
+
+const dartMappable = {
+  name: 'dart_mappable',
+  ignores: 'unused_element',
+  imports: ['package:dart_mappable/dart_mappable.dart'],
+  devPackages: ['build_runner', 'dart_mappable_builder'],
+  enumImports: ['package:dart_mappable/dart_mappable.dart'],
+  parts: fileName => [`${fileName}.mapper.dart`],
+  enumParts: fileName => [`${fileName}.mapper.dart`],
+  renderEnum: renderAnnotatedEnum('MappableValue', '@MappableEnum()\n'),
+  fromJson: (className, json) => `${className}.fromMap(${json})`,
+  fromJsonTearOff: className => `${className}.fromMap`,
+  toJson: value => `${value}.toMap()`,
+  renderClass({ name, docs, fields, ignoreNull }) {
+    let code = renderDocs(docs, '');
+    code += `@MappableClass(${ignoreNull ? 'ignoreNull: true' : ''})
+class ${name} with ${name}Mappable {
+${renderConstructor(name, fields)}${separator(fields)}`;
+    fields.forEach(field => {
+      code += renderFieldDocs(field, '  ');
+      const hook = field.converter ? `, hook: ${field.converter}` : '';
+      // Embedded relations are read from selects but not written back
+      const encoded = field.toJson === false ? ', includeToJson: false' : '';
+      code += `  @MappableField(key: ${dartString(field.key)}${hook}${encoded})\n`;
+      code += `  final ${field.type} ${field.name};\n`;
+    });
+    code += `
+  static const fromMap = ${name}Mapper.fromMap;
+}
+`;
+    return code;
+  }
+};
+
+const plain = {
+  name: 'plain',
+  ignores: 'unused_element',
+  imports: [],
+  devPackages: [],
+  enumImports: [],
+  parts: () => [],
+  enumParts: () => [],
+  renderEnum(enumName, values, description = null) {
+    let code = description ? `/// ${description}\n` : '';
+    code += `enum ${enumName} {
+${values.map(value => `  ${dartEnumValueName(value)}(${dartString(value)})`).join(',\n')};
+
+  const ${enumName}(this.jsonValue);
+
+  /// Value in the database
+  final String jsonValue;
+
+  static ${enumName} fromJson(String json) => values.firstWhere((value) => value.jsonValue == json);
+}
+`;
+    return code;
+  },
+  fromJson: freezed.fromJson,
+  fromJsonTearOff: freezed.fromJsonTearOff,
+  toJson: freezed.toJson,
+  renderClass({ name, docs, fields, ignoreNull }) {
+    let code = renderDocs(docs, '');
+    code += `class ${name} {
+${renderConstructor(name, fields)}${separator(fields)}`;
+    fields.forEach(field => {
+      code += renderFieldDocs(field, '  ');
+      code += `  final ${field.type} ${field.name};\n`;
+    });
+
+    code += `
+  factory ${name}.fromJson(Map<String, dynamic> json) => ${name}(
+${fields.map(field => `        ${field.name}: ${decodeField(`json[${dartString(field.key)}]`, field)},\n`).join('')}\
+      );
+
+  Map<String, dynamic> toJson() => {
+${fields.filter(field => field.toJson !== false).map(field => {
+    const nullable = field.type.endsWith('?') || field.type === 'dynamic';
+    if (ignoreNull && nullable) {
+      return `        if (${field.name} != null) ${dartString(field.key)}: ${encodeValue(`${field.name}!`, field, stripNullable(field.type))},\n`;
+    }
+    return `        ${dartString(field.key)}: ${encodeField(field.name, field)},\n`;
+  }).join('')}\
+      };
+`;
+
+    if (fields.length > 0) {
+      // Nullable fields default to a sentinel, so they can be set to null
+      const isNullable = field => field.type.endsWith('?') || field.type === 'dynamic';
+      code += `
+  ${name} copyWith({
+${fields.map(field => (isNullable(field)
+    ? `    Object? ${field.name} = copyWithUnset,\n`
+    : `    ${optionalType(field.type)} ${field.name},\n`)).join('')}\
+  }) {
+    return ${name}(
+${fields.map(field => {
+    if (!isNullable(field)) {
+      return `      ${field.name}: ${field.name} ?? this.${field.name},\n`;
+    }
+    const cast = field.type === 'dynamic' ? '' : ` as ${field.type}`;
+    return `      ${field.name}: identical(${field.name}, copyWithUnset) ? this.${field.name} : ${field.name}${cast},\n`;
+  }).join('')}\
+    );
+  }
+`;
+    }
+
+    const compared = fields.map(field => (isCollection(field.type)
+      ? `deepEquals(${field.name}, other.${field.name})`
+      : `${field.name} == other.${field.name}`));
+    const hashed = fields.map(field => (isCollection(field.type) ? `deepHash(${field.name})` : field.name));
+    code += `
+  @override
+  bool operator ==(Object other) =>
+      identical(this, other) ||
+      other is ${name}${compared.map(comparison => ` &&\n          ${comparison}`).join('')};
+
+  @override
+  int get hashCode => Object.hashAll([${hashed.join(', ')}]);
+
+  @override
+  String toString() => '${name}(${fields.map(field => `${field.name}: $${field.name}`).join(', ')})';
+}
+`;
+    return code;
+  }
+};
+
+const STYLES = {
+  freezed,
+  json_serializable: jsonSerializable,
+  dart_mappable: dartMappable,
+  plain
+};
+
+/**
+ * Generate model_support.dart, the deep collection equality and copyWith
+ * sentinel of plain models
+ */
+export function generateDartSupportFile() {
+  return `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+
+/// Equality of JSON values, comparing lists and maps by their contents
+bool deepEquals(Object? a, Object? b) {
+  if (a is List && b is List) {
+    if (a.length != b.length) return false;
+    for (var i = 0; i < a.length; i++) {
+      if (!deepEquals(a[i], b[i])) return false;
+    }
+    return true;
+  }
+  if (a is Map && b is Map) {
+    if (a.length != b.length) return false;
+    for (final key in a.keys) {
+      if (!b.containsKey(key) || !deepEquals(a[key], b[key])) return false;
+    }
+    return true;
+  }
+  return a == b;
+}
+
+/// Hash code consistent with [deepEquals]
+int deepHash(Object? value) {
+  if (value is List) return Object.hashAll(value.map(deepHash));
+  if (value is Map) {
+    return Object.hashAllUnordered(value.entries.map((entry) => Object.hash(entry.key, deepHash(entry.value))));
+  }
+  return value.hashCode;
+}
+
+class _CopyWithUnset {
+  const _CopyWithUnset();
+}
+
+/// Default of nullable copyWith parameters, telling a parameter that was
+/// left out from one set to null
+const Object copyWithUnset = _CopyWithUnset();
+`;
+}
+
+/**
+ * Whether generated code uses the helpers of model_support.dart
+ */
+export function usesDartSupport(code) {
+  return code.includes('deepEquals(') || code.includes('deepHash(') || code.includes('copyWithUnset');
+}
+
+/**
+ * Enum with the database value of every member in an annotation
+ */
+function renderAnnotatedEnum(annotation, enumAnnotation = '') {
+  return (enumName, values, description = null) => {
+    let code = description ? `/// ${description}\n` : '';
+    code += `${enumAnnotation}enum ${enumName} {
+${values.map(value => `  @${annotation}(${dartString(value)})
+  ${dartEnumValueName(value)}`).join(',\n')},
+}
+`;
+    return code;
+  };
+}
+
+function renderDocs(docs, indent) {
+  return docs.map(doc => (doc ? `${indent}/// ${doc}\n` : `${indent}///\n`)).join('');
+}
+
+// Blank line after the constructor, unless the first field brings its own
+function separator(fields) {
+  return fields.length > 0 && fields[0].docs ? '' : '\n';
+}
+
+function renderFieldDocs(field, indent) {
+  return field.docs ? `\n${renderDocs(field.docs, indent)}` : '';
+}
+
+function jsonKeyArguments(field) {
+  return `name: ${dartString(field.key)}${field.toJson === false ? ', includeToJson: false' : ''}`;
+}
+
+/**
+ * Const constructor with a named parameter per field. Defaults that aren't
+ * constant, such as DateTime.now(), make the parameter required instead.
+ */
+function renderConstructor(name, fields) {
+  if (fields.length === 0) {
+    return `  const ${name}();\n`;
+  }
+  return `  const ${name}({
+${fields.map(field => {
+    if (field.defaultValue !== null && field.defaultValue !== undefined && isConstant(field.defaultValue)) {
+      return `    this.${field.name} = ${field.defaultValue},\n`;
+    }
+    const required = field.required || (field.defaultValue !== null && field.defaultValue !== undefined);
+    return `    ${required ? 'required ' : ''}this.${field.name},\n`;
+  }).join('')}  });
+`;
+}
+
+function isConstant(expression) {
+  return !expression.includes('(');
+}
+
+function stripNullable(type) {
+  return type.endsWith('?') ? type.slice(0, -1) : type;
+}
+
+function optionalType(type) {
+  return type.endsWith('?') || type === 'dynamic' ? type : `${type}?`;
+}
+
+function isCollection(type) {
+  return /^(List|Map)</.test(stripNullable(type));
+}
+
+function listElement(type) {
+  return type.startsWith('List<') ? type.slice(5, -1) : null;
+}
+
+/**
+ * Dart expression decoding a JSON value of a plain model field
+ */
+function decodeField(json, field) {
+  const type = stripNullable(field.type);
+  const decoded = decodeValue(json, field, type);
+  if (!field.type.endsWith('?') || decoded === json) {
+    return decoded;
+  }
+  // A cast takes the null along
+  return decoded === `${json} as ${type}` ? `${decoded}?` : `${json} == null ? null : ${decoded}`;
+}
+
+function decodeValue(json, field, type) {
+  const element = listElement(type);
+  if (element) {
+    const decoded = decodeValue('e', field, element);
+    return decoded === 'e' || decoded === `e as ${element}`
+      ? `(${json} as List).cast<${element}>()`
+      : `(${json} as List).map((e) => ${decoded}).toList()`;
+  }
+  if (field.converter) return `const ${field.converter}.fromJson(${json} as dynamic)`;
+  if (field.isEnum) return `${type}.fromJson(${json} as String)`;
+  switch (type) {
+    case 'int': return `(${json} as num).toInt()`;
+    case 'double': return `(${json} as num).toDouble()`;
+    case 'DateTime': return `DateTime.parse(${json} as String)`;
+    case 'dynamic': return json;
+  }
+  if (CORE_TYPES.has(type) || type.startsWith('Map<')) {
+    return `${json} as ${type}`;
+  }
+  return `${type}.fromJson(${json} as Map<String, dynamic>)`;
+}
+
+/**
+ * Dart expression encoding a plain model field as JSON
+ */
+function encodeField(name, field) {
+  const type = stripNullable(field.type);
+  const encoded = encodeValue(name, field, type);
+  if (encoded === name || !field.type.endsWith('?')) {
+    return encoded;
+  }
+  const value = encodeValue(`${name}!`, field, type);
+  // A single member access takes the null along
+  return /^\w+!\.\w+(\(\))?$/.test(value) ? value.replace('!', '?') : `${name} == null ? null : ${value}`;
+}
+
+function encodeValue(value, field, type) {
+  const element = listElement(type);
+  if (element) {
+    const encoded = encodeValue('e', field, element);
+    return encoded === 'e' ? value : `${value}.map((e) => ${encoded}).toList()`;
+  }
+  if (field.converter) return `const ${field.converter}.toJson(${value})`;
+  if (field.isEnum) return `${value}.jsonValue`;
+  if (type === 'DateTime') return `${value}.toIso8601String()`;
+  if (CORE_TYPES.has(type) || type.startsWith('Map<')) return value;
+  return `${value}.toJson()`;
+}
+
+/**
+ * Single-quoted Dart string literal
+ */
+function dartString(value) {
+  return `'${value.replace(/[\\'$]/g, '\\$&')}'`;
+}
@@ -0,0 +1,189 @@
+/**
+ * Line diffs of generated files in unified diff format, for --check
+ */
+
+// Beyond this many differing lines the changed block is shown as replaced
+const MAX_EDITS = 2000;
+
+const NO_NEWLINE = '\n\\ No newline at end of file';
+
+/**
+ * Unified diff turning oldText into newText, or an empty string when they
+ * are equal
+ *
+ * @param {string|null} oldText Content on disk, null for a missing file
+ * @param {string|null} newText Generated content, null for a file to delete
+ * @param {Object} options
+ * @param {string} options.fileName Path shown in the ---/+++ header, with / separators
+ * @param {number} options.context Unchanged lines around each change
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fileName = 'file', context = 3 } = options;
+  if (oldText === newText) {
+    return '';
+  }
+
+  // Absolute paths (outside the working directory) are shown without a/ and b/
+  const label = prefix => (fileName.startsWith('/') ? fileName : `${prefix}/${fileName}`);
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  let diff = `--- ${oldText === null ? '/dev/null' : label('a')}\n`;
+  diff += `+++ ${newText === null ? '/dev/null' : label('b')}\n`;
+  getHunks(ops, context).forEach(hunk => {
+    diff += `@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@\n`;
+    hunk.lines.forEach(({ op, text }) => {
+      diff += `${op === '=' ? ' ' : op}${text}\n`;
+    });
+  });
+  return diff;
+}
+
+/**
+ * Lines of a text; a missing final newline is kept as a marker on the last line
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+}
+
+/**
+ * Edit script between two lines arrays as [op, text] pairs, op being =, - or +
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+  const middle = myers(oldLines, newLines) || [
+    ...oldLines.map(text => ['-', text]),
+    ...newLines.map(text => ['+', text])
+  ];
+  return [
+    ...a.slice(0, prefix).map(text => ['=', text]),
+    ...middle,
+    ...a.slice(a.length - suffix).map(text => ['=', text])
+  ];
+}
+
+/**
+ * Shortest edit script (Myers' O(ND) algorithm), or null beyond MAX_EDITS
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDITS) {
+      return null;
+    }
+    // v as left by step d - 1, for k in [-d - 1, d + 1]
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const at = k => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push(['=', a[--x]]);
+      y--;
+    }
+    if (x === prevX) {
+      ops.push(['+', b[--y]]);
+    } else {
+      ops.push(['-', a[--x]]);
+    }
+  }
+  while (x > 0) {
+    ops.push(['=', a[--x]]);
+  }
+  return ops.reverse();
+}
+
+/**
+ * Group an edit script into hunks with `context` unchanged lines around changes
+ */
+function getHunks(ops, context) {
+  let oldLine = 1;
+  let newLine = 1;
+  const lines = ops.map(([op, text]) => {
+    const line = { op, text, oldLine, newLine };
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+    return line;
+  });
+
+  const hunks = [];
+  let current = null;
+  lines.forEach((line, index) => {
+    if (line.op === '=') {
+      return;
+    }
+    const start = Math.max(0, index - context);
+    if (current && start <= current.end) {
+      current.end = Math.min(lines.length, index + context + 1);
+    } else {
+      current = { start, end: Math.min(lines.length, index + context + 1) };
+      hunks.push(current);
+    }
+  });
+
+  return hunks.map(({ start, end }) => {
+    const hunkLines = lines.slice(start, end);
+    return {
+      oldStart: hunkLines[0].oldLine,
+      oldCount: hunkLines.filter(line => line.op !== '+').length,
+      newStart: hunkLines[0].newLine,
+      newCount: hunkLines.filter(line => line.op !== '-').length,
+      lines: hunkLines
+    };
+  });
+}
+
+function formatRange(start, count) {
+  if (count === 0) {
+    return `${start - 1},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
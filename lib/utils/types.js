@@ -0,0 +1,359 @@
+/**
+ * Postgres to Dart type mapping.
+ *
+ * Types are looked up by their name in pg_type (int4, timestamptz, _text for
+ * arrays), the udt_name information_schema reports. Domains resolve to their
+ * base type, composite types to their generated model, and the mapping can be
+ * overridden per type or per column:
+ *
+ * {
+ *   'numeric': 'double',                       // every numeric column and parameter
+ *   'public.email_address': 'String',          // a domain or other named type
+ *   'jobs.meta': { type: 'JobMeta', converter: 'JobMetaConverter()', import: 'package:app/job_meta.dart' },
+ *   'billing.invoices.amount': 'double'        // schema.table.column
+ * }
+ */
+
+/**
+ * Shared JsonConverters of the generated models, written once per Dart output
+ * directory
+ */
+export const DART_CONVERTERS_FILE = 'converters.dart';
+
+const DECIMAL_IMPORT = 'package:decimal/decimal.dart';
+
+const STRING = { type: 'String' };
+
+/**
+ * Dart types of the built-in types, by pg_type name
+ */
+const DART_TYPES = {
+  int2: { type: 'int' },
+  int4: { type: 'int' },
+  int8: { type: 'int' },
+  oid: { type: 'int' },
+  float4: { type: 'double' },
+  float8: { type: 'double' },
+  numeric: { type: 'Decimal', converter: 'DecimalConverter()', imports: [DECIMAL_IMPORT, DART_CONVERTERS_FILE] },
+  bool: { type: 'bool' },
+  timestamp: { type: 'DateTime' },
+  timestamptz: { type: 'DateTime' },
+  date: { type: 'DateTime', converter: 'DateOnlyConverter()', imports: [DART_CONVERTERS_FILE] },
+  interval: { type: 'Duration', converter: 'IntervalConverter()', imports: [DART_CONVERTERS_FILE] },
+  json: { type: 'Map<String, dynamic>' },
+  jsonb: { type: 'Map<String, dynamic>' },
+  // PostgREST returns these as their text representation
+  text: STRING,
+  varchar: STRING,
+  bpchar: STRING,
+  char: STRING,
+  name: STRING,
+  citext: STRING,
+  uuid: STRING,
+  time: STRING,
+  timetz: STRING,
+  bytea: STRING,
+  money: STRING,
+  inet: STRING,
+  cidr: STRING,
+  macaddr: STRING,
+  macaddr8: STRING,
+  bit: STRING,
+  varbit: STRING,
+  xml: STRING,
+  tsvector: STRING,
+  tsquery: STRING,
+  point: STRING,
+  line: STRING,
+  lseg: STRING,
+  box: STRING,
+  path: STRING,
+  polygon: STRING,
+  circle: STRING,
+  int4range: STRING,
+  int8range: STRING,
+  numrange: STRING,
+  tsrange: STRING,
+  tstzrange: STRING,
+  daterange: STRING
+};
+
+/**
+ * pg_type names of the SQL spellings of built-in types
+ */
+const TYPE_ALIASES = {
+  smallint: 'int2',
+  integer: 'int4',
+  int: 'int4',
+  bigint: 'int8',
+  smallserial: 'int2',
+  serial: 'int4',
+  bigserial: 'int8',
+  real: 'float4',
+  float: 'float8',
+  'double precision': 'float8',
+  decimal: 'numeric',
+  boolean: 'bool',
+  'character varying': 'varchar',
+  character: 'bpchar',
+  '"char"': 'char',
+  'bit varying': 'varbit',
+  'timestamp without time zone': 'timestamp',
+  'timestamp with time zone': 'timestamptz',
+  'time without time zone': 'time',
+  'time with time zone': 'timetz'
+};
+
+// Types without a mapping are passed through as decoded JSON
+const FALLBACK = { type: 'Object' };
+
+// Packages of the converter base classes, by serialization style
+const CONVERTER_IMPORTS = {
+  freezed: 'package:json_annotation/json_annotation.dart',
+  dart_mappable: 'package:dart_mappable/dart_mappable.dart'
+};
+
+/**
+ * Built-in converters, by class name: the Dart type, its JSON type and the
+ * conversion methods
+ */
+const DART_CONVERTERS = {
+  DecimalConverter: {
+    docs: `/// numeric values. PostgREST sends numbers, they are written back as strings so
+/// no digits are lost on the way to the database.`,
+    type: 'Decimal',
+    jsonType: 'Object',
+    fromJson: '  Decimal fromJson(Object json) => Decimal.parse(json.toString());\n',
+    toJson: '  Object toJson(Decimal value) => value.toString();\n'
+  },
+  DateOnlyConverter: {
+    docs: '/// date values as yyyy-MM-dd, without a time or time zone',
+    type: 'DateTime',
+    jsonType: 'String',
+    fromJson: '  DateTime fromJson(String json) => DateTime.parse(json);\n',
+    toJson: `  String toJson(DateTime value) => '\${value.year.toString().padLeft(4, '0')}-'
+      '\${value.month.toString().padLeft(2, '0')}-'
+      '\${value.day.toString().padLeft(2, '0')}';
+`
+  },
+  IntervalConverter: {
+    docs: `/// interval values in the default postgres IntervalStyle (1 year 2 mons 3 days 04:05:06).
+/// Months count as 30 days and years as 365.25 days, like EXTRACT(epoch FROM interval).`,
+    type: 'Duration',
+    jsonType: 'String',
+    members: `  static const _units = {
+    'year': 31557600000000,
+    'mon': 2592000000000,
+    'day': 86400000000,
+  };
+`,
+    fromJson: `  Duration fromJson(String json) {
+    var microseconds = 0.0;
+    for (final match in RegExp(r'(-?\\d+) (year|mon|day)').allMatches(json)) {
+      microseconds += int.parse(match[1]!) * _units[match[2]]!;
+    }
+    final time = RegExp(r'([-+])?(\\d+):(\\d+):(\\d+(?:\\.\\d+)?)').firstMatch(json);
+    if (time != null) {
+      final seconds = int.parse(time[2]!) * 3600 + int.parse(time[3]!) * 60 + double.parse(time[4]!);
+      microseconds += (time[1] == '-' ? -seconds : seconds) * 1000000;
+    }
+    return Duration(microseconds: microseconds.round());
+  }
+`,
+    toJson: "  String toJson(Duration value) => '${value.inMicroseconds} microseconds';\n"
+  }
+};
+
+/**
+ * A built-in converter in the given serialization style: a JsonConverter for
+ * freezed and json_serializable, a MappingHook for dart_mappable and a plain
+ * class for the handwritten models
+ */
+function renderConverter(name, converter, style) {
+  const { type, jsonType } = converter;
+  const members = converter.members ? `\n${converter.members}` : '';
+  if (style === 'plain') {
+    return `${converter.docs}
+class ${name} {
+  const ${name}();
+${members}
+${converter.fromJson}
+${converter.toJson}}
+`;
+  }
+  if (style === 'dart_mappable') {
+    return `${converter.docs}
+class ${name} extends MappingHook {
+  const ${name}();
+${members}
+${converter.fromJson}
+${converter.toJson}
+  @override
+  Object? beforeDecode(Object? value) {
+    if (value is List) return value.map((e) => fromJson(e as ${jsonType})).toList();
+    return value == null ? null : fromJson(value as ${jsonType});
+  }
+
+  @override
+  Object? beforeEncode(Object? value) {
+    if (value is List<${type}>) return value.map(toJson).toList();
+    return value is ${type} ? toJson(value) : value;
+  }
+}
+`;
+  }
+  return `${converter.docs}
+class ${name} implements JsonConverter<${type}, ${jsonType}> {
+  const ${name}();
+${members}
+  @override
+${converter.fromJson}
+  @override
+${converter.toJson}}
+`;
+}
+
+/**
+ * Generate converters.dart with the given built-in converters
+ *
+ * @param {string[]} names Converter class names, e.g. DecimalConverter
+ * @param {string} style Serialization style of the models (see styles.js)
+ */
+export function generateDartConvertersFile(names, style = 'freezed') {
+  const used = Object.keys(DART_CONVERTERS).filter(name => names.includes(name));
+  const imports = [
+    ...(used.includes('DecimalConverter') ? [DECIMAL_IMPORT] : []),
+    ...(style === 'plain' ? [] : [CONVERTER_IMPORTS[style] || CONVERTER_IMPORTS.freezed])
+  ].sort();
+  let code = `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+
+${imports.map(importPath => `import '${importPath}';\n`).join('')}`;
+  used.forEach(name => {
+    code += `\n${renderConverter(name, DART_CONVERTERS[name], style)}`;
+  });
+  return code;
+}
+
+/**
+ * Names of the built-in converters used by generated Dart code
+ */
+export function getUsedDartConverters(code) {
+  return Object.keys(DART_CONVERTERS).filter(name => code.includes(`${name}()`));
+}
+
+/**
+ * Find the override for the first of the given keys
+ *
+ * @returns {{type: string, converter: string|null, imports: string[]}|null}
+ */
+export function getTypeOverride(typeOverrides, keys) {
+  const key = keys.find(candidate => candidate && Object.hasOwn(typeOverrides, candidate));
+  if (!key) {
+    return null;
+  }
+  const override = typeOverrides[key];
+  return typeof override === 'string'
+    ? { type: override, converter: null, imports: [] }
+    : {
+      type: override.type,
+      converter: override.converter || null,
+      imports: override.import ? [override.import] : []
+    };
+}
+
+/**
+ * Resolve the Dart type of a column, function parameter or composite type
+ * attribute. Arrays are given either as data type ARRAY with an element udt
+ * name prefixed by _ (as information_schema reports them) or with isArray set.
+ *
+ * @param {Object} type { type, dataType, udtSchema, udtName, domainSchema, domainName, isArray }.
+ *   Columns of a domain type report the udt of the domain's base type and the
+ *   domain separately.
+ * @param {Object} options
+ * @param {Object} options.typeOverrides Dart types by Postgres type name (see above)
+ * @param {Array} options.domains Domains as { schema, name, type, dataType, udtSchema, udtName }
+ * @param {Array} options.compositeTypes Composite types as { schema, name, dartName, importPath }
+ * @returns {{dartType: string, converter: string|null, imports: string[]}} dartType is never nullable
+ */
+export function resolveDartType(type, options = {}) {
+  const { typeOverrides = {}, domains = [], compositeTypes = [] } = options;
+  const typeName = (type.type || '').replace(/\(.*?\)/g, '').trim();
+  const isArray = type.isArray ?? type.dataType === 'ARRAY';
+
+  // Overrides of the array type itself, e.g. text[]
+  const arrayOverride = isArray && getTypeOverride(typeOverrides, [typeName, type.udtName]);
+  if (arrayOverride) {
+    return { dartType: arrayOverride.type, converter: arrayOverride.converter, imports: arrayOverride.imports };
+  }
+
+  const element = resolveElementType({
+    typeName: typeName.replace(/\[\]$/, ''),
+    udtSchema: type.udtSchema,
+    udtName: type.dataType === 'ARRAY' ? (type.udtName || '').replace(/^_/, '') : type.udtName,
+    dataType: isArray ? null : type.dataType,
+    domainSchema: type.domainSchema,
+    domainName: type.domainName
+  }, { typeOverrides, domains, compositeTypes }, new Set());
+
+  return {
+    dartType: isArray ? `List<${element.type}>` : element.type,
+    converter: element.converter || null,
+    imports: element.imports || []
+  };
+}
+
+/**
+ * Dart type of a non-array type
+ */
+function resolveElementType({ typeName, udtSchema, udtName, dataType, domainSchema, domainName }, options, seen) {
+  const { typeOverrides } = options;
+
+  // The domain of a domain column comes before its base type
+  const named = (domainName && resolveNamedType(typeName, domainSchema, domainName, options, seen)) ||
+    resolveNamedType(typeName, udtSchema, udtName, options, seen);
+  if (named) {
+    return named;
+  }
+
+  const override = getTypeOverride(typeOverrides, [dataType]);
+  if (override) {
+    return override;
+  }
+
+  const name = [udtName, dataType, typeName]
+    .map(candidate => (candidate || '').toLowerCase())
+    .map(candidate => TYPE_ALIASES[candidate] || candidate)
+    .find(candidate => DART_TYPES[candidate]);
+  return DART_TYPES[name] || FALLBACK;
+}
+
+/**
+ * Dart type of a type overridden by name, a domain or a composite type, or
+ * null for other types
+ */
+function resolveNamedType(typeName, udtSchema, udtName, options, seen) {
+  const { typeOverrides, domains, compositeTypes } = options;
+  const qualified = udtSchema && udtSchema !== 'pg_catalog' ? `${udtSchema}.${udtName}` : null;
+
+  const override = getTypeOverride(typeOverrides, [typeName, qualified, udtName]);
+  if (override) {
+    return override;
+  }
+
+  // Domains take the type of their base type
+  const domain = domains.find(d => d.schema === udtSchema && d.name === udtName);
+  if (domain && !seen.has(qualified)) {
+    seen.add(qualified);
+    const base = resolveDartType(domain, options);
+    return { type: base.dartType, converter: base.converter, imports: base.imports };
+  }
+
+  const composite = compositeTypes.find(t => t.schema === udtSchema && t.name === udtName);
+  if (composite) {
+    return { type: composite.dartName, imports: composite.importPath ? [composite.importPath] : [] };
+  }
+
+  return null;
+}
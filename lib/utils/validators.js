@@ -0,0 +1,421 @@
+import { isRequiredColumn, isWritableColumn, qualifiedName } from './files.js';
+
+/**
+ * Dart validators of table models, rejecting input the database would refuse
+ * before the round trip. Rules come from the columns and their constraints:
+ *
+ * - NOT NULL columns without a default are required
+ * - varchar(n) and char(n) lengths, and CHECK (char_length(col) <= n)
+ * - numeric ranges, e.g. CHECK (price >= 0) or BETWEEN
+ * - regular expressions, e.g. CHECK (email ~* '^[^@]+@[^@]+$')
+ * - CHECK (col <> '') and the checks of domains
+ *
+ * CHECK (col = ANY (ARRAY[...])) becomes an enum instead. Other checks, such
+ * as those comparing two columns, are reported as unsupported; the supported
+ * parts of an AND are still validated.
+ */
+
+// Comparison operators, longest first so >= isn't read as >
+const OPERATORS = ['!~*', '!~', '~*', '>=', '<=', '<>', '!=', '~', '>', '<', '='];
+
+// Operator with the operands swapped, for checks written as (0 <= price)
+const SWAPPED = { '>=': '<=', '<=': '>=', '>': '<', '<': '>', '=': '=', '<>': '<>', '!=': '<>' };
+
+// Comparison failing exactly when the operator's check does
+const NEGATED = { '>=': '<', '>': '<=', '<=': '>', '<': '>=', '=': '!=', '<>': '==' };
+
+const RANGE_MESSAGES = {
+  '>=': 'must be at least',
+  '>': 'must be greater than',
+  '<=': 'must be at most',
+  '<': 'must be less than',
+  '=': 'must be',
+  '<>': 'must not be'
+};
+
+const NUMBER_TYPES = new Set(['int', 'double', 'num', 'Decimal']);
+
+// POSIX classes and escapes Dart's RegExp doesn't understand
+const UNSUPPORTED_PATTERN = /\[\[[:.=]|\\[mMyYAZ]/;
+
+/**
+ * Domain of a column. Catalog rows name it in domain_schema and domain_name,
+ * with the base type in udt_*; parsed schemas only know the udt.
+ */
+function findDomain(column, domains, schema) {
+  const [typeSchema, typeName] = column.domain_name
+    ? [column.domain_schema, column.domain_name]
+    : [column.udt_schema, column.udt_name];
+  return domains.find(d => d.schema === (typeSchema || schema) && d.name === typeName) || null;
+}
+
+/**
+ * Validation rules of a table's fields
+ *
+ * @param {Array} fields Fields of the model (see getDartFields)
+ * @param {Array} constraints Grouped constraints (see groupConstraints)
+ * @param {Object} options
+ * @param {string} options.schema
+ * @param {Array} options.domains Domains with their checks, for columns typed with one
+ * @returns {{ rules: Map<string, Array>, unsupported: Array<{source: string, check: string}> }}
+ *   rules by column name, and the checks (or parts of an AND) left out
+ */
+export function getValidationRules(fields, constraints, options = {}) {
+  const { schema = 'public', domains = [] } = options;
+  const rules = new Map(fields.map(field => [field.column.column_name, []]));
+  const unsupported = [];
+  const add = (field, rule) => rules.get(field.column.column_name).push(rule);
+
+  fields.forEach(field => {
+    const { column } = field;
+    const domain = findDomain(column, domains, schema);
+    // Domain defaults and NOT NULL apply to columns without their own
+    const notNull = domain?.notNull ? 'NO' : column.is_nullable;
+    if (isWritableColumn(column) && isRequiredColumn({ ...column, is_nullable: notNull }) && !domain?.default) {
+      add(field, { kind: 'required', source: 'NOT NULL' });
+    }
+
+    const domainLength = domain?.type.match(/^character(?: varying)?\((\d+)\)$/);
+    const length = column.character_maximum_length
+      ? { value: Number(column.character_maximum_length), source: column.column_type || `varchar(${column.character_maximum_length})` }
+      : domainLength && { value: Number(domainLength[1]), source: `domain ${domain.name}` };
+    if (length && baseType(field) === 'String') {
+      add(field, { kind: 'length', op: '<=', value: length.value, source: length.source });
+    }
+
+    (domain?.checks || []).forEach(check => {
+      // NOT VALID only skips existing rows, new values are checked
+      splitConjuncts(check.replace(/^CHECK /, '').replace(/ NOT VALID$/, '')).forEach(part => {
+        const parsed = parseCheck(part, name => (name === 'VALUE' ? field : null));
+        if (parsed) {
+          parsed.rules.forEach(rule => add(field, { ...rule, source: `domain ${domain.name}` }));
+        } else {
+          unsupported.push({ source: `domain ${domain.name}`, check: part });
+        }
+      });
+    });
+  });
+
+  constraints.filter(c => c.constraint_type === 'CHECK' && c.check_clause).forEach(constraint => {
+    splitConjuncts(constraint.check_clause).forEach(part => {
+      const parsed = parseCheck(part, name => fields.find(field => field.column.column_name === name));
+      if (parsed) {
+        parsed.rules.forEach(rule => add(parsed.field, { ...rule, source: constraint.constraint_name }));
+      } else {
+        unsupported.push({ source: constraint.constraint_name, check: part });
+      }
+    });
+  });
+
+  return { rules, unsupported };
+}
+
+/**
+ * Generate the <Model>Validator class of a table model, or an empty string
+ * when none of its fields has a rule
+ *
+ * @param {string} tableName
+ * @param {string} className Class name of the model
+ * @param {Array} fields Fields of the model (see getDartFields)
+ * @param {Array} constraints Grouped constraints (see groupConstraints)
+ * @param {Object} options
+ * @param {boolean} options.companions Add validateInsert and validateUpdate for the companion classes
+ * @param {boolean} options.generateDocs
+ * @param {Function} options.onWarning Called with a message per unsupported check
+ */
+export function generateDartValidator(tableName, className, fields, constraints, options = {}) {
+  const { schema = 'public', companions = false, generateDocs = true, onWarning = () => {} } = options;
+  const { rules, unsupported } = getValidationRules(fields, constraints, options);
+  unsupported.forEach(({ source, check }) => {
+    onWarning(`${qualifiedName(schema, tableName)}: no Dart validator for CHECK (${check}) of ${source}`);
+  });
+
+  const validated = fields.filter(field => rules.get(field.column.column_name).length > 0);
+  if (validated.length === 0) {
+    return '';
+  }
+
+  const validatorName = `${className}Validator`;
+  let code = generateDocs
+    ? `/// Checks of the ${tableName} table's constraints, to reject invalid input
+/// before it's sent. Field validators return an error message or null.
+`
+    : '';
+  code += `class ${validatorName} {
+  const ${validatorName}._();
+`;
+
+  validated.forEach(field => {
+    const fieldRules = rules.get(field.column.column_name);
+    const patterns = fieldRules.filter(rule => rule.kind === 'pattern');
+    patterns.forEach((rule, index) => {
+      code += `\n  static final ${patternName(field, patterns, index)} = RegExp(${dartString(rule.pattern)}${rule.caseSensitive ? '' : ', caseSensitive: false'});\n`;
+    });
+  });
+
+  validated.forEach(field => {
+    const column = field.column.column_name;
+    const fieldRules = rules.get(column);
+    const type = baseType(field);
+    code += '\n';
+    if (generateDocs) {
+      code += `  /// ${column}: ${[...new Set(fieldRules.map(rule => rule.source))].join(', ')}\n`;
+    }
+    code += `  static String? ${field.fieldName}(${type}? value) {\n`;
+    const required = fieldRules.some(rule => rule.kind === 'required');
+    code += `    if (value == null) return ${required ? dartString(`${column} is required`) : 'null'};\n`;
+    const patterns = fieldRules.filter(rule => rule.kind === 'pattern');
+    fieldRules.forEach(rule => {
+      if (rule.kind === 'length') {
+        const characters = rule.value === 1 ? 'character' : 'characters';
+        const message = `${column} must be ${rule.op === '<=' ? 'at most' : 'at least'} ${rule.value} ${characters}`;
+        code += `    if (value.runes.length ${NEGATED[rule.op]} ${rule.value}) return ${dartString(message)};\n`;
+      } else if (rule.kind === 'range') {
+        const literal = type === 'Decimal' ? `Decimal.parse(${dartString(rule.value)})` : rule.value;
+        const message = `${column} ${RANGE_MESSAGES[rule.op]} ${rule.value}`;
+        code += `    if (value ${NEGATED[rule.op]} ${literal}) return ${dartString(message)};\n`;
+      } else if (rule.kind === 'not-equal') {
+        const message = rule.value === '' ? `${column} must not be empty` : `${column} must not be ${rule.value}`;
+        code += `    if (value == ${dartString(rule.value)}) return ${dartString(message)};\n`;
+      } else if (rule.kind === 'pattern') {
+        const name = patternName(field, patterns, patterns.indexOf(rule));
+        code += `    if (${rule.negated ? '' : '!'}${name}.hasMatch(value)) return ${dartString(`${column} has an invalid format`)};\n`;
+      }
+    });
+    code += '    return null;\n  }\n';
+  });
+
+  const validateMethod = (name, valueType, methodFields, docs, onlySet = false) => {
+    let method = '\n';
+    if (generateDocs) {
+      method += `  /// ${docs}\n`;
+    }
+    method += `  static Map<String, String> ${name}(${valueType} value) {\n    return _errors({\n`;
+    methodFields.forEach(field => {
+      const column = dartString(field.column.column_name);
+      method += onlySet
+        ? `      if (value.${field.fieldName} != null) ${column}: ${field.fieldName}(value.${field.fieldName}),\n`
+        : `      ${column}: ${field.fieldName}(value.${field.fieldName}),\n`;
+    });
+    return `${method}    });\n  }\n`;
+  };
+
+  code += validateMethod('validate', className, validated, 'Errors of a row by column name, empty when it\'s valid');
+  if (companions) {
+    const writable = validated.filter(field => isWritableColumn(field.column));
+    code += validateMethod('validateInsert', `${className}Insert`, writable, 'Errors of the values of a new row by column name');
+    code += validateMethod('validateUpdate', `${className}Update`, writable, 'Errors of the fields that are set by column name', true);
+  }
+
+  code += `
+  static Map<String, String> _errors(Map<String, String?> results) {
+    return {
+      for (final entry in results.entries)
+        if (entry.value != null) entry.key: entry.value!,
+    };
+  }
+}
+`;
+  return code;
+}
+
+/**
+ * Rules of one part of a CHECK clause as { field, rules }, with no rules for
+ * parts the Dart type already enforces (enums), or null when unsupported
+ *
+ * @param {string} check
+ * @param {Function} findField Field of a column name, or null
+ */
+function parseCheck(check, findField) {
+  const expr = unwrap(check);
+  // Enum values, enforced by the generated enum
+  if (/^\(?[a-z_][a-z0-9_]*\)?(::[a-z ]+)? = ANY \(/i.test(expr)) {
+    return { field: null, rules: [] };
+  }
+  const notNull = expr.match(/^(.+) IS NOT NULL$/);
+  if (notNull) {
+    const operand = parseOperand(notNull[1]);
+    const field = operand?.kind === 'column' && findField(operand.name);
+    return field ? { field, rules: [{ kind: 'required' }] } : null;
+  }
+
+  const comparison = splitComparison(expr);
+  if (!comparison) {
+    return null;
+  }
+  let [left, op, right] = [parseOperand(comparison.left), comparison.op, parseOperand(comparison.right)];
+  if (!left || !right) {
+    return null;
+  }
+  if (left.kind !== 'column' && left.kind !== 'length' && SWAPPED[op]) {
+    [left, op, right] = [right, SWAPPED[op], left];
+  }
+  op = op === '!=' ? '<>' : op;
+  const field = (left.kind === 'column' || left.kind === 'length') && findField(left.name);
+  if (!field) {
+    return null;
+  }
+  const type = baseType(field);
+
+  if (left.kind === 'length' && right.kind === 'number' && /^\d+$/.test(right.value) && type === 'String') {
+    // Lengths are whole numbers, so every bound becomes a minimum or maximum
+    const value = Number(right.value);
+    const bounds = {
+      '<=': [['<=', value]],
+      '<': [['<=', value - 1]],
+      '>=': [['>=', value]],
+      '>': [['>=', value + 1]],
+      '=': [['>=', value], ['<=', value]]
+    }[op];
+    return bounds ? { field, rules: bounds.map(([bound, length]) => ({ kind: 'length', op: bound, value: length })) } : null;
+  }
+  if (left.kind !== 'column') {
+    return null;
+  }
+  if (right.kind === 'number' && RANGE_MESSAGES[op] && NUMBER_TYPES.has(type)) {
+    return { field, rules: [{ kind: 'range', op, value: right.value }] };
+  }
+  if (right.kind === 'string' && op === '<>' && type === 'String') {
+    return { field, rules: [{ kind: 'not-equal', value: right.value }] };
+  }
+  if (right.kind === 'string' && op.includes('~') && type === 'String' && !UNSUPPORTED_PATTERN.test(right.value)) {
+    return {
+      field,
+      rules: [{ kind: 'pattern', pattern: right.value, caseSensitive: !op.endsWith('*'), negated: op.startsWith('!') }]
+    };
+  }
+  return null;
+}
+
+/**
+ * Column, char_length() of a column, number or string literal of a CHECK
+ * operand, without casts
+ */
+function parseOperand(text) {
+  let expr = unwrap(text.trim());
+  let cast;
+  while ((cast = expr.match(/^(.*)::[a-z_][a-z0-9_ ]*(\[\])?$/i)) && !/^'(?:[^']|'')*$/.test(cast[1])) {
+    expr = unwrap(cast[1].trim());
+  }
+
+  const string = expr.match(/^'((?:[^']|'')*)'$/);
+  const value = string ? string[1].replace(/''/g, '\'') : expr;
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return { kind: 'number', value };
+  }
+  if (string) {
+    return { kind: 'string', value };
+  }
+  const length = expr.match(/^(?:char_length|character_length|length)\((.+)\)$/);
+  if (length) {
+    const column = parseOperand(length[1]);
+    return column?.kind === 'column' ? { kind: 'length', name: column.name } : null;
+  }
+  const identifier = expr.match(/^(?:([a-zA-Z_][a-zA-Z0-9_$]*)|"((?:[^"]|"")+)")$/);
+  if (identifier) {
+    return { kind: 'column', name: identifier[1] ?? identifier[2].replace(/""/g, '"') };
+  }
+  return null;
+}
+
+/**
+ * Parts of a CHECK clause joined by AND at the top level
+ */
+function splitConjuncts(clause) {
+  const expr = unwrap(clause.trim());
+  const parts = [];
+  let start = 0;
+  scan(expr, (index, depth) => {
+    if (depth === 0 && expr.startsWith(' AND ', index)) {
+      parts.push(expr.slice(start, index));
+      start = index + 5;
+    }
+  });
+  parts.push(expr.slice(start));
+  // A BETWEEN's AND isn't a conjunction; Postgres rewrites BETWEEN to >= and <= anyway
+  return parts.length > 1 && parts.some(part => / BETWEEN /i.test(part)) ? [expr] : parts.map(part => unwrap(part.trim()));
+}
+
+/**
+ * The operands and operator of a comparison at the top level, or null
+ */
+function splitComparison(expr) {
+  let result = null;
+  scan(expr, (index, depth) => {
+    if (result || depth !== 0) {
+      return;
+    }
+    const op = OPERATORS.find(candidate => expr.startsWith(candidate, index));
+    if (op) {
+      result = { left: expr.slice(0, index).trim(), op, right: expr.slice(index + op.length).trim() };
+    }
+  });
+  return result && result.left && result.right ? result : null;
+}
+
+/**
+ * Call visit(index, depth) for every character outside string literals and
+ * quoted identifiers, with its parenthesis depth
+ */
+function scan(expr, visit) {
+  let depth = 0;
+  let quote = null;
+  for (let index = 0; index < expr.length; index++) {
+    const char = expr[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else {
+      visit(index, depth);
+    }
+  }
+}
+
+/**
+ * An expression without the parentheses wrapping all of it
+ */
+function unwrap(expr) {
+  while (expr.startsWith('(') && expr.endsWith(')')) {
+    // The first parenthesis must close at the end, unlike in (a) AND (b)
+    let depth = 0;
+    let closesAtEnd = true;
+    for (let index = 0, quote = null; index < expr.length - 1 && closesAtEnd; index++) {
+      const char = expr[index];
+      if (quote) {
+        quote = char === quote ? null : quote;
+      } else if (char === '\'' || char === '"') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        closesAtEnd = --depth > 0;
+      }
+    }
+    if (!closesAtEnd) {
+      break;
+    }
+    expr = expr.slice(1, -1).trim();
+  }
+  return expr;
+}
+
+function baseType(field) {
+  return field.dartType.replace(/\?$/, '');
+}
+
+function patternName(field, patterns, index) {
+  return `_${field.fieldName}Pattern${patterns.length > 1 ? index + 1 : ''}`;
+}
+
+function dartString(value) {
+  return `'${value.replace(/[\\'$]/g, '\\$&')}'`;
+}
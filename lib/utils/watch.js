@@ -0,0 +1,347 @@
+import { createSnapshot, getSnapshotSchema } from './snapshot.js';
+
+/**
+ * Watch mode. DDL is picked up through an event trigger that sends a
+ * notification on WATCH_CHANNEL, installed into its own schema when the
+ * database role may create event triggers and dropped when watching stops.
+ * Otherwise a fingerprint of the watched schemas' catalog entries is polled.
+ */
+export const WATCH_CHANNEL = 'supabase_dart_exporter_ddl';
+
+const WATCH_SCHEMA = 'supabase_dart_exporter';
+
+const INSTALL_EVENT_TRIGGER_SQL = `
+  CREATE SCHEMA IF NOT EXISTS ${WATCH_SCHEMA};
+
+  CREATE OR REPLACE FUNCTION ${WATCH_SCHEMA}.notify_ddl()
+  RETURNS event_trigger
+  LANGUAGE plpgsql
+  AS $$
+  BEGIN
+    PERFORM pg_notify('${WATCH_CHANNEL}', tg_tag);
+  END;
+  $$;
+
+  DO $$
+  BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_event_trigger WHERE evtname = '${WATCH_CHANNEL}') THEN
+      CREATE EVENT TRIGGER ${WATCH_CHANNEL} ON ddl_command_end
+        EXECUTE FUNCTION ${WATCH_SCHEMA}.notify_ddl();
+    END IF;
+  END;
+  $$;
+`;
+
+const UNINSTALL_EVENT_TRIGGER_SQL = `
+  DROP EVENT TRIGGER IF EXISTS ${WATCH_CHANNEL};
+  DROP SCHEMA IF EXISTS ${WATCH_SCHEMA} CASCADE;
+`;
+
+// Other sessions still waiting for notifications, whose last statement is the LISTEN
+const OTHER_LISTENERS_SQL = `
+  SELECT count(*)::int AS listeners
+  FROM pg_stat_activity
+  WHERE pid <> pg_backend_pid() AND query = 'LISTEN ${WATCH_CHANNEL}'
+`;
+
+/**
+ * Hash of everything the export reads from the catalog for the given schemas.
+ * Data changes, such as sequence values, leave it alone.
+ */
+const FINGERPRINT_SQL = `
+  WITH namespaces AS (
+    SELECT oid FROM pg_namespace WHERE nspname = ANY($1)
+  )
+  SELECT md5(coalesce(string_agg(item, E'\\n' ORDER BY item), '')) AS fingerprint
+  FROM (
+    SELECT concat_ws(':', 'relation', c.relname, c.relkind, c.relrowsecurity, c.relforcerowsecurity,
+      c.relacl::text, obj_description(c.oid, 'pg_class'),
+      CASE WHEN c.relkind IN ('v', 'm') THEN md5(pg_get_viewdef(c.oid)) END,
+      CASE WHEN c.relkind = 'i' THEN pg_get_indexdef(c.oid) END) AS item
+    FROM pg_class c
+    WHERE c.relnamespace IN (SELECT oid FROM namespaces)
+    UNION ALL
+    SELECT concat_ws(':', 'column', c.relname, a.attnum, a.attname, format_type(a.atttypid, a.atttypmod),
+      a.attnotnull, a.attidentity, a.attgenerated, pg_get_expr(d.adbin, d.adrelid), col_description(c.oid, a.attnum))
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE c.relnamespace IN (SELECT oid FROM namespaces)
+    AND a.attnum > 0
+    AND NOT a.attisdropped
+    UNION ALL
+    SELECT concat_ws(':', 'constraint', con.conname, con.conrelid::regclass::text, con.contypid::regtype::text,
+      pg_get_constraintdef(con.oid))
+    FROM pg_constraint con
+    WHERE con.connamespace IN (SELECT oid FROM namespaces)
+    UNION ALL
+    SELECT concat_ws(':', 'sequence', s.seqrelid::regclass::text, s.seqtypid, s.seqstart, s.seqincrement,
+      s.seqmin, s.seqmax, s.seqcache, s.seqcycle)
+    FROM pg_sequence s
+    JOIN pg_class c ON c.oid = s.seqrelid
+    WHERE c.relnamespace IN (SELECT oid FROM namespaces)
+    UNION ALL
+    SELECT concat_ws(':', 'function', p.oid::regprocedure::text, p.prokind, p.prorettype::regtype::text,
+      md5(p.prosrc), p.proconfig::text, p.proacl::text, obj_description(p.oid, 'pg_proc'))
+    FROM pg_proc p
+    WHERE p.pronamespace IN (SELECT oid FROM namespaces)
+    UNION ALL
+    SELECT concat_ws(':', 'type', t.typname, t.typtype, format_type(t.typbasetype, t.typtypmod), t.typnotnull,
+      (SELECT string_agg(e.enumlabel, ',' ORDER BY e.enumsortorder) FROM pg_enum e WHERE e.enumtypid = t.oid),
+      obj_description(t.oid, 'pg_type'))
+    FROM pg_type t
+    WHERE t.typnamespace IN (SELECT oid FROM namespaces)
+    UNION ALL
+    SELECT concat_ws(':', 'trigger', t.tgname, t.tgenabled, pg_get_triggerdef(t.oid))
+    FROM pg_trigger t
+    JOIN pg_class c ON c.oid = t.tgrelid
+    WHERE c.relnamespace IN (SELECT oid FROM namespaces)
+    AND NOT t.tgisinternal
+    UNION ALL
+    SELECT concat_ws(':', 'policy', pol.polname, pol.polrelid::regclass::text, pol.polcmd, pol.polpermissive,
+      pol.polroles::text, pg_get_expr(pol.polqual, pol.polrelid), pg_get_expr(pol.polwithcheck, pol.polrelid))
+    FROM pg_policy pol
+    JOIN pg_class c ON c.oid = pol.polrelid
+    WHERE c.relnamespace IN (SELECT oid FROM namespaces)
+  ) items
+`;
+
+/**
+ * Fingerprint of the catalog entries of the given schemas
+ */
+export async function getSchemaFingerprint(pool, schemas) {
+  const result = await pool.query(FINGERPRINT_SQL, [schemas]);
+  return result.rows[0].fingerprint;
+}
+
+/**
+ * Calls onChange once the schema stops changing for `debounce` milliseconds.
+ * Changes arriving while onChange runs trigger another call afterwards.
+ */
+export class SchemaWatcher {
+  /**
+   * @param {pg.Pool} pool
+   * @param {Object} options
+   * @param {string[]} options.schemas Schemas whose changes count
+   * @param {number} options.interval Polling interval in milliseconds, without an event trigger
+   * @param {number} options.debounce Quiet time in milliseconds before onChange is called
+   * @param {Function} options.onChange Async callback regenerating the output
+   * @param {Function} options.log Verbose logger
+   */
+  constructor(pool, options) {
+    this.pool = pool;
+    this.schemas = options.schemas;
+    this.interval = options.interval ?? 2000;
+    this.debounce = options.debounce ?? 500;
+    this.onChange = options.onChange;
+    this.log = options.log || (() => {});
+    this.mode = null;
+    this.client = null;
+    this.installed = false;
+    this.fingerprint = null;
+    this.timer = null;
+    this.pollTimer = null;
+    this.running = null;
+    this.pending = false;
+    this.stopped = false;
+    this.closed = new Promise(resolve => {
+      this.close = resolve;
+    });
+  }
+
+  /**
+   * Start listening for notifications, or polling when the event trigger
+   * can't be installed
+   *
+   * @returns {Promise<'notify'|'poll'>}
+   */
+  async start() {
+    this.mode = await this.listen() ? 'notify' : 'poll';
+    if (this.mode === 'poll') {
+      this.fingerprint = await getSchemaFingerprint(this.pool, this.schemas);
+      this.schedulePoll();
+    }
+    return this.mode;
+  }
+
+  /**
+   * Install the event trigger and LISTEN on a dedicated connection
+   */
+  async listen() {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(INSTALL_EVENT_TRIGGER_SQL);
+      await client.query('COMMIT');
+      await client.query(`LISTEN ${WATCH_CHANNEL}`);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+      this.log(`Event trigger not available (${error.message}), polling instead`);
+      return false;
+    }
+    this.installed = true;
+
+    client.on('notification', notification => {
+      this.log(`DDL: ${notification.payload}`);
+      this.schedule();
+    });
+    // Fall back to polling when the listening connection is lost
+    client.on('error', error => {
+      if (this.stopped) {
+        return;
+      }
+      console.warn(`⚠ Lost the notification connection (${error.message}), polling instead`);
+      client.release(error);
+      this.client = null;
+      this.mode = 'poll';
+      this.schedulePoll();
+    });
+    this.client = client;
+    return true;
+  }
+
+  schedulePoll() {
+    if (this.stopped) {
+      return;
+    }
+    this.pollTimer = setTimeout(() => this.poll(), this.interval);
+  }
+
+  async poll() {
+    try {
+      const fingerprint = await getSchemaFingerprint(this.pool, this.schemas);
+      if (fingerprint !== this.fingerprint) {
+        this.fingerprint = fingerprint;
+        this.schedule();
+      }
+    } catch (error) {
+      console.warn(`⚠ Schema polling failed: ${error.message}`);
+    }
+    this.schedulePoll();
+  }
+
+  /**
+   * Debounce a detected change
+   */
+  schedule() {
+    if (this.stopped) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.run(), this.debounce);
+  }
+
+  async run() {
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    this.running = (async () => {
+      try {
+        await this.onChange();
+      } catch (error) {
+        console.error(`✖ Regeneration failed: ${error.message}`);
+      }
+    })();
+    await this.running;
+    this.running = null;
+    if (this.pending && !this.stopped) {
+      this.pending = false;
+      await this.run();
+    }
+  }
+
+  /**
+   * Stop watching, after a regeneration in progress has finished. The event
+   * trigger and its schema are dropped unless another watcher still listens.
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    clearTimeout(this.pollTimer);
+    await this.running;
+    if (this.client) {
+      await this.client.query(`UNLISTEN ${WATCH_CHANNEL}`).catch(() => {});
+      this.client.release();
+      this.client = null;
+    }
+    if (this.installed) {
+      await this.uninstall().catch(error => {
+        console.warn(`⚠ Couldn't remove the event trigger (${error.message}); sql/cleanup_functions.sql removes it`);
+      });
+    }
+    this.close();
+  }
+
+  /**
+   * Drop the event trigger and its schema, when no other session listens
+   */
+  async uninstall() {
+    const result = await this.pool.query(OTHER_LISTENERS_SQL);
+    if (result.rows[0].listeners > 0) {
+      this.log('Another watcher is listening, keeping the event trigger');
+      return;
+    }
+    await this.pool.query(UNINSTALL_EVENT_TRIGGER_SQL);
+    this.log('Removed the event trigger');
+  }
+}
+
+// Named snapshot objects, by entry key
+const OBJECT_KINDS = [
+  ['enums', 'enum', item => item.name],
+  ['domains', 'domain', item => item.name],
+  ['compositeTypes', 'type', item => item.name],
+  ['sequences', 'sequence', item => item.name],
+  ['tables', 'table', item => item.name],
+  ['views', 'view', item => item.name],
+  ['functions', 'function', item => `${item.name}(${item.arguments || ''})`],
+  ['triggers', 'trigger', item => `${item.table}.${item.name}`],
+  ['indexes', 'index', item => item.indexName]
+];
+
+// Snapshot entries reported per schema
+const SCHEMA_KINDS = [
+  ['rowLevelSecurity', 'policies'],
+  ['grants', 'grants'],
+  ['comments', 'comments']
+];
+
+/**
+ * Short descriptions of the objects that differ between two snapshots, as
+ * "+ public.jobs (table)" for added, "- …" for removed and "~ …" for changed
+ * objects
+ */
+export function describeSnapshotChanges(from, to, schemas) {
+  const changes = [];
+  schemas.forEach(schema => {
+    const empty = getSnapshotSchema(createSnapshot(), schema);
+    const source = from.schemas[schema] || empty;
+    const target = to.schemas[schema] || empty;
+
+    OBJECT_KINDS.forEach(([key, kind, nameOf]) => {
+      const before = new Map((source[key] || []).map(item => [nameOf(item), JSON.stringify(item)]));
+      const after = new Map((target[key] || []).map(item => [nameOf(item), JSON.stringify(item)]));
+      after.forEach((json, name) => {
+        if (!before.has(name)) {
+          changes.push(`+ ${schema}.${name} (${kind})`);
+        } else if (before.get(name) !== json) {
+          changes.push(`~ ${schema}.${name} (${kind})`);
+        }
+      });
+      before.forEach((json, name) => {
+        if (!after.has(name)) {
+          changes.push(`- ${schema}.${name} (${kind})`);
+        }
+      });
+    });
+
+    SCHEMA_KINDS.forEach(([key, kind]) => {
+      if (JSON.stringify(source[key]) !== JSON.stringify(target[key])) {
+        changes.push(`~ ${schema} ${kind}`);
+      }
+    });
+  });
+  return changes;
+}
@@ -27,4 +27,8 @@ BEGIN
     EXECUTE 'DROP FUNCTION IF EXISTS get_db_functions() CASCADE';
     EXECUTE 'DROP FUNCTION IF EXISTS get_db_triggers() CASCADE';
     EXECUTE 'DROP FUNCTION IF EXISTS get_view_definitions() CASCADE';
-END $$;
\ No newline at end of file
+END $$;
+
+-- Remove the event trigger installed by --watch
+DROP EVENT TRIGGER IF EXISTS supabase_dart_exporter_ddl;
+DROP SCHEMA IF EXISTS supabase_dart_exporter CASCADE;
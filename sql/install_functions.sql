@@ -1,10 +1,15 @@
 -- Drop existing functions
 DROP FUNCTION IF EXISTS exec_sql(text);
 DROP FUNCTION IF EXISTS get_table_constraints(text);
+DROP FUNCTION IF EXISTS get_table_constraints(text, text);
 DROP FUNCTION IF EXISTS get_column_definitions(text);
+DROP FUNCTION IF EXISTS get_column_definitions(text, text);
 DROP FUNCTION IF EXISTS get_types();
+DROP FUNCTION IF EXISTS get_types(text);
 DROP FUNCTION IF EXISTS get_functions();
+DROP FUNCTION IF EXISTS get_functions(text);
 DROP FUNCTION IF EXISTS get_triggers();
+DROP FUNCTION IF EXISTS get_triggers(text);
 
 -- Function to execute SQL queries safely
 CREATE OR REPLACE FUNCTION exec_sql(sql_query text)
@@ -28,7 +33,7 @@ END;
 $$;
 
 -- Function to get table constraints
-CREATE OR REPLACE FUNCTION get_table_constraints(p_table_name text)
+CREATE OR REPLACE FUNCTION get_table_constraints(p_table_name text, p_schema_name text DEFAULT 'public')
 RETURNS json
 LANGUAGE plpgsql
 SECURITY DEFINER
@@ -47,26 +52,36 @@ BEGIN
       tc.constraint_type,
       tc.table_name,
       kcu.column_name,
-      ccu.table_name AS foreign_table_name,
-      ccu.column_name AS foreign_column_name,
-      cc.check_clause,
+      kcu.ordinal_position,
+      fkcu.table_schema AS foreign_table_schema,
+      fkcu.table_name AS foreign_table_name,
+      fkcu.column_name AS foreign_column_name,
+      CASE WHEN pgc.contype = 'c'
+        THEN '(' || pg_get_expr(pgc.conbin, pgc.conrelid) || ')'
+      END AS check_clause,
+      NOT pgc.convalidated AS not_valid,
       pgc.confupdtype,
       pgc.confdeltype
     FROM information_schema.table_constraints tc
     LEFT JOIN information_schema.key_column_usage kcu
       ON tc.constraint_name = kcu.constraint_name
       AND tc.table_schema = kcu.table_schema
-    LEFT JOIN information_schema.constraint_column_usage ccu
-      ON ccu.constraint_name = tc.constraint_name
-      AND ccu.table_schema = tc.table_schema
+    LEFT JOIN information_schema.referential_constraints rc
+      ON rc.constraint_name = tc.constraint_name
+      AND rc.constraint_schema = tc.constraint_schema
+    LEFT JOIN information_schema.key_column_usage fkcu
+      ON fkcu.constraint_name = rc.unique_constraint_name
+      AND fkcu.constraint_schema = rc.unique_constraint_schema
+      AND fkcu.ordinal_position = kcu.position_in_unique_constraint
     LEFT JOIN information_schema.check_constraints cc
       ON cc.constraint_name = tc.constraint_name
       AND cc.constraint_schema = tc.table_schema
     LEFT JOIN pg_constraint pgc
       ON pgc.conname = tc.constraint_name
-    WHERE tc.table_schema = 'public'
+      AND pgc.connamespace = (SELECT oid FROM pg_namespace WHERE nspname = tc.constraint_schema)
+    WHERE tc.table_schema = p_schema_name
       AND tc.table_name = p_table_name
-    ORDER BY tc.constraint_name
+    ORDER BY tc.constraint_name, kcu.ordinal_position
   ) t;
   RETURN COALESCE(result, '[]'::json);
 EXCEPTION WHEN OTHERS THEN
@@ -76,7 +91,7 @@ END;
 $$;
 
 -- Function to get column definitions
-CREATE OR REPLACE FUNCTION get_column_definitions(p_table_name text)
+CREATE OR REPLACE FUNCTION get_column_definitions(p_table_name text, p_schema_name text DEFAULT 'public')
 RETURNS json
 LANGUAGE plpgsql
 SECURITY DEFINER
@@ -97,9 +112,21 @@ BEGIN
       c.character_maximum_length,
       c.is_nullable,
       c.numeric_precision,
-      c.numeric_scale
+      c.numeric_scale,
+      c.udt_schema,
+      c.udt_name,
+      c.domain_schema,
+      c.domain_name,
+      format_type(a.atttypid, a.atttypmod) AS column_type,
+      c.is_identity,
+      c.identity_generation,
+      c.is_generated,
+      c.generation_expression
     FROM information_schema.columns c
-    WHERE c.table_schema = 'public'
+    JOIN pg_namespace n ON n.nspname = c.table_schema
+    JOIN pg_class cl ON cl.relnamespace = n.oid AND cl.relname = c.table_name
+    JOIN pg_attribute a ON a.attrelid = cl.oid AND a.attname = c.column_name
+    WHERE c.table_schema = p_schema_name
       AND c.table_name = p_table_name
     ORDER BY c.ordinal_position
   ) AS t;
@@ -111,7 +138,7 @@ END;
 $$;
 
 -- Function to get custom types
-CREATE OR REPLACE FUNCTION get_types()
+CREATE OR REPLACE FUNCTION get_types(p_schema_name text DEFAULT 'public')
 RETURNS json
 LANGUAGE plpgsql
 SECURITY DEFINER
@@ -126,7 +153,7 @@ BEGIN
       array_agg(e.enumlabel ORDER BY e.enumsortorder) AS values
     FROM pg_type t
     JOIN pg_enum e ON t.oid = e.enumtypid
-    WHERE t.typnamespace = (SELECT oid FROM pg_namespace WHERE nspname = 'public')
+    WHERE t.typnamespace = (SELECT oid FROM pg_namespace WHERE nspname = p_schema_name)
     GROUP BY t.typname
   ) AS t;
   RETURN COALESCE(result, '[]'::json);
@@ -137,7 +164,7 @@ END;
 $$;
 
 -- Function to get functions
-CREATE OR REPLACE FUNCTION get_functions()
+CREATE OR REPLACE FUNCTION get_functions(p_schema_name text DEFAULT 'public')
 RETURNS json
 LANGUAGE plpgsql
 SECURITY DEFINER
@@ -149,10 +176,37 @@ BEGIN
   FROM (
     SELECT 
       p.proname AS name,
-      pg_get_functiondef(p.oid) AS definition
+      CASE p.prokind WHEN 'p' THEN 'PROCEDURE' ELSE 'FUNCTION' END AS kind,
+      pg_get_function_identity_arguments(p.oid) AS arguments,
+      pg_get_functiondef(p.oid) AS definition,
+      (
+        SELECT json_agg(json_build_object(
+          'name', p.proargnames[arg.position],
+          'mode', COALESCE(p.proargmodes[arg.position]::text, 'i'),
+          'type', format_type(arg.type, NULL),
+          'udt_schema', etn.nspname,
+          'udt_name', et.typname,
+          'is_array', argt.typcategory = 'A'
+        ) ORDER BY arg.position)
+        FROM unnest(COALESCE(p.proallargtypes, p.proargtypes::oid[])) WITH ORDINALITY AS arg(type, position)
+        JOIN pg_type argt ON argt.oid = arg.type
+        JOIN pg_type et ON et.oid = CASE WHEN argt.typcategory = 'A' THEN argt.typelem ELSE argt.oid END
+        JOIN pg_namespace etn ON etn.oid = et.typnamespace
+      ) AS parameters,
+      p.pronargdefaults AS default_count,
+      format_type(p.prorettype, NULL) AS return_type,
+      rn.nspname AS return_udt_schema,
+      ret.typname AS return_udt_name,
+      rt.typcategory = 'A' AS return_is_array,
+      rc.relname AS return_relation,
+      p.proretset AS returns_set
     FROM pg_proc p
     JOIN pg_namespace n ON p.pronamespace = n.oid
-    WHERE n.nspname = 'public'
+    JOIN pg_type rt ON rt.oid = p.prorettype
+    JOIN pg_type ret ON ret.oid = CASE WHEN rt.typcategory = 'A' THEN rt.typelem ELSE rt.oid END
+    JOIN pg_namespace rn ON rn.oid = ret.typnamespace
+    LEFT JOIN pg_class rc ON rc.oid = ret.typrelid
+    WHERE n.nspname = p_schema_name
   ) AS t;
   RETURN COALESCE(result, '[]'::json);
 EXCEPTION WHEN OTHERS THEN
@@ -162,7 +216,7 @@ END;
 $$;
 
 -- Function to get triggers
-CREATE OR REPLACE FUNCTION get_triggers()
+CREATE OR REPLACE FUNCTION get_triggers(p_schema_name text DEFAULT 'public')
 RETURNS json
 LANGUAGE plpgsql
 SECURITY DEFINER
@@ -179,7 +233,7 @@ BEGIN
     FROM pg_trigger t
     JOIN pg_class c ON t.tgrelid = c.oid
     JOIN pg_namespace n ON c.relnamespace = n.oid
-    WHERE n.nspname = 'public'
+    WHERE n.nspname = p_schema_name
     AND t.tgisinternal = false
   ) AS t;
   RETURN COALESCE(result, '[]'::json);
@@ -191,8 +245,8 @@ $$;
 
 -- Grant execute permissions
 GRANT EXECUTE ON FUNCTION exec_sql(text) TO postgres;
-GRANT EXECUTE ON FUNCTION get_table_constraints(text) TO postgres;
-GRANT EXECUTE ON FUNCTION get_column_definitions(text) TO postgres;
-GRANT EXECUTE ON FUNCTION get_types() TO postgres;
-GRANT EXECUTE ON FUNCTION get_functions() TO postgres;
-GRANT EXECUTE ON FUNCTION get_triggers() TO postgres;
\ No newline at end of file
+GRANT EXECUTE ON FUNCTION get_table_constraints(text, text) TO postgres;
+GRANT EXECUTE ON FUNCTION get_column_definitions(text, text) TO postgres;
+GRANT EXECUTE ON FUNCTION get_types(text) TO postgres;
+GRANT EXECUTE ON FUNCTION get_functions(text) TO postgres;
+GRANT EXECUTE ON FUNCTION get_triggers(text) TO postgres;
\ No newline at end of file
@@ -0,0 +1,14 @@
+-- Custom types
+
+CREATE TYPE check_status AS ENUM (
+  'pending',
+  'completed',
+  'failed'
+);
+
+CREATE TYPE job_stage AS ENUM (
+  'En Route',
+  'Arrived',
+  'Completed'
+);
+
@@ -0,0 +1,58 @@
+-- Tables with constraints
+
+CREATE TABLE IF NOT EXISTS users (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  email character varying(255) NOT NULL,
+  role text NOT NULL DEFAULT 'homeowner'::text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  current_job_id bigint,
+  CONSTRAINT users_email_key UNIQUE (email),
+  CONSTRAINT users_pkey PRIMARY KEY (id),
+  CONSTRAINT users_role_check CHECK (((role = ANY (ARRAY['homeowner'::text, 'professional'::text]))))
+);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id bigint NOT NULL DEFAULT nextval('jobs_id_seq'::regclass),
+  owner_id uuid,
+  stage job_stage NOT NULL DEFAULT 'En Route'::job_stage,
+  prev_stages job_stage[],
+  price numeric(10,2),
+  tags text[],
+  meta jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT jobs_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT jobs_pkey PRIMARY KEY (id),
+  CONSTRAINT jobs_price_check CHECK (((price >= (0)::numeric)))
+);
+
+CREATE TABLE IF NOT EXISTS job_members (
+  job_id bigint NOT NULL,
+  user_id uuid NOT NULL,
+  seat integer NOT NULL,
+  CONSTRAINT job_members_job_id_fkey FOREIGN KEY (job_id) REFERENCES jobs(id),
+  CONSTRAINT job_members_job_id_seat_key UNIQUE (job_id, seat),
+  CONSTRAINT job_members_pkey PRIMARY KEY (job_id, user_id),
+  CONSTRAINT job_members_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS job_member_notes (
+  id integer NOT NULL DEFAULT nextval('job_member_notes_id_seq'::regclass),
+  job_id bigint NOT NULL,
+  user_id uuid NOT NULL,
+  note text,
+  CONSTRAINT job_member_notes_job_id_user_id_fkey FOREIGN KEY (job_id, user_id) REFERENCES job_members(job_id, user_id) ON DELETE CASCADE,
+  CONSTRAINT job_member_notes_pkey PRIMARY KEY (id)
+);
+
+CREATE TABLE IF NOT EXISTS "order" (
+  id integer NOT NULL GENERATED ALWAYS AS IDENTITY,
+  "user" text,
+  total numeric GENERATED ALWAYS AS ((id * 2)) STORED,
+  CONSTRAINT order_pkey PRIMARY KEY (id)
+);
+
+-- Sequence ownership
+
+ALTER SEQUENCE job_member_notes_id_seq OWNED BY job_member_notes.id;
+ALTER SEQUENCE jobs_id_seq OWNED BY jobs.id;
+
@@ -0,0 +1,5 @@
+-- Circular foreign keys
+
+ALTER TABLE users
+  ADD CONSTRAINT users_current_job_id_fkey FOREIGN KEY (current_job_id) REFERENCES jobs(id);
+
@@ -0,0 +1,93 @@
+-- Schema the catalog introspection tests load into an in-process database
+
+CREATE TYPE job_stage AS ENUM ('En Route', 'Arrived', 'Completed', 'Won''t fix');
+
+CREATE DOMAIN amount AS numeric(12,2) DEFAULT 0 NOT NULL CHECK (VALUE >= 0);
+
+-- Rows typed before the limit was introduced may exceed it
+ALTER DOMAIN amount ADD CONSTRAINT amount_limit CHECK (VALUE < 1000000) NOT VALID;
+
+CREATE DOMAIN email_address AS varchar(255) CHECK (VALUE ~* '^[^@]+@[^@]+$');
+
+CREATE TYPE site_address AS (street text, city text, zip varchar(10));
+
+-- Sorts before the type it uses
+CREATE TYPE branch AS (name text, location site_address);
+
+CREATE TABLE users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email varchar(255) NOT NULL UNIQUE,
+  role text NOT NULL DEFAULT 'homeowner' CHECK (role IN ('homeowner', 'professional'))
+);
+
+CREATE TABLE jobs (
+  id bigserial PRIMARY KEY,
+  owner_id uuid REFERENCES users (id) ON DELETE CASCADE,
+  stage job_stage NOT NULL DEFAULT 'En Route',
+  price numeric(10,2),
+  created_at timestamptz DEFAULT now()
+);
+
+-- Added after rows that may break it, so existing rows aren't checked
+ALTER TABLE jobs ADD CONSTRAINT jobs_price_check CHECK (price >= 0) NOT VALID;
+
+CREATE INDEX jobs_owner_id_idx ON jobs (owner_id);
+
+CREATE TABLE invoices (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  job_id bigint NOT NULL REFERENCES jobs (id),
+  total amount,
+  contact email_address,
+  billing_address site_address
+);
+
+CREATE VIEW open_jobs AS
+  SELECT id, owner_id, stage FROM jobs WHERE stage <> 'Completed';
+
+-- Called by a column default and a check, so created before the tables
+CREATE FUNCTION new_ticket_code()
+RETURNS text
+LANGUAGE sql
+VOLATILE
+AS $$ SELECT upper(substr(md5(random()::text), 1, 8)) $$;
+
+CREATE FUNCTION is_ticket_code(p_code text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$ SELECT p_code ~ '^[A-Z0-9]{8}$' $$;
+
+CREATE TABLE tickets (
+  code text PRIMARY KEY DEFAULT new_ticket_code() CHECK (is_ticket_code(code))
+);
+
+-- Rooms can't be booked twice at the same time
+CREATE TABLE bookings (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  room text NOT NULL,
+  during tstzrange NOT NULL,
+  CONSTRAINT bookings_no_overlap EXCLUDE USING gist (during WITH &&) WHERE (room IS NOT NULL)
+);
+
+-- Returns the rows of a view, so created after the views
+CREATE FUNCTION owner_open_jobs(p_owner uuid)
+RETURNS SETOF open_jobs
+LANGUAGE sql
+STABLE
+AS $$ SELECT * FROM open_jobs WHERE owner_id = p_owner $$;
+
+CREATE FUNCTION count_jobs(p_stage job_stage DEFAULT 'En Route')
+RETURNS integer
+LANGUAGE sql
+STABLE
+AS $$ SELECT count(*)::int FROM jobs WHERE stage = p_stage $$;
+
+CREATE SCHEMA billing;
+
+CREATE TYPE billing.plan AS ENUM ('free', 'pro');
+
+CREATE TABLE billing.subscriptions (
+  id serial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES public.users (id),
+  plan billing.plan NOT NULL DEFAULT 'free'
+);
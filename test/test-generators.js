@@ -0,0 +1,1839 @@
+import {
+  generateTableSQL,
+  generateDartModel,
+  generateDartEnumsFile,
+  groupConstraints,
+  writeToFile
+} from '../lib/utils/files.js';
+import {
+  orderTablesByDependencies,
+  generateDeferredConstraintsSQL,
+  generateMasterSQL,
+  generateTablesFileSQL,
+  generateConstraintsFileSQL,
+  splitFunctionsByRelations
+} from '../lib/utils/sql.js';
+import { diffSnapshots } from '../lib/utils/diff.js';
+import {
+  normalizeTable,
+  toColumnRows,
+  toConstraintRows,
+  toRow,
+  getRelations,
+  getEmbeddedRelations,
+  normalizeFunction,
+  createSnapshot,
+  getSnapshotSchema,
+  introspectSnapshot,
+  serializeSnapshot
+} from '../lib/utils/snapshot.js';
+import { SqlSchemaParser } from '../lib/utils/sql-parser.js';
+import { CatalogIntrospector } from '../lib/utils/introspection.js';
+import { DatabaseExporter } from '../lib/exporter.js';
+import { generateDartRepository } from '../lib/utils/repository.js';
+import { generateDartRpc } from '../lib/utils/rpc.js';
+import { resolveDartType, generateDartConvertersFile } from '../lib/utils/types.js';
+import { getDartStyle, generateDartSupportFile } from '../lib/utils/styles.js';
+import { parseConfig } from '../lib/utils/config.js';
+import { createNameFilter, createTableObjectFilter, filterSnapshot } from '../lib/utils/filters.js';
+import { describeSnapshotChanges } from '../lib/utils/watch.js';
+import {
+  MANIFEST_FILE,
+  hashContent,
+  readManifest,
+  writeManifest,
+  findStaleFiles,
+  removeGeneratedFile
+} from '../lib/utils/manifest.js';
+import { createUnifiedDiff } from '../lib/utils/text-diff.js';
+import { fetchTableRows, maskRows, maskValue, dropOrphanRows, generateDataSQL, generateDartFixtures } from '../lib/utils/data.js';
+import { PostgrestClient, RestIntrospector, getKeyConstraints } from '../lib/utils/rest.js';
+import { singularize, createNamingStrategy } from '../lib/utils/naming.js';
+import {
+  generateDartBarrel,
+  generatePubspec,
+  generateBuildYaml,
+  getImportedPackages,
+  findMissingDependencies,
+  assertPackageName
+} from '../lib/utils/package.js';
+import { PGlite } from '@electric-sql/pglite';
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const fixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// In-process database with fixtures/schema.sql loaded. bigint comes back as
+// text, the way pg returns it.
+async function createFixtureDatabase() {
+  const db = new PGlite({ parsers: { 20: value => value } });
+  await db.exec(fixture('schema.sql'));
+  return db;
+}
+
+// Export the fixture schema offline from its schema.json into a temporary
+// directory, with sql/ and dart/ output directories. Progress output is muted.
+async function exportFixture(schemas, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+  const db = await createFixtureDatabase();
+  const { log } = console;
+  const { write } = process.stdout;
+  try {
+    const snapshot = await introspectSnapshot(new CatalogIntrospector(db), schemas);
+    fs.writeFileSync(path.join(dir, 'schema.json'), serializeSnapshot(snapshot));
+    console.log = () => {};
+    process.stdout.write = () => true;
+    await new DatabaseExporter({
+      input: path.join(dir, 'schema.json'),
+      outputDir: path.join(dir, 'sql'),
+      dartOutputDir: path.join(dir, 'dart'),
+      schemas,
+      ...options
+    }).export();
+    return dir;
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  } finally {
+    console.log = log;
+    process.stdout.write = write;
+    await db.close();
+  }
+}
+
+const columns = [
+  { column_name: 'job_id', data_type: 'bigint', is_nullable: 'NO' },
+  { column_name: 'user_id', data_type: 'uuid', is_nullable: 'NO' },
+  { column_name: 'seat', data_type: 'integer', is_nullable: 'NO' }
+];
+
+// One row per column, as returned by get_table_constraints
+const constraints = [
+  {
+    constraint_name: 'job_members_job_id_user_id_fkey',
+    constraint_type: 'FOREIGN KEY',
+    column_name: 'user_id',
+    ordinal_position: 2,
+    foreign_table_name: 'members',
+    foreign_column_name: 'member_user_id',
+    confupdtype: 'a',
+    confdeltype: 'c'
+  },
+  {
+    constraint_name: 'job_members_job_id_user_id_fkey',
+    constraint_type: 'FOREIGN KEY',
+    column_name: 'job_id',
+    ordinal_position: 1,
+    foreign_table_name: 'members',
+    foreign_column_name: 'member_job_id',
+    confupdtype: 'a',
+    confdeltype: 'c'
+  },
+  { constraint_name: 'job_members_pkey', constraint_type: 'PRIMARY KEY', column_name: 'job_id', ordinal_position: 1 },
+  { constraint_name: 'job_members_pkey', constraint_type: 'PRIMARY KEY', column_name: 'user_id', ordinal_position: 2 },
+  { constraint_name: 'job_members_seat_key', constraint_type: 'UNIQUE', column_name: 'job_id', ordinal_position: 1 },
+  { constraint_name: 'job_members_seat_key', constraint_type: 'UNIQUE', column_name: 'seat', ordinal_position: 2 }
+];
+
+function testGroupConstraints() {
+  const grouped = groupConstraints(constraints);
+  assert.strictEqual(grouped.length, 3);
+
+  const fk = grouped.find(c => c.constraint_type === 'FOREIGN KEY');
+  assert.deepStrictEqual(fk.columns, ['job_id', 'user_id']);
+  assert.deepStrictEqual(fk.foreign_columns, ['member_job_id', 'member_user_id']);
+}
+
+function testCompositeTableSQL() {
+  const sql = generateTableSQL('job_members', columns, constraints);
+
+  assert.ok(sql.includes('CONSTRAINT job_members_pkey PRIMARY KEY (job_id, user_id)'));
+  assert.ok(sql.includes('CONSTRAINT job_members_seat_key UNIQUE (job_id, seat)'));
+  assert.ok(sql.includes(
+    'FOREIGN KEY (job_id, user_id) REFERENCES members(member_job_id, member_user_id) ON DELETE CASCADE'
+  ));
+  assert.strictEqual(sql.match(/PRIMARY KEY/g).length, 1);
+}
+
+function testCompositeKeyDocs() {
+  const dart = generateDartModel('job_members', columns, constraints);
+
+  assert.ok(dart.includes('/// Composite primary key: (job_id, user_id)'));
+  assert.ok(dart.includes('/// Composite unique key: (job_id, seat)'));
+  assert.ok(dart.includes('/// Part of composite primary key (job_id, user_id)'));
+  assert.ok(dart.includes('/// Foreign key reference to members(member_user_id), part of composite key (job_id, user_id)'));
+}
+
+function fk(table, name, column, foreignTable) {
+  return {
+    constraint_name: name,
+    constraint_type: 'FOREIGN KEY',
+    table_name: table,
+    column_name: column,
+    ordinal_position: 1,
+    foreign_table_name: foreignTable,
+    foreign_column_name: 'id',
+    confupdtype: 'a',
+    confdeltype: 'a'
+  };
+}
+
+function testDependencyOrder() {
+  const tables = [
+    { table_name: 'comments', constraints: [fk('comments', 'comments_post_id_fkey', 'post_id', 'posts')] },
+    { table_name: 'posts', constraints: [fk('posts', 'posts_author_id_fkey', 'author_id', 'users')] },
+    {
+      table_name: 'users',
+      constraints: [
+        fk('users', 'users_pinned_post_id_fkey', 'pinned_post_id', 'posts'),
+        fk('users', 'users_invited_by_fkey', 'invited_by', 'users')
+      ]
+    }
+  ];
+
+  const { tables: ordered, deferred } = orderTablesByDependencies(tables);
+  assert.deepStrictEqual(ordered.map(t => t.table_name), ['users', 'posts', 'comments']);
+
+  // Only the foreign key closing the users <-> posts cycle is split out
+  assert.strictEqual(deferred.length, 1);
+  assert.strictEqual(deferred[0].table_name, 'users');
+
+  const sql = generateDeferredConstraintsSQL(deferred);
+  assert.ok(sql.includes(
+    'ALTER TABLE users\n  ADD CONSTRAINT users_pinned_post_id_fkey FOREIGN KEY (pinned_post_id) REFERENCES posts(id);'
+  ));
+
+  const tableSql = generateTableSQL('users', [{ column_name: 'pinned_post_id', data_type: 'bigint', is_nullable: 'YES' }],
+    tables[2].constraints, { excludeConstraints: ['users_pinned_post_id_fkey'] });
+  assert.ok(!tableSql.includes('users_pinned_post_id_fkey'));
+  assert.ok(tableSql.includes('users_invited_by_fkey'));
+}
+
+function testMasterSQL() {
+  const files = [
+    { schema: 'public', file: '12_constraints.sql', path: 'public/12_constraints.sql' },
+    { schema: 'public', file: '11_data.sql', path: 'public/11_data.sql' },
+    { schema: 'public', file: '02_tables.sql', path: 'public/02_tables.sql' },
+    { schema: 'billing', file: '02_tables.sql', path: 'billing/02_tables.sql' },
+    { schema: 'billing', file: '00_schema.sql', path: 'billing/00_schema.sql' },
+    { schema: 'public', file: '01_types.sql', path: 'public/01_types.sql' }
+  ];
+
+  const sql = generateMasterSQL(files, ['billing', 'public'], { singleTransaction: true });
+  const includes = sql.split('\n').filter(line => line.startsWith('\\ir '));
+  assert.deepStrictEqual(includes, [
+    '\\ir billing/00_schema.sql',
+    '\\ir public/01_types.sql',
+    '\\ir billing/02_tables.sql',
+    '\\ir public/02_tables.sql',
+    '\\ir public/11_data.sql',
+    '\\ir public/12_constraints.sql'
+  ]);
+  assert.ok(sql.indexOf('BEGIN;') < sql.indexOf('\\ir '));
+  assert.ok(sql.trim().endsWith('COMMIT;'));
+  assert.ok(!generateMasterSQL(files, ['public']).includes('BEGIN;'));
+
+  // Without parameter details the signature is searched for the relations, not the body
+  const definition = (name, signature) =>
+    `CREATE OR REPLACE FUNCTION public.${name}\n RETURNS ${signature}\n LANGUAGE sql\nAS $function$ SELECT * FROM jobs $function$\n`;
+  const { functions, relationFunctions } = splitFunctionsByRelations([
+    { name: 'count_jobs', definition: definition('count_jobs()', 'integer') },
+    { name: 'job_rows', definition: definition('job_rows()', 'SETOF jobs') },
+    { name: 'invoice_rows', definition: definition('invoice_rows(p_job public.jobs)', 'SETOF billing.invoices') },
+    { name: 'open_invoices', definition: definition('open_invoices()', 'SETOF invoices') }
+  ], new Set(['public.jobs', 'billing.invoices']));
+  assert.deepStrictEqual(functions.map(func => func.name), ['count_jobs', 'open_invoices']);
+  assert.deepStrictEqual(relationFunctions.map(func => func.name), ['job_rows', 'invoice_rows']);
+}
+
+function testSchemaDiff() {
+  const snapshot = (tables, values, functions = []) => ({
+    version: 1,
+    schemas: {
+      public: {
+        enums: [{ name: 'job_stage', values }],
+        sequences: [],
+        tables: tables.map(table => normalizeTable(table.table_name, table.columns, table.constraints)),
+        functions
+      }
+    }
+  });
+  const from = snapshot(
+    [{ table_name: 'job_members', columns, constraints }],
+    ['open', 'done']
+  );
+  const to = snapshot(
+    [
+      {
+        table_name: 'job_members',
+        columns: [...columns.filter(c => c.column_name !== 'seat'), { column_name: 'note', data_type: 'text', is_nullable: 'YES' }],
+        constraints: constraints.filter(c => c.constraint_type !== 'UNIQUE')
+      },
+      { table_name: 'members', columns: [{ column_name: 'member_job_id', data_type: 'bigint', is_nullable: 'NO' }], constraints: [] }
+    ],
+    ['open', 'paused', 'done'],
+    [{ name: 'touch', kind: 'FUNCTION', arguments: '', definition: 'CREATE OR REPLACE FUNCTION public.touch() ...' }]
+  );
+
+  const { up, down } = diffSnapshots(from, to);
+  assert.ok(up.includes("ALTER TYPE job_stage ADD VALUE IF NOT EXISTS 'paused' AFTER 'open';"));
+  assert.ok(up.includes('ALTER TABLE job_members DROP CONSTRAINT IF EXISTS job_members_seat_key;'));
+  assert.ok(up.includes('ALTER TABLE job_members DROP COLUMN IF EXISTS seat;'));
+  assert.ok(up.includes('ALTER TABLE job_members ADD COLUMN IF NOT EXISTS note text;'));
+  assert.ok(up.some(statement => statement.startsWith('CREATE TABLE IF NOT EXISTS members')));
+  assert.ok(up.includes('CREATE OR REPLACE FUNCTION public.touch() ...;'));
+
+  // Constraints are dropped before their columns
+  assert.ok(up.indexOf('ALTER TABLE job_members DROP CONSTRAINT IF EXISTS job_members_seat_key;') <
+    up.indexOf('ALTER TABLE job_members DROP COLUMN IF EXISTS seat;'));
+
+  assert.ok(down.includes('ALTER TABLE job_members ADD COLUMN IF NOT EXISTS seat integer NOT NULL;'));
+  assert.ok(down.includes('ALTER TABLE job_members ADD CONSTRAINT job_members_seat_key UNIQUE (job_id, seat);'));
+  assert.ok(down.includes('DROP TABLE IF EXISTS members;'));
+  assert.ok(down.includes('DROP FUNCTION IF EXISTS touch();'));
+  assert.ok(down.some(statement => statement.startsWith("-- Value 'paused' of job_stage can't be removed")));
+
+  assert.deepStrictEqual(diffSnapshots(to, to), { up: [], down: [] });
+
+  // A new body is replaced in place, a new result type needs the old function dropped first
+  const countJobs = (returns, body) => ({
+    name: 'count_jobs',
+    kind: 'FUNCTION',
+    arguments: 'p_stage text',
+    definition: `CREATE OR REPLACE FUNCTION public.count_jobs(p_stage text)\n RETURNS ${returns}\n LANGUAGE sql\nAS $function$ ${body} $function$\n`
+  });
+  const withFunction = func => snapshot([], ['open'], [func]);
+  const replaced = diffSnapshots(withFunction(countJobs('integer', 'SELECT 1')), withFunction(countJobs('integer', 'SELECT 2'))).up;
+  assert.ok(!replaced.some(statement => statement.startsWith('DROP')));
+  const retyped = diffSnapshots(withFunction(countJobs('integer', 'SELECT 1')), withFunction(countJobs('bigint', 'SELECT 1'))).up;
+  assert.deepStrictEqual(retyped, [
+    'DROP FUNCTION IF EXISTS count_jobs(p_stage text);',
+    'CREATE OR REPLACE FUNCTION public.count_jobs(p_stage text)\n RETURNS bigint\n LANGUAGE sql\nAS $function$ SELECT 1 $function$;'
+  ]);
+
+  // With parameter details, OUT parameters count too, though the arguments stay the same
+  const detailed = (out, body) => ({
+    ...countJobs('integer', body),
+    parameters: [
+      { name: 'p_stage', mode: 'IN', type: 'text', udtSchema: 'pg_catalog', udtName: 'text', isArray: false },
+      { name: out, mode: 'OUT', type: 'integer', udtSchema: 'pg_catalog', udtName: 'int4', isArray: false }
+    ],
+    defaultCount: 0,
+    returns: { type: 'integer', udtSchema: 'pg_catalog', udtName: 'int4', isArray: false, relation: null, isSet: false }
+  });
+  assert.ok(!diffSnapshots(withFunction(detailed('total', 'SELECT 1')), withFunction(detailed('total', 'SELECT 2'))).up
+    .some(statement => statement.startsWith('DROP')));
+  assert.strictEqual(diffSnapshots(withFunction(detailed('total', 'SELECT 1')), withFunction(detailed('count', 'SELECT 2'))).up[0],
+    'DROP FUNCTION IF EXISTS count_jobs(p_stage text);');
+}
+
+function testSnapshotRoundTrip() {
+  const table = normalizeTable('job_members', columns, constraints);
+
+  assert.deepStrictEqual(table.columns[0], {
+    name: 'job_id',
+    type: null,
+    dataType: 'bigint',
+    udtSchema: null,
+    udtName: null,
+    nullable: false,
+    default: null,
+    maxLength: null,
+    precision: null,
+    scale: null,
+    identity: null,
+    generated: null
+  });
+
+  const fk = table.constraints.find(c => c.type === 'FOREIGN KEY');
+  assert.deepStrictEqual(fk.references, {
+    schema: null,
+    table: 'members',
+    columns: ['member_job_id', 'member_user_id'],
+    onUpdate: 'NO ACTION',
+    onDelete: 'CASCADE'
+  });
+
+  assert.deepStrictEqual(getRelations([table]), [{
+    constraint: 'job_members_job_id_user_id_fkey',
+    table: 'job_members',
+    columns: ['job_id', 'user_id'],
+    referencedSchema: null,
+    referencedTable: 'members',
+    referencedColumns: ['member_job_id', 'member_user_id']
+  }]);
+
+  // Generators produce the same output from the snapshot as from the query rows
+  const columnRows = toColumnRows(table.columns);
+  const constraintRows = toConstraintRows(table.name, table.constraints);
+  assert.strictEqual(
+    generateTableSQL('job_members', columnRows, constraintRows),
+    generateTableSQL('job_members', columns, constraints)
+  );
+  assert.strictEqual(
+    generateDartModel('job_members', columnRows, constraintRows),
+    generateDartModel('job_members', columns, constraints)
+  );
+}
+
+function testSqlRoundTrip() {
+  const parser = new SqlSchemaParser()
+    .parse(fixture('01_types.sql'), '01_types.sql')
+    .parse(fixture('02_tables.sql'), '02_tables.sql')
+    .parse(fixture('12_constraints.sql'), '12_constraints.sql');
+  assert.deepStrictEqual(parser.warnings, []);
+
+  // The exporter's own 02_tables.sql and 12_constraints.sql are reproduced byte for byte
+  const entry = parser.getSnapshot().schemas.public;
+  const tables = entry.tables.map(table => ({
+    table_name: table.name,
+    columns: toColumnRows(table.columns),
+    constraints: toConstraintRows(table.name, table.constraints)
+  }));
+  assert.strictEqual(generateTablesFileSQL(tables, entry.sequences.map(toRow)), fixture('02_tables.sql'));
+  assert.strictEqual(generateConstraintsFileSQL(tables), fixture('12_constraints.sql'));
+
+  assert.deepStrictEqual(entry.enums.map(type => type.name), ['check_status', 'job_stage']);
+  assert.deepStrictEqual(entry.sequences.map(seq => [seq.name, seq.dataType]), [
+    ['job_member_notes_id_seq', 'integer'],
+    ['jobs_id_seq', 'bigint']
+  ]);
+
+  const jobs = tables.find(table => table.table_name === 'jobs');
+  const dart = generateDartModel('jobs', jobs.columns, jobs.constraints, {
+    enumTypes: entry.enums
+      .filter(type => type.name === 'job_stage')
+      .map(type => ({ ...type, schema: 'public', dartName: 'JobStage', importPath: 'enums.dart' }))
+  });
+  assert.ok(dart.includes('@Default(JobStage.enRoute) JobStage stage'));
+  assert.ok(dart.includes('List<JobStage>? prevStages'));
+  assert.ok(dart.includes('/// Foreign key reference to users(id)'));
+}
+
+function testSqlMigrations() {
+  const parser = new SqlSchemaParser().parse(`
+    create type job_stage as enum ('draft', 'open');
+    create table profiles (
+      id uuid references auth.users on delete cascade primary key,
+      role text not null default 'member' check (role in ('member', 'admin'))
+    );
+    create table jobs (id bigserial primary key, owner_id uuid references profiles, tags text[]);
+    create policy "own" on profiles for select using (auth.uid() = id);
+  `).parse(`
+    alter type job_stage add value 'closed' after 'open';
+    alter table jobs add column stage job_stage not null default 'draft', alter column owner_id set not null;
+    alter table jobs rename column tags to labels;
+  `);
+  assert.deepStrictEqual(parser.warnings, []);
+  assert.strictEqual(parser.skipped, 1);
+
+  const { public: entry } = parser.getSnapshot().schemas;
+  assert.deepStrictEqual(entry.enums, [{ name: 'job_stage', values: ['draft', 'open', 'closed'] }]);
+
+  const jobs = entry.tables.find(table => table.name === 'jobs');
+  assert.deepStrictEqual(jobs.columns.map(col => [col.name, col.type, col.nullable, col.default]), [
+    ['id', 'bigint', false, "nextval('jobs_id_seq'::regclass)"],
+    ['owner_id', 'uuid', false, null],
+    ['labels', 'text[]', true, null],
+    ['stage', 'job_stage', false, "'draft'::job_stage"]
+  ]);
+  // Unnamed constraints get the names Postgres would give them
+  assert.deepStrictEqual(jobs.constraints.map(c => c.name), ['jobs_owner_id_fkey', 'jobs_pkey']);
+  assert.deepStrictEqual(jobs.constraints[0].references.columns, ['id']);
+
+  const profiles = entry.tables.find(table => table.name === 'profiles');
+  const check = profiles.constraints.find(c => c.type === 'CHECK');
+  assert.strictEqual(check.name, 'profiles_role_check');
+  assert.strictEqual(check.check, "((role = ANY (ARRAY['member'::text, 'admin'::text])))");
+  assert.ok(generateTableSQL('profiles', toColumnRows(profiles.columns), toConstraintRows('profiles', profiles.constraints))
+    .includes('REFERENCES auth.users ON DELETE CASCADE'));
+
+  // A backslash ends a standard string; only E'' strings escape with it
+  const [paths] = new SqlSchemaParser().parse(`
+    create table paths (a text default 'C:\\' not null, b text default 'x', c text default E'it\\'s');
+  `).getSnapshot().schemas.public.tables;
+  assert.deepStrictEqual(paths.columns.map(col => [col.name, col.nullable, col.default]), [
+    ['a', false, "'C:\\'::text"],
+    ['b', true, "'x'::text"],
+    ['c', true, "E'it\\'s'"]
+  ]);
+}
+
+function testEmbeddedRelations() {
+  const { tables } = new SqlSchemaParser().parse(`
+    create table users (id uuid primary key, email text);
+    create table profiles (user_id uuid primary key references users, bio text);
+    create table posts (
+      id bigint primary key,
+      author_id uuid not null references users,
+      editor_id uuid references users,
+      parent_id bigint references posts
+    );
+  `).getSnapshot().schemas.public;
+
+  const summary = relations => relations.map(r => [r.kind, r.key, r.table, r.constraint]);
+  assert.deepStrictEqual(summary(getEmbeddedRelations(tables, 'users', 'public')), [
+    ['one-to-many', 'posts_author', 'posts', 'posts_author_id_fkey'],
+    ['one-to-many', 'posts_editor', 'posts', 'posts_editor_id_fkey'],
+    ['one-to-one', 'profiles', 'profiles', 'profiles_user_id_fkey']
+  ]);
+  assert.deepStrictEqual(summary(getEmbeddedRelations(tables, 'posts', 'public')), [
+    ['many-to-one', 'author', 'users', 'posts_author_id_fkey'],
+    ['many-to-one', 'editor', 'users', 'posts_editor_id_fkey'],
+    ['many-to-one', 'parent', 'posts', 'posts_parent_id_fkey'],
+    ['one-to-many', 'posts', 'posts', 'posts_parent_id_fkey']
+  ]);
+
+  const posts = tables.find(table => table.name === 'posts');
+  const relations = getEmbeddedRelations(tables, 'posts', 'public')
+    .map(relation => ({ ...relation, className: relation.table === 'users' ? 'Users' : 'Posts' }));
+  const dart = generateDartModel('posts', toColumnRows(posts.columns), toConstraintRows('posts', posts.constraints), {
+    relations
+  });
+  assert.ok(dart.includes("import 'users.dart';"));
+  assert.ok(!dart.includes("import 'posts.dart';"));
+  assert.ok(dart.includes("    /// Select with: author:users!posts_author_id_fkey(*)\n" +
+    "    @JsonKey(name: 'author', includeToJson: false)\n    Users? author,\n"));
+  assert.ok(dart.includes("    @JsonKey(name: 'posts', includeToJson: false)\n    List<Posts>? posts,\n"));
+
+  // Every style leaves embedded rows out when encoding
+  const encoded = style => generateDartModel('posts', toColumnRows(posts.columns), toConstraintRows('posts', posts.constraints), {
+    relations,
+    style
+  });
+  assert.ok(encoded('json_serializable').includes("  @JsonKey(name: 'author', includeToJson: false)\n  final Users? author;\n"));
+  assert.ok(encoded('dart_mappable').includes("  @MappableField(key: 'author', includeToJson: false)\n  final Users? author;\n"));
+  assert.ok(encoded('dart_mappable').includes("  @MappableField(key: 'author_id')\n  final String authorId;\n"));
+  const plain = encoded('plain');
+  assert.ok(plain.includes("        author: json['author'] == null ? null : Users.fromJson(json['author'] as Map<String, dynamic>),\n"));
+  assert.ok(!plain.slice(plain.indexOf('toJson() =>')).includes("'author':"));
+
+  // Relations are opt-in
+  assert.ok(!generateDartModel('posts', toColumnRows(posts.columns), []).includes('includeToJson'));
+}
+
+function testDartRepository() {
+  const { tables } = new SqlSchemaParser().parse(`
+    create type job_stage as enum ('En Route', 'Completed');
+    create table jobs (id bigint primary key, stage job_stage not null, created_at timestamptz);
+    create table job_members (job_id bigint, user_id uuid, role text check (role in ('owner', 'guest')),
+      primary key (job_id, user_id));
+    create table events (payload jsonb);
+  `).getSnapshot().schemas.public;
+  const generate = (name, options = {}) => {
+    const table = tables.find(t => t.name === name);
+    return generateDartRepository(name, toColumnRows(table.columns), toConstraintRows(name, table.constraints), options);
+  };
+
+  const jobs = generate('jobs', {
+    enumTypes: [{ schema: 'public', name: 'job_stage', values: ['En Route', 'Completed'], dartName: 'JobStage' }]
+  });
+  assert.ok(jobs.includes("import 'supabase_repository.dart';\nimport 'enums.dart';\nimport 'jobs.dart';\n"));
+  assert.ok(jobs.includes("  static const stage = TableColumn<Jobs, JobStage>('stage', " +
+    "{JobStage.enRoute: 'En Route', JobStage.completed: 'Completed'});\n"));
+  assert.ok(jobs.includes("  static const createdAt = TableColumn<Jobs, DateTime>('created_at');\n"));
+  assert.ok(jobs.includes('  Future<Jobs?> fetchById(int id, {String columns = \'*\'}) async {\n' +
+    '    final row = await JobsColumns.id.eq(id).apply(_table.select(columns)).maybeSingle();\n'));
+  assert.ok(jobs.includes(".stream(primaryKey: ['id'])"));
+
+  // Composite keys take every key column, CHECK enums come from the model file
+  const members = generate('job_members', { schema: 'app', classPrefix: 'app', runtimeImport: '../supabase_repository.dart' });
+  assert.ok(members.includes("import '../supabase_repository.dart';\nimport 'job_members.dart';\n"));
+  assert.ok(members.includes("TableColumn<AppJobMembers, AppRoleType>('role', {AppRoleType.owner: 'owner', AppRoleType.guest: 'guest'})"));
+  assert.ok(members.includes('  Future<void> delete(int jobId, String userId) async {\n' +
+    '    await AppJobMembersColumns.userId.eq(userId).apply(AppJobMembersColumns.jobId.eq(jobId).apply(_table.delete()));\n'));
+  assert.ok(members.includes("_client.schema('app').from(tableName)"));
+
+  // Tables without a primary key only get list, insert and upsert
+  const events = generate('events');
+  assert.ok(events.includes('Future<List<Events>> list({'));
+  assert.ok(!events.includes('fetchById') && !events.includes('delete(') && !events.includes('stream('));
+}
+
+function testDartCompanions() {
+  const { tables } = new SqlSchemaParser().parse(`
+    create table tasks (
+      id bigint generated always as identity primary key,
+      title text not null,
+      done boolean not null default false,
+      note text,
+      slug text generated always as (lower(title)) stored
+    );
+  `).getSnapshot().schemas.public;
+  const [tasks] = tables;
+  const columnRows = toColumnRows(tasks.columns);
+  const constraintRows = toConstraintRows('tasks', tasks.constraints);
+
+  const dart = generateDartModel('tasks', columnRows, constraintRows, { companions: true });
+  const insert = dart.slice(dart.indexOf('class TasksInsert'), dart.indexOf('class TasksUpdate'));
+  const update = dart.slice(dart.indexOf('class TasksUpdate'));
+
+  // Identity and generated columns are filled by the database
+  assert.ok(!insert.includes("'id'") && !insert.includes("'slug'"));
+  assert.ok(insert.includes('  @JsonSerializable(includeIfNull: false)\n  const factory TasksInsert({\n'));
+  assert.ok(insert.includes("    @JsonKey(name: 'title')\n    required String title,\n"));
+  assert.ok(insert.includes("    @JsonKey(name: 'done')\n    bool? done,\n"));
+  assert.ok(insert.includes('    String? note,\n'));
+
+  assert.ok(update.includes('    String? title,\n    @JsonKey(name: \'done\')\n    bool? done,\n'));
+  assert.ok(!update.includes('required'));
+  assert.ok(update.includes('factory TasksUpdate.fromJson'));
+  assert.ok(dart.includes("/// `{...changes.toJson(), 'column': null}`, or pass them as `setNull`\n"));
+
+  // Companions are opt-in, views don't get them
+  assert.ok(!generateDartModel('tasks', columnRows, constraintRows).includes('TasksInsert'));
+
+  const repository = generateDartRepository('tasks', columnRows, constraintRows);
+  assert.ok(repository.includes('Future<Tasks> insert(TasksInsert values) async {'));
+  assert.ok(repository.includes('Future<Tasks> update(int id, TasksUpdate changes, {\n' +
+    '    List<TableColumn<Tasks, Object?>> setNull = const [],\n  }) async {'));
+}
+
+function testDartRpc() {
+  // get_functions rows: parameters in declaration order, the return type by its element type
+  const param = (name, type, mode = 'i', udtName = type) =>
+    ({ name, mode, type, udt_schema: 'pg_catalog', udt_name: udtName, is_array: false });
+  const func = (name, parameters, returns, extra = {}) => normalizeFunction({
+    name,
+    kind: 'FUNCTION',
+    arguments: parameters.filter(p => p.mode === 'i').map(p => `${p.name} ${p.type}`).join(', '),
+    definition: `CREATE OR REPLACE FUNCTION public.${name}() ...`,
+    parameters,
+    default_count: 0,
+    return_type: returns.type,
+    return_udt_schema: returns.schema || 'pg_catalog',
+    return_udt_name: returns.udtName || returns.type,
+    return_is_array: false,
+    return_relation: returns.relation || null,
+    returns_set: returns.isSet || false,
+    ...extra
+  });
+  const stage = { ...param('p_stage', 'job_stage'), udt_schema: 'public' };
+
+  const functions = [
+    func('jobs_for_user', [param('p_user', 'uuid')], { type: 'jobs', schema: 'public', relation: 'jobs', isSet: true }),
+    func('count_jobs', [stage], { type: 'integer', udtName: 'int4' }, { default_count: 1 }),
+    func('job_summary', [param('p_user', 'uuid'), param('total', 'bigint', 't', 'int8')],
+      { type: 'record', isSet: true }),
+    func('search', [param('p_query', 'text')], { type: 'text', isSet: true }),
+    func('search', [param('p_query', 'text'), param('p_limit', 'integer', 'i', 'int4')], { type: 'text', isSet: true }),
+    func('touch', [], { type: 'void' }),
+    func('set_updated_at', [], { type: 'trigger' }),
+    func('get_column_definitions', [param('p_table_name', 'text')], { type: 'json' }),
+    { ...func('archive', [], { type: 'void' }), kind: 'PROCEDURE' }
+  ];
+  assert.deepStrictEqual(functions[1].parameters[0], {
+    name: 'p_stage', mode: 'IN', type: 'job_stage', udtSchema: 'public', udtName: 'job_stage', isArray: false
+  });
+
+  const rpcEnumTypes = [{ schema: 'public', name: 'job_stage', values: ['En Route'], dartName: 'JobStage' }];
+  const rpc = generateDartRpc(functions, {
+    enumTypes: rpcEnumTypes,
+    models: [{ schema: 'public', name: 'jobs', className: 'Jobs', importPath: 'jobs.dart' }]
+  });
+  assert.ok(rpc.includes("import 'enums.dart';\nimport 'jobs.dart';\n"));
+  assert.ok(rpc.includes('  Future<List<Jobs>> jobsForUser({\n    required String pUser,\n  }) async {\n'));
+  assert.ok(rpc.includes("    return rows.map((row) => Jobs.fromJson(row as Map<String, dynamic>)).toList();\n"));
+
+  // Parameters with a default are optional and only sent when set
+  assert.ok(rpc.includes('  Future<int?> countJobs({\n    JobStage? pStage,\n  }) async {\n'));
+  assert.ok(rpc.includes("      if (pStage != null) 'p_stage': _jobStageValues[pStage]!,\n"));
+
+  // Enum helpers are only declared where calls use them, nothing unused is hidden
+  assert.ok(rpc.includes("const _jobStageValues = {\n  JobStage.enRoute: 'En Route',\n};\n"));
+  assert.ok(!rpc.includes('_decodeEnum'));
+  assert.ok(!rpc.includes('unused_element'));
+  const stageOut = { ...param('stage', 'job_stage', 't'), udt_schema: 'public' };
+  const decoded = generateDartRpc([
+    func('current_stage', [param('p_job', 'bigint', 'i', 'int8')], { type: 'job_stage', schema: 'public' })
+  ], { enumTypes: rpcEnumTypes });
+  assert.ok(decoded.includes('    return value == null ? null : _decodeEnum(_jobStageValues, value);\n'));
+  assert.ok(decoded.includes('E _decodeEnum<E>(Map<E, String> values, Object? value) =>'));
+  // Result classes decode enum columns themselves
+  const results = generateDartRpc([
+    func('stage_totals', [stageOut, param('total', 'bigint', 't', 'int8')], { type: 'record', isSet: true })
+  ], { enumTypes: rpcEnumTypes });
+  assert.ok(results.includes('    JobStage? stage,\n'));
+  assert.ok(!results.includes('_jobStageValues') && !results.includes('_decodeEnum'));
+
+  // RETURNS TABLE(...) gets a result class
+  assert.ok(rpc.includes("part 'rpc.freezed.dart';"));
+  assert.ok(rpc.includes("class JobSummaryResult with _$JobSummaryResult {\n  const factory JobSummaryResult({\n" +
+    "    @JsonKey(name: 'total')\n    int? total,\n"));
+  assert.ok(rpc.includes('  Future<List<JobSummaryResult>> jobSummary({'));
+  const serializable = generateDartRpc(functions, { style: 'json_serializable', enumTypes: rpcEnumTypes });
+  assert.ok(serializable.includes("part 'rpc.g.dart';\n") && !serializable.includes('freezed'));
+  assert.ok(serializable.includes("@JsonSerializable()\nclass JobSummaryResult {\n"));
+
+  // Overloads are named after their arguments
+  assert.ok(rpc.includes('Future<List<String>> searchWithPQuery({'));
+  assert.ok(rpc.includes('Future<List<String>> searchWithPQueryAndPLimit({'));
+  assert.ok(rpc.includes("  Future<void> touch() async {\n    await _rpc.rpc('touch');\n  }\n"));
+
+  // Trigger functions, procedures and the exporter's helpers can't be called
+  assert.ok(!rpc.includes('setUpdatedAt') && !rpc.includes('archive') && !rpc.includes('getColumnDefinitions'));
+
+  // Other schemas call through client.schema()
+  const billing = generateDartRpc([func('invoice_total', [param('p_user', 'uuid')], { type: 'numeric' })], {
+    schema: 'billing',
+    classPrefix: 'billing'
+  });
+  assert.ok(billing.includes("  PostgrestClient get _rpc => _client.schema('billing');\n"));
+  assert.ok(billing.includes('class BillingRpc {'));
+  assert.ok(billing.includes('    return value == null ? null : const DecimalConverter().fromJson(value as dynamic);\n'));
+  assert.ok(billing.includes("import 'converters.dart';\nimport 'package:decimal/decimal.dart';\n"));
+  assert.ok(!billing.includes('freezed'));
+}
+
+function testViewModel() {
+  const viewColumns = [
+    { column_name: 'owner_id', data_type: 'uuid', is_nullable: 'NO' },
+    { column_name: 'total', data_type: 'bigint', is_nullable: 'YES' }
+  ];
+  const model = generateDartModel('job_counts', viewColumns, [], { objectType: 'MATERIALIZED VIEW', companions: false });
+  assert.ok(model.includes('/// Read-only model representing the job_counts materialized view in the database.\n'));
+  assert.ok(model.includes('    required String ownerId,\n'));
+  assert.ok(model.includes('    int? total,\n'));
+  assert.ok(!model.includes('JobCountsInsert'));
+}
+
+function testTypeMapping() {
+  const column = (name, dataType, udtName, extra = {}) =>
+    ({ column_name: name, data_type: dataType, udt_schema: 'pg_catalog', udt_name: udtName, is_nullable: 'NO', ...extra });
+  const typeColumns = [
+    column('price', 'numeric', 'numeric'),
+    column('ship_on', 'date', 'date', { is_nullable: 'YES' }),
+    column('transit', 'interval', 'interval'),
+    column('sizes', 'ARRAY', '_int4'),
+    column('trackers', 'ARRAY', '_uuid'),
+    column('events', 'ARRAY', '_jsonb'),
+    column('origin', 'inet', 'inet'),
+    column('destination', 'USER-DEFINED', 'address', { udt_schema: 'public' }),
+    column('weight', 'numeric', 'numeric')
+  ];
+  const model = generateDartModel('shipments', typeColumns, [], {
+    compositeTypes: [{ schema: 'public', name: 'address', dartName: 'Address', importPath: 'address.dart' }],
+    typeOverrides: { 'shipments.weight': 'double' },
+    convertersImport: '../converters.dart',
+    companions: false
+  });
+  assert.ok(model.includes("import '../converters.dart';\nimport 'address.dart';\nimport 'package:decimal/decimal.dart';\n"));
+  assert.ok(model.includes("    @JsonKey(name: 'price')\n    @DecimalConverter()\n    required Decimal price,\n"));
+  assert.ok(model.includes('    @DateOnlyConverter()\n    DateTime? shipOn,\n'));
+  assert.ok(model.includes('    @IntervalConverter()\n    required Duration transit,\n'));
+  assert.ok(model.includes('    required List<int> sizes,\n'));
+  assert.ok(model.includes('    required List<String> trackers,\n'));
+  assert.ok(model.includes('    required List<Map<String, dynamic>> events,\n'));
+  assert.ok(model.includes('    required String origin,\n'));
+  assert.ok(model.includes('    required Address destination,\n'));
+  assert.ok(model.includes("    @JsonKey(name: 'weight')\n    required double weight,\n"));
+
+  // Domains resolve to their base type, overrides apply per type name. The
+  // catalog reports domain columns with the udt of the base type, arrays of
+  // a domain and parameters with the domain as udt.
+  const domains = [
+    { schema: 'public', name: 'amount', type: 'numeric(12,2)', dataType: 'numeric', udtSchema: 'pg_catalog', udtName: 'numeric' },
+    { schema: 'public', name: 'positive_amount', type: 'amount', dataType: 'USER-DEFINED', udtSchema: 'public', udtName: 'amount' }
+  ];
+  const amount = {
+    type: 'amount',
+    dataType: 'numeric',
+    udtSchema: 'pg_catalog',
+    udtName: 'numeric',
+    domainSchema: 'public',
+    domainName: 'amount'
+  };
+  const amounts = { type: 'amount[]', dataType: 'ARRAY', udtSchema: 'public', udtName: '_amount' };
+  const overrides = { 'public.amount': { type: 'Money', converter: 'MoneyConverter()', import: 'package:app/money.dart' } };
+  assert.strictEqual(resolveDartType(amount, { domains }).dartType, 'Decimal');
+  assert.strictEqual(resolveDartType(amounts, { domains }).dartType, 'List<Decimal>');
+  assert.strictEqual(resolveDartType({ type: 'amount', udtSchema: 'public', udtName: 'amount', isArray: true }, { domains }).dartType, 'List<Decimal>');
+  assert.deepStrictEqual(resolveDartType(amount, { domains, typeOverrides: { numeric: 'double' } }),
+    { dartType: 'double', converter: null, imports: [] });
+  assert.deepStrictEqual(resolveDartType(amount, { domains, typeOverrides: overrides }),
+    { dartType: 'Money', converter: 'MoneyConverter()', imports: ['package:app/money.dart'] });
+  assert.strictEqual(resolveDartType(amounts, { domains, typeOverrides: overrides }).dartType, 'List<Money>');
+  // Domains over domains, and domain columns without the domain list, fall back to the base type
+  assert.strictEqual(resolveDartType({ ...amount, type: 'positive_amount', domainName: 'positive_amount' }, { domains, typeOverrides: overrides }).dartType, 'Money');
+  assert.strictEqual(resolveDartType(amount).dartType, 'Decimal');
+  assert.strictEqual(resolveDartType(amount, { typeOverrides: { 'public.amount': 'int' } }).dartType, 'int');
+  assert.strictEqual(resolveDartType({ type: 'tsvector', dataType: 'tsvector', udtName: 'tsvector' }).dartType, 'String');
+  assert.strictEqual(resolveDartType({ type: 'ltree', dataType: 'USER-DEFINED', udtName: 'ltree' }).dartType, 'Object');
+
+  const converters = generateDartConvertersFile(['IntervalConverter']);
+  assert.ok(converters.includes('class IntervalConverter implements JsonConverter<Duration, String> {'));
+  assert.ok(!converters.includes('decimal') && !converters.includes('DateOnlyConverter'));
+}
+
+function testDartStyles() {
+  const styleColumns = [
+    { column_name: 'job_id', data_type: 'bigint', is_nullable: 'NO' },
+    { column_name: 'tags', data_type: 'ARRAY', udt_name: '_text', is_nullable: 'YES' },
+    { column_name: 'stage', data_type: 'USER-DEFINED', udt_schema: 'public', udt_name: 'job_stage', is_nullable: 'YES' }
+  ];
+  const enumTypes = [{ schema: 'public', name: 'job_stage', dartName: 'JobStage', values: ['En Route'] }];
+  const model = style => generateDartModel('job_members', styleColumns, [], { style, enumTypes, generateDocs: false });
+
+  const plain = model('plain');
+  assert.ok(!plain.includes('part ') && !plain.includes('@JsonKey'));
+  assert.ok(plain.includes("import 'enums.dart';\nimport 'model_support.dart';\n"));
+  assert.ok(plain.includes("        jobId: (json['job_id'] as num).toInt(),\n"));
+  assert.ok(plain.includes("        tags: json['tags'] == null ? null : (json['tags'] as List).cast<String>(),\n"));
+  assert.ok(plain.includes("        'stage': stage?.jsonValue,\n"));
+  // Nullable fields left out of copyWith keep their value, null clears them
+  assert.ok(plain.includes(`  JobMembers copyWith({
+    int? jobId,
+    Object? tags = copyWithUnset,
+    Object? stage = copyWithUnset,
+  }) {
+    return JobMembers(
+      jobId: jobId ?? this.jobId,
+      tags: identical(tags, copyWithUnset) ? this.tags : tags as List<String>?,
+      stage: identical(stage, copyWithUnset) ? this.stage : stage as JobStage?,
+    );
+  }
+`));
+  assert.ok(generateDartSupportFile().includes('const Object copyWithUnset = _CopyWithUnset();\n'));
+  assert.ok(plain.includes('          deepEquals(tags, other.tags) &&\n'));
+  assert.ok(plain.includes('  int get hashCode => Object.hashAll([jobId, deepHash(tags), stage]);\n'));
+
+  const serializable = model('json_serializable');
+  assert.ok(serializable.includes("import 'package:json_annotation/json_annotation.dart';\n"));
+  assert.ok(serializable.includes("part 'job_members.g.dart';\n") && !serializable.includes('freezed'));
+  assert.ok(serializable.includes("  @JsonKey(name: 'job_id')\n  final int jobId;\n"));
+  assert.ok(serializable.includes('  Map<String, dynamic> toJson() => _$JobMembersToJson(this);\n'));
+
+  const mappable = model('dart_mappable');
+  assert.ok(mappable.includes("part 'job_members.mapper.dart';\n"));
+  assert.ok(mappable.includes('@MappableClass()\nclass JobMembers with JobMembersMappable {\n'));
+  assert.ok(mappable.includes("  @MappableField(key: 'job_id')\n  final int jobId;\n"));
+
+  // Enums and converters follow the style too
+  assert.ok(generateDartEnumsFile(enumTypes, 'plain').includes("  enRoute('En Route');\n"));
+  assert.ok(generateDartConvertersFile(['DateOnlyConverter'], 'dart_mappable')
+    .includes('class DateOnlyConverter extends MappingHook {'));
+  assert.throws(() => getDartStyle('built_value'), /Unknown Dart style "built_value"/);
+}
+
+function testConfigFile() {
+  const config = parseConfig({
+    database_url: '${TEST_DATABASE_URL}',
+    schemas: 'public',
+    tables: { include: ['job*'], exclude: ['*_audit'] },
+    output: 'exported_database',
+    dart: {
+      enabled: true,
+      docs: false,
+      class_prefixes: { billing: 'Bill' },
+      types: { numeric: 'double' },
+      renames: { 'jobs.owner_id': 'owner' }
+    }
+  }, { baseDir: 'apps/crew', env: { TEST_DATABASE_URL: 'postgresql://localhost/crew' } });
+  assert.deepStrictEqual(config, {
+    databaseUrl: 'postgresql://localhost/crew',
+    schemas: ['public'],
+    outputDir: path.join('apps', 'crew', 'exported_database'),
+    tables: ['job*'],
+    excludeTables: ['*_audit'],
+    dartDocs: false,
+    classPrefixes: { billing: 'Bill' },
+    typeOverrides: { numeric: 'double' },
+    fieldNames: { 'jobs.owner_id': 'owner' },
+    dartOutputDir: path.join('apps', 'crew', 'lib', 'models')
+  });
+  assert.deepStrictEqual(parseConfig({ tables: ['jobs'], dart: { enabled: false, output: 'lib/db' } }), { tables: ['jobs'] });
+  assert.throws(() => parseConfig({ dart: { repository: true } }), /Unknown setting "dart.repository"/);
+  assert.throws(() => parseConfig({ supabase_key: '${MISSING_KEY}' }, { env: {} }), /MISSING_KEY/);
+
+  const included = createNameFilter({ include: ['job*', 'billing.invoices'], exclude: ['*_audit'] });
+  assert.ok(included('jobs', 'public') && included('job_members') && included('invoices', 'billing'));
+  assert.ok(!included('jobs_audit') && !included('invoices', 'public') && !included('users'));
+  assert.ok(createNameFilter()('anything'));
+}
+
+function testSnapshotFilters() {
+  const column = name => ({ name, type: 'text' });
+  const snapshot = createSnapshot();
+  Object.assign(getSnapshotSchema(snapshot, 'public'), {
+    sequences: [{ name: 'users_id_seq', ownedByTable: 'users', ownedByColumn: 'id' }],
+    tables: [
+      {
+        name: 'jobs',
+        columns: [column('id'), column('owner_id'), column('secret')],
+        constraints: [
+          { name: 'jobs_pkey', type: 'PRIMARY KEY', columns: ['id'], references: null },
+          { name: 'jobs_owner_id_fkey', type: 'FOREIGN KEY', columns: ['owner_id'], references: { schema: 'public', table: 'users', columns: ['id'] } },
+          { name: 'jobs_secret_check', type: 'CHECK', columns: ['secret'], references: null }
+        ]
+      },
+      { name: 'users', columns: [column('id')], constraints: [] }
+    ],
+    views: [
+      { name: 'job_owners', definition: ' SELECT jobs.id, users.id AS user_id FROM (jobs JOIN users ON ((users.id = jobs.owner_id)))' },
+      { name: 'owner_jobs', definition: ' SELECT id FROM job_owners' },
+      { name: 'job_secrets', definition: ' SELECT id, secret FROM jobs' },
+      { name: 'job_ids', definition: ' SELECT id, owner_id FROM jobs' }
+    ],
+    functions: [{ name: 'touch' }, { name: 'debug_dump' }, { name: 'exec_sql' }],
+    triggers: [
+      { name: 'jobs_touch', table: 'jobs', definition: 'CREATE TRIGGER jobs_touch BEFORE UPDATE ON public.jobs FOR EACH ROW EXECUTE FUNCTION touch()' },
+      { name: 'jobs_debug', table: 'jobs', definition: 'CREATE TRIGGER jobs_debug AFTER INSERT ON public.jobs FOR EACH ROW EXECUTE FUNCTION public.debug_dump()' }
+    ],
+    indexes: [
+      { tableName: 'jobs', indexName: 'jobs_owner_idx', indexDefinition: 'CREATE INDEX jobs_owner_idx ON public.jobs USING btree (owner_id)' },
+      { tableName: 'jobs', indexName: 'jobs_secret_idx', indexDefinition: 'CREATE INDEX jobs_secret_idx ON public.jobs USING btree ("secret")' },
+      { tableName: 'users', indexName: 'users_id_idx', indexDefinition: 'CREATE INDEX users_id_idx ON public.users USING btree (id)' }
+    ],
+    rowLevelSecurity: {
+      tables: [{ tableName: 'jobs' }, { tableName: 'users' }],
+      policies: [
+        { tableName: 'jobs', policyName: 'owner', usingExpression: '(owner_id = auth.uid())', checkExpression: null },
+        { tableName: 'jobs', policyName: 'secrets', usingExpression: '(jobs.secret IS NULL)', checkExpression: null }
+      ]
+    },
+    grants: [
+      { objectType: 'TABLE', objectName: 'users', grantee: 'anon' },
+      { objectType: 'TABLE', objectName: 'owner_jobs', grantee: 'anon' },
+      { objectType: 'FUNCTION', objectName: 'debug_dump', grantee: 'anon' }
+    ],
+    comments: [
+      { objectType: 'VIEW', objectName: 'job_secrets', columnName: null, comment: 'Secrets' },
+      { objectType: 'COLUMN', objectName: 'jobs', columnName: 'secret', comment: 'Hidden' },
+      { objectType: 'TABLE', objectName: 'jobs', columnName: null, comment: 'Jobs' }
+    ]
+  });
+
+  const removed = filterSnapshot(snapshot, {
+    table: createNameFilter({ exclude: ['users'] }),
+    column: createTableObjectFilter({ exclude: ['jobs.secret'] }),
+    function: createNameFilter({ exclude: ['debug_*'] })
+  });
+  assert.deepStrictEqual(removed, {
+    tables: ['public.users'],
+    columns: ['public.jobs.secret'],
+    views: ['public.job_owners', 'public.owner_jobs', 'public.job_secrets'],
+    functions: ['public.debug_dump()', 'public.exec_sql()'],
+    triggers: ['public.jobs.jobs_debug']
+  });
+  const entry = snapshot.schemas.public;
+  assert.deepStrictEqual(entry.tables.map(table => table.name), ['jobs']);
+  assert.deepStrictEqual(entry.tables[0].columns.map(col => col.name), ['id', 'owner_id']);
+  assert.deepStrictEqual(entry.views.map(view => view.name), ['job_ids']);
+  assert.deepStrictEqual(entry.tables[0].constraints.map(constraint => constraint.name), ['jobs_pkey']);
+  assert.deepStrictEqual(entry.relations, []);
+  assert.deepStrictEqual(entry.sequences, []);
+  assert.deepStrictEqual(entry.functions.map(func => func.name), ['touch']);
+  assert.deepStrictEqual(entry.triggers.map(trigger => trigger.name), ['jobs_touch']);
+  assert.deepStrictEqual(entry.indexes.map(index => index.indexName), ['jobs_owner_idx']);
+  assert.deepStrictEqual(entry.rowLevelSecurity.tables, [{ tableName: 'jobs' }]);
+  assert.deepStrictEqual(entry.rowLevelSecurity.policies.map(policy => policy.policyName), ['owner']);
+  assert.deepStrictEqual(entry.grants, []);
+  assert.deepStrictEqual(entry.comments.map(comment => comment.comment), ['Jobs']);
+
+  const triggers = createTableObjectFilter({ include: ['jobs.*'], exclude: ['public.jobs.jobs_debug'] });
+  assert.ok(triggers('jobs_touch', 'jobs', 'public') && !triggers('jobs_debug', 'jobs', 'public'));
+  assert.ok(!triggers('users_touch', 'users', 'public'));
+  assert.deepStrictEqual(parseConfig({ columns: { exclude: '*.password_hash' }, functions: ['rpc_*'] }), {
+    excludeColumns: ['*.password_hash'],
+    functions: ['rpc_*']
+  });
+  assert.throws(() => parseConfig({ columns: ['secret'] }), /Expected columns in .* to be a mapping/);
+}
+
+function testWatchChanges() {
+  const before = createSnapshot();
+  Object.assign(getSnapshotSchema(before, 'public'), {
+    enums: [{ name: 'job_stage', values: ['En Route'] }],
+    tables: [normalizeTable('job_members', columns, constraints), normalizeTable('jobs_audit', [], [])]
+  });
+  const after = createSnapshot();
+  Object.assign(getSnapshotSchema(after, 'public'), {
+    enums: [{ name: 'job_stage', values: ['En Route'] }],
+    tables: [normalizeTable('job_members', columns.slice(0, 2), constraints), normalizeTable('jobs', [], [])],
+    grants: [{ objectType: 'TABLE', objectName: 'jobs', grantee: 'anon', privilegeType: 'SELECT' }]
+  });
+  getSnapshotSchema(after, 'billing');
+
+  assert.deepStrictEqual(describeSnapshotChanges(before, after, ['public', 'billing']), [
+    '~ public.job_members (table)',
+    '+ public.jobs (table)',
+    '- public.jobs_audit (table)',
+    '~ public grants'
+  ]);
+  assert.deepStrictEqual(describeSnapshotChanges(after, after, ['public']), []);
+}
+
+async function testManifest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  try {
+    const jobs = path.join(dir, 'jobs.dart');
+    assert.strictEqual(await writeToFile(jobs, 'class Jobs {}\n'), true);
+    const { mtimeMs } = fs.statSync(jobs);
+    assert.strictEqual(await writeToFile(jobs, 'class Jobs {}\n'), false);
+    assert.strictEqual(fs.statSync(jobs).mtimeMs, mtimeMs);
+
+    // Sorted paths and no timestamps keep the manifest byte-stable
+    await writeToFile(path.join(dir, 'billing', 'invoices.dart'), 'class Invoices {}\n');
+    await writeToFile(path.join(dir, 'users.dart'), 'edited\n');
+    const files = {
+      'users.dart': hashContent('class Users {}\n'),
+      'jobs.dart': hashContent('class Jobs {}\n'),
+      'billing/invoices.dart': hashContent('class Invoices {}\n')
+    };
+    await writeManifest(dir, files);
+    assert.deepStrictEqual(Object.keys(await readManifest(dir)), ['billing/invoices.dart', 'jobs.dart', 'users.dart']);
+    assert.strictEqual(await writeManifest(dir, { ...files }), false);
+    assert.strictEqual(await readManifest(path.join(dir, 'billing')), null);
+
+    const stale = await findStaleFiles(dir, files, { 'jobs.dart': files['jobs.dart'] });
+    assert.deepStrictEqual(stale, [
+      { file: 'billing/invoices.dart', modified: false },
+      { file: 'users.dart', modified: true }
+    ]);
+    await removeGeneratedFile(dir, 'billing/invoices.dart');
+    assert.ok(!fs.existsSync(path.join(dir, 'billing')));
+    assert.ok(fs.existsSync(path.join(dir, MANIFEST_FILE)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function testUnifiedDiff() {
+  const before = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+  const after = 'a\nb\nc\nD\ne\nf\ng\nh\ni';
+  assert.strictEqual(createUnifiedDiff(before, before, { fileName: 'jobs.dart' }), '');
+  assert.strictEqual(createUnifiedDiff(before, after, { fileName: 'lib/models/jobs.dart', context: 1 }), [
+    '--- a/lib/models/jobs.dart',
+    '+++ b/lib/models/jobs.dart',
+    '@@ -3,3 +3,3 @@',
+    ' c',
+    '-d',
+    '+D',
+    ' e',
+    '@@ -8 +8,2 @@',
+    ' h',
+    '+i',
+    '\\ No newline at end of file',
+    ''
+  ].join('\n'));
+  assert.strictEqual(createUnifiedDiff('x\n', null, { fileName: 'old.dart' }), '--- a/old.dart\n+++ /dev/null\n@@ -1 +0,0 @@\n-x\n');
+  assert.strictEqual(createUnifiedDiff(null, 'x\n', { fileName: 'new.dart' }), '--- /dev/null\n+++ b/new.dart\n@@ -0,0 +1 @@\n+x\n');
+}
+
+function testDataExport() {
+  const column = (name, extra = {}) => ({ name, type: 'text', nullable: true, default: null, identity: null, generated: null, ...extra });
+  const users = {
+    name: 'users',
+    columns: [column('id', { nullable: false }), column('email'), column('current_job_id')],
+    constraints: [
+      { name: 'users_pkey', type: 'PRIMARY KEY', columns: ['id'], references: null },
+      { name: 'users_current_job_id_fkey', type: 'FOREIGN KEY', columns: ['current_job_id'], references: { schema: 'public', table: 'jobs', columns: ['id'] } }
+    ]
+  };
+  const jobs = {
+    name: 'jobs',
+    columns: [column('id', { nullable: false, identity: 'ALWAYS' }), column('owner_id'), column('total', { generated: '(id * 2)' })],
+    constraints: [
+      { name: 'jobs_pkey', type: 'PRIMARY KEY', columns: ['id'], references: null },
+      { name: 'jobs_owner_id_fkey', type: 'FOREIGN KEY', columns: ['owner_id'], references: { schema: 'public', table: 'users', columns: ['id'] } }
+    ]
+  };
+  const row = (...values) => ({ values, json: {} });
+  const data = [
+    { schema: 'public', table: jobs, rows: [row('1', 'u1', '2'), row('2', 'u2', '4'), row('3', null, '6')] },
+    { schema: 'public', table: users, rows: [row('u1', 'a@example.com', '1'), row('u3', "o'hara@example.com", '2')] }
+  ];
+
+  // u2 wasn't exported, and job 2's owner leaves with it
+  assert.deepStrictEqual(dropOrphanRows(data), new Map([['public.jobs', 1], ['public.users', 1]]));
+  assert.deepStrictEqual(data[0].rows.map(r => r.values[0]), ['1', '3']);
+  assert.deepStrictEqual(data[1].rows.map(r => r.values[0]), ['u1']);
+
+  assert.strictEqual(maskValue('a@example.com', 'email'), maskValue('a@example.com', 'email'));
+  assert.match(maskValue('a@example.com', 'email'), /^user_[0-9a-f]{16}@example\.com$/);
+  assert.strictEqual(maskValue(null, 'hash'), null);
+  assert.throws(() => maskValue('x', 'scramble'), /Unknown mask "scramble"/);
+  data[1].rows.push(row('u4', "o'hara@example.com", null));
+  data[1].rows[1].json.email = "o'hara@example.com";
+  assert.deepStrictEqual(maskRows(data[1].rows, users, 'public', { '*.email': 'redact' }), ['email']);
+  assert.strictEqual(data[1].rows[1].json.email, '[redacted]');
+
+  const sql = generateDataSQL(data, { batchSize: 1, materializedViews: ['job_counts'] });
+  assert.strictEqual(sql, `-- Table data in foreign key order
+
+-- users (2 rows)
+INSERT INTO users (id, email, current_job_id) VALUES
+  ('u1', '[redacted]', NULL);
+INSERT INTO users (id, email, current_job_id) VALUES
+  ('u4', '[redacted]', NULL);
+
+-- jobs (2 rows)
+INSERT INTO jobs (id, owner_id) OVERRIDING SYSTEM VALUE VALUES
+  ('1', 'u1');
+INSERT INTO jobs (id, owner_id) OVERRIDING SYSTEM VALUE VALUES
+  ('3', NULL);
+
+-- Foreign keys closing a cycle, once the referenced rows exist
+UPDATE users SET current_job_id = '1' WHERE id = 'u1';
+
+-- Continue sequences after the seeded values
+SELECT setval(pg_get_serial_sequence('jobs', 'id'), max(id)) FROM jobs HAVING max(id) IS NOT NULL;
+
+-- Materialized views were created before the data
+REFRESH MATERIALIZED VIEW job_counts;
+
+`);
+  data[1].rows[0].values[1] = 'tab\there';
+  assert.ok(generateDataSQL(data, { format: 'copy' }).includes(`COPY users (id, email, current_job_id) FROM stdin;
+u1\ttab\\there\t\\N
+u4\t[redacted]\t\\N
+\\.
+`));
+
+  const fixtures = generateDartFixtures('jobs', [{ json: { id: 1, tags: ['a', "b'c"], meta: {} } }], {
+    className: 'Jobs',
+    importPath: '../jobs.dart',
+    style: getDartStyle('dart_mappable')
+  });
+  assert.ok(fixtures.includes("import '../jobs.dart';"));
+  assert.ok(fixtures.includes(`final jobsFixtures = <Jobs>[
+  Jobs.fromMap(<String, dynamic>{
+    'id': 1,
+    'tags': <dynamic>['a', 'b\\'c'],
+    'meta': <String, dynamic>{},
+  }),
+];`));
+
+  assert.deepStrictEqual(parseConfig({
+    data: { enabled: true, format: 'copy', tables: { jobs: { limit: 10, where: "stage <> 'Arrived'" } }, mask: { '*.email': 'email' } },
+    dart: { fixtures: true }
+  }), {
+    data: true,
+    dataFormat: 'copy',
+    dataTables: { jobs: { limit: 10, where: "stage <> 'Arrived'" } },
+    dataMasks: { '*.email': 'email' },
+    dartFixtures: true
+  });
+  assert.throws(() => parseConfig({ data: { tables: { jobs: { order: 'id' } } } }), /Unknown setting "data.tables.jobs.order"/);
+}
+
+async function testRestIntrospection() {
+  // OpenAPI description as PostgREST serves it, and the RPCs of installed helpers
+  const spec = {
+    paths: {
+      '/jobs': { get: {}, post: {}, patch: {}, delete: {} },
+      '/users': { get: {}, post: {}, patch: {}, delete: {} },
+      '/job_counts': { get: {} }
+    },
+    definitions: {
+      jobs: {
+        description: 'Jobs on the board',
+        required: ['id', 'title', 'stage'],
+        properties: {
+          id: { description: 'Note:\nThis is a Primary Key.<pk/>', format: 'bigint', type: 'integer', default: 'nextval(\'jobs_id_seq\'::regclass)' },
+          title: { format: 'character varying', type: 'string', maxLength: 120 },
+          stage: { format: 'public.job_stage', type: 'string', enum: ['En Route', 'Arrived'], default: 'En Route' },
+          owner_id: { description: 'Assignee\n\nNote:\nThis is a Foreign Key to `users.id`.<fk table=\'users\' column=\'id\'/>', format: 'uuid', type: 'string' },
+          tags: { format: 'text[]', type: 'array', items: { type: 'string' } },
+          meta: { format: 'jsonb', default: {} }
+        }
+      },
+      users: {
+        required: ['id'],
+        properties: { id: { description: 'Note:\nThis is a Primary Key.<pk/>', format: 'uuid', type: 'string' } }
+      },
+      job_counts: {
+        properties: { stage: { format: 'job_stage', type: 'string', enum: ['En Route', 'Arrived'] }, total: { format: 'bigint', type: 'integer' } }
+      }
+    }
+  };
+  const helperPaths = Object.fromEntries(['get_types', 'get_table_constraints', 'get_column_definitions', 'get_functions', 'get_triggers']
+    .map(name => [`/rpc/${name}`, { post: {} }]));
+  let helpers = false;
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, profile: req.headers['accept-profile'], body });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.headers.apikey !== 'service-key' || req.headers.authorization !== 'Bearer service-key') {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ message: 'Invalid API key' }));
+      } else if (req.url === '/rest/v1/') {
+        res.end(JSON.stringify(helpers ? { ...spec, paths: { ...spec.paths, ...helperPaths } } : spec));
+      } else if (req.url === '/rest/v1/rpc/get_functions') {
+        res.end(JSON.stringify([{ name: 'close_job', kind: 'FUNCTION', arguments: 'job_id bigint', definition: 'CREATE FUNCTION close_job(job_id bigint) ...' }]));
+      } else if (req.url.startsWith('/rest/v1/rpc/')) {
+        res.end('null');
+      } else {
+        res.statusCode = 404;
+        res.end('{}');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    const snapshot = await introspectSnapshot(new RestIntrospector(new PostgrestClient({ url, key: 'service-key' })), ['public']);
+    const entry = snapshot.schemas.public;
+    assert.deepStrictEqual(requests.map(r => `${r.method} ${r.url} ${r.profile}`), ['GET /rest/v1/ public']);
+    assert.deepStrictEqual(entry.enums, [{ name: 'job_stage', values: ['En Route', 'Arrived'] }]);
+    assert.deepStrictEqual(entry.tables.map(table => table.name), ['jobs', 'users']);
+
+    const columns = Object.fromEntries(entry.tables[0].columns.map(col => [col.name, col]));
+    assert.strictEqual(columns.id.nullable, false);
+    assert.strictEqual(columns.id.default, 'nextval(\'jobs_id_seq\'::regclass)');
+    assert.strictEqual(columns.title.type, 'character varying(120)');
+    assert.strictEqual(columns.title.maxLength, 120);
+    assert.deepStrictEqual([columns.stage.dataType, columns.stage.udtName, columns.stage.default], ['USER-DEFINED', 'job_stage', '\'En Route\'::job_stage']);
+    assert.strictEqual(columns.owner_id.nullable, true);
+    assert.strictEqual(columns.tags.dataType, 'ARRAY');
+    assert.strictEqual(columns.meta.default, '\'{}\'::jsonb');
+    assert.deepStrictEqual(entry.tables[0].constraints.map(c => [c.name, c.type, c.columns, c.references && c.references.table]), [
+      ['jobs_owner_id_fkey', 'FOREIGN KEY', ['owner_id'], 'users'],
+      ['jobs_pkey', 'PRIMARY KEY', ['id'], null]
+    ]);
+
+    assert.deepStrictEqual(entry.views.map(view => [view.name, view.definition, view.columns.map(col => col.udtName)]), [
+      ['job_counts', null, ['job_stage', 'int8']]
+    ]);
+    assert.deepStrictEqual(entry.comments.map(c => [c.objectType, c.objectName, c.columnName, c.comment]), [
+      ['TABLE', 'jobs', null, 'Jobs on the board'],
+      ['COLUMN', 'jobs', 'owner_id', 'Assignee']
+    ]);
+    assert.deepStrictEqual(entry.functions, []);
+
+    // With the helpers exposed, functions and triggers come from their RPCs
+    helpers = true;
+    requests.length = 0;
+    const withHelpers = await introspectSnapshot(new RestIntrospector(new PostgrestClient({ url, key: 'service-key' })), ['public']);
+    assert.deepStrictEqual(withHelpers.schemas.public.functions.map(func => func.name), ['close_job']);
+    assert.ok(requests.some(r => r.url === '/rest/v1/rpc/get_column_definitions' &&
+      r.body === JSON.stringify({ p_table_name: 'jobs', p_schema_name: 'public' })));
+
+    await assert.rejects(
+      new PostgrestClient({ url, key: 'anon' }).getOpenApi(),
+      /GET http:\/\/127\.0\.0\.1:\d+\/rest\/v1\/ failed with 401: Invalid API key/
+    );
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  // Notes on the columns of a composite foreign key make one constraint. Keys
+  // to tables outside the description are left out, their schema is unknown.
+  const fk = (table, column) => ({ description: `Note:\nThis is a Foreign Key to \`${table}.${column}\`.<fk table='${table}' column='${column}'/>` });
+  const pk = { description: 'Note:\nThis is a Primary Key.<pk/>' };
+  const definitions = {
+    users: { properties: { id: pk } },
+    seats: { properties: { job_id: pk, number: pk } },
+    bookings: {
+      properties: {
+        seat_number: fk('seats', 'number'),
+        seat_job_id: fk('seats', 'job_id'),
+        booked_by: fk('users', 'id'),
+        checked_by: fk('users', 'id'),
+        profile_id: fk('profiles', 'id')
+      }
+    }
+  };
+  const keys = groupConstraints(getKeyConstraints('bookings', definitions.bookings, 'public', definitions));
+  assert.deepStrictEqual(keys.map(key => [key.constraint_name, key.columns, key.foreign_table_name, key.foreign_columns]), [
+    ['bookings_seat_job_id_seat_number_fkey', ['seat_job_id', 'seat_number'], 'seats', ['job_id', 'number']],
+    ['bookings_booked_by_fkey', ['booked_by'], 'users', ['id']],
+    ['bookings_checked_by_fkey', ['checked_by'], 'users', ['id']]
+  ]);
+}
+
+function testDartPackage() {
+  ['users', 'categories', 'statuses', 'addresses', 'boxes', 'people', 'news', 'status', 'analysis', 'job', 'buses']
+    .forEach((plural, index) => {
+      assert.strictEqual(singularize(plural), ['user', 'category', 'status', 'address', 'box', 'person', 'news',
+        'status', 'analysis', 'job', 'bus'][index]);
+    });
+  // -uses words whose singular ends in -use, and -ases words ending in -as
+  ['houses', 'warehouses', 'causes', 'excuses', 'aliases', 'databases', 'user_aliases']
+    .forEach((plural, index) => {
+      assert.strictEqual(singularize(plural), ['house', 'warehouse', 'cause', 'excuse', 'alias', 'database',
+        'user_alias'][index]);
+    });
+  // Exceptions to the suffix rules, also as the last word of a compound name
+  ['movies', 'Movies', 'cookies', 'series', 'species', 'status', 'analyses', 'JobSeries', 'tv_species', 'user_statuses', 'UserMovies']
+    .forEach((plural, index) => {
+      assert.strictEqual(singularize(plural), ['movie', 'Movie', 'cookie', 'series', 'species', 'status', 'analysis',
+        'JobSeries', 'tv_species', 'user_status', 'UserMovie'][index]);
+    });
+
+  // Only the last word is singular, and the longest matching prefix is stripped
+  const naming = createNamingStrategy({ singularize: true, stripPrefixes: ['tbl_', 'tbl_app_'] });
+  assert.strictEqual(naming.className('tbl_app_job_members'), 'JobMember');
+  assert.strictEqual(naming.className('users', 'billing'), 'BillingUser');
+  assert.strictEqual(naming.className('movies'), 'Movie');
+  assert.strictEqual(naming.className('tv_series'), 'TvSeries');
+  assert.strictEqual(naming.fileName('job_statuses'), 'job_status');
+  assert.strictEqual(naming.fileName('tbl_UserProfiles'), 'user_profile');
+  assert.strictEqual(createNamingStrategy().className('job_members'), 'JobMembers');
+  assert.strictEqual(createNamingStrategy().fileName('job_members'), 'job_members');
+
+  const jobColumns = [
+    { column_name: 'id', data_type: 'bigint', is_nullable: 'NO' },
+    { column_name: 'owner_id', data_type: 'uuid', is_nullable: 'YES' }
+  ];
+  const owner = {
+    key: 'owner',
+    table: 'users',
+    kind: 'many-to-one',
+    columns: ['owner_id'],
+    constraint: 'jobs_owner_id_fkey',
+    className: 'User',
+    importPath: 'user.dart'
+  };
+  const model = generateDartModel('jobs', jobColumns, [], { className: 'Job', fileName: 'job', relations: [owner] });
+  assert.ok(model.includes('class Job with _$Job'));
+  assert.ok(model.includes("import 'user.dart';"));
+  assert.ok(model.includes("part 'job.freezed.dart';"));
+  assert.ok(model.includes('User? owner'));
+
+  // Enums declared by several files are hidden everywhere, with the mappers dart_mappable adds
+  const barrel = generateDartBarrel([
+    { path: 'users.dart', code: 'enum StatusType { active }\n\n@MappableClass()\nclass Users with UsersMappable {}\n' },
+    { path: 'jobs.dart', code: 'enum StatusType { open }\n\nclass Jobs with JobsMappable {}\nclass _Hidden {}\n' },
+    { path: 'enums.dart', code: 'enum JobStage { draft }\n' }
+  ], { style: 'dart_mappable' });
+  assert.strictEqual(barrel, `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+export 'enums.dart';
+export 'jobs.dart' hide StatusType, StatusTypeMapper, StatusTypeMapperExtension;
+export 'users.dart' hide StatusType, StatusTypeMapper, StatusTypeMapperExtension;
+`);
+
+  const packages = getImportedPackages("import 'package:decimal/decimal.dart';\nimport 'package:app/meta.dart';\nimport 'enums.dart';\n");
+  assert.deepStrictEqual(packages, ['decimal', 'app']);
+  const pubspec = generatePubspec('db_models', {
+    packages: ['freezed_annotation', 'json_annotation', 'supabase_flutter', ...packages],
+    devPackages: getDartStyle('freezed').devPackages
+  });
+  assert.ok(pubspec.includes('name: db_models\n'));
+  assert.ok(pubspec.includes('dependencies:\n  flutter:\n    sdk: flutter\n  decimal: ^3.0.0\n  freezed_annotation: ^2.4.1\n'));
+  assert.ok(pubspec.includes('dev_dependencies:\n  build_runner: ^2.4.15\n  freezed: ^2.4.7\n  json_serializable: ^6.7.1\n'));
+  // Packages of type overrides can't be guessed and are reported instead
+  assert.deepStrictEqual(findMissingDependencies(pubspec, ['decimal', 'app', 'supabase_flutter']), ['app']);
+  assert.ok(!generatePubspec('db_models').includes('dependencies'));
+
+  assert.ok(generateBuildYaml(getDartStyle('dart_mappable').devPackages)
+    .includes('      dart_mappable_builder:\n        generate_for:\n          - lib/src/**.dart\n'));
+  assert.ok(generateBuildYaml(getDartStyle('json_serializable').devPackages).includes('explicit_to_json: true'));
+  assert.strictEqual(generateBuildYaml(getDartStyle('plain').devPackages), null);
+  assert.throws(() => assertPackageName('DbModels'), /Invalid Dart package name "DbModels"/);
+  assert.throws(() => assertPackageName('class'), /Invalid Dart package name/);
+
+  const config = parseConfig({
+    dart: { enabled: true, package: 'db_models', barrel: false, naming: { singularize: true, strip_prefixes: 'tbl_' } }
+  });
+  assert.strictEqual(config.dartPackage, 'db_models');
+  assert.strictEqual(config.dartBarrel, false);
+  assert.strictEqual(config.dartSingularize, true);
+  assert.deepStrictEqual(config.dartStripPrefixes, ['tbl_']);
+  assert.throws(() => parseConfig({ dart: { naming: { plural: true } } }), /dart\.naming\.plural/);
+}
+
+function testDartValidators() {
+  const columns = [
+    { column_name: 'id', data_type: 'bigint', is_nullable: 'NO', is_identity: 'YES', identity_generation: 'ALWAYS' },
+    { column_name: 'title', data_type: 'character varying', column_type: 'character varying(120)', character_maximum_length: 120, is_nullable: 'NO' },
+    { column_name: 'price', data_type: 'numeric', is_nullable: 'YES' },
+    { column_name: 'seats', data_type: 'integer', is_nullable: 'NO', column_default: '1' },
+    { column_name: 'email', data_type: 'text', is_nullable: 'YES' },
+    { column_name: 'starts_at', data_type: 'date', is_nullable: 'YES' },
+    { column_name: 'ends_at', data_type: 'date', is_nullable: 'YES' },
+    { column_name: 'stage', data_type: 'text', is_nullable: 'YES' },
+    {
+      column_name: 'amount',
+      data_type: 'numeric',
+      udt_schema: 'pg_catalog',
+      udt_name: 'numeric',
+      domain_schema: 'public',
+      domain_name: 'amount',
+      column_type: 'amount',
+      is_nullable: 'YES'
+    }
+  ];
+  const check = (name, clause) => ({ constraint_name: name, constraint_type: 'CHECK', check_clause: clause });
+  const checks = [
+    check('jobs_price_check', '((price >= (0)::numeric))'),
+    check('jobs_seats_check', '(((seats >= 1) AND (seats <= \'10\'::integer)))'),
+    check('jobs_title_check', '((char_length((title)::text) > 0))'),
+    check('jobs_email_check', '((email ~* \'^[^@]+@[^@]+$\'::text))'),
+    check('jobs_dates_check', '((ends_at > starts_at))'),
+    check('jobs_stage_check', '((stage = ANY (ARRAY[\'draft\'::text, \'open\'::text])))'),
+    check('jobs_email_check1', '((email <> \'\'::text) AND (lower(email) = email))')
+  ];
+  const domains = [{
+    schema: 'public', name: 'amount', type: 'numeric(12,2)', notNull: true, default: null,
+    checks: ['CHECK ((VALUE >= (0)::numeric))', 'CHECK ((VALUE < (1000000)::numeric)) NOT VALID']
+  }];
+  const warnings = [];
+  const code = generateDartModel('jobs', columns, checks, {
+    validators: true,
+    companions: true,
+    domains,
+    onWarning: message => warnings.push(message)
+  });
+
+  assert.ok(code.includes('class JobsValidator {'));
+  assert.ok(code.includes(`  /// title: NOT NULL, character varying(120), jobs_title_check
+  static String? title(String? value) {
+    if (value == null) return 'title is required';
+    if (value.runes.length > 120) return 'title must be at most 120 characters';
+    if (value.runes.length < 1) return 'title must be at least 1 character';
+    return null;
+  }`));
+  assert.ok(code.includes('    if (value < Decimal.parse(\'0\')) return \'price must be at least 0\';'));
+  // Columns with a default aren't required, BETWEEN-like ranges give both bounds
+  assert.ok(code.includes(`  static String? seats(int? value) {
+    if (value == null) return null;
+    if (value < 1) return 'seats must be at least 1';
+    if (value > 10) return 'seats must be at most 10';`));
+  assert.ok(code.includes('  static final _emailPattern = RegExp(\'^[^@]+@[^@]+\\$\', caseSensitive: false);'));
+  assert.ok(code.includes('    if (!_emailPattern.hasMatch(value)) return \'email has an invalid format\';'));
+  assert.ok(code.includes('    if (value == \'\') return \'email must not be empty\';'));
+  assert.ok(code.includes(`  /// amount: NOT NULL, domain amount
+  static String? amount(Decimal? value) {
+    if (value == null) return 'amount is required';`));
+  assert.ok(code.includes("    if (value >= Decimal.parse('1000000')) return 'amount must be less than 1000000';"));
+  // Identity columns, enums and unsupported checks get no validator
+  assert.ok(!code.includes('static String? id('));
+  assert.ok(!code.includes('static String? stage('));
+  assert.ok(!code.includes('static String? endsAt('));
+  assert.ok(code.includes('      if (value.title != null) \'title\': title(value.title),'));
+  assert.ok(code.includes('  static Map<String, String> validateInsert(JobsInsert value) {'));
+  assert.deepStrictEqual(warnings, [
+    'jobs: no Dart validator for CHECK (ends_at > starts_at) of jobs_dates_check',
+    'jobs: no Dart validator for CHECK (lower(email) = email) of jobs_email_check1'
+  ]);
+
+  assert.ok(!generateDartModel('jobs', columns, checks).includes('Validator'));
+  assert.ok(!generateDartModel('notes', [{ column_name: 'body', data_type: 'text', is_nullable: 'YES' }], [], { validators: true })
+    .includes('Validator'));
+}
+
+async function testCatalogIntrospection() {
+  const db = await createFixtureDatabase();
+  try {
+    const snapshot = await introspectSnapshot(new CatalogIntrospector(db), ['public']);
+    const entry = snapshot.schemas.public;
+
+    assert.deepStrictEqual(entry.enums, [{ name: 'job_stage', values: ['En Route', 'Arrived', 'Completed', "Won't fix"] }]);
+    assert.deepStrictEqual(entry.domains, [
+      {
+        name: 'amount',
+        type: 'numeric(12,2)',
+        dataType: 'numeric',
+        udtSchema: 'pg_catalog',
+        udtName: 'numeric',
+        notNull: true,
+        default: '0',
+        checks: ['CHECK ((VALUE >= (0)::numeric))', 'CHECK ((VALUE < (1000000)::numeric)) NOT VALID']
+      },
+      {
+        name: 'email_address',
+        type: 'character varying(255)',
+        dataType: 'character varying',
+        udtSchema: 'pg_catalog',
+        udtName: 'varchar',
+        notNull: false,
+        default: null,
+        checks: ["CHECK (((VALUE)::text ~* '^[^@]+@[^@]+$'::text))"]
+      }
+    ]);
+    assert.deepStrictEqual(entry.compositeTypes.map(type => [type.name, type.columns.map(col => [col.name, col.type])]), [
+      ['branch', [['name', 'text'], ['location', 'site_address']]],
+      ['site_address', [['street', 'text'], ['city', 'text'], ['zip', 'character varying(10)']]]
+    ]);
+    assert.deepStrictEqual(entry.sequences.map(seq => [seq.name, seq.dataType, seq.ownedByTable, seq.ownedByColumn]), [
+      ['jobs_id_seq', 'bigint', 'jobs', 'id']
+    ]);
+    assert.deepStrictEqual(entry.tables.map(table => table.name), ['bookings', 'invoices', 'jobs', 'tickets', 'users']);
+
+    // Exclusion constraints keep their definition
+    const bookings = entry.tables.find(table => table.name === 'bookings');
+    assert.deepStrictEqual(bookings.constraints.find(constraint => constraint.type === 'EXCLUDE'), {
+      name: 'bookings_no_overlap',
+      type: 'EXCLUDE',
+      columns: ['during'],
+      references: null,
+      check: null,
+      definition: 'EXCLUDE USING gist (during WITH &&) WHERE ((room IS NOT NULL))'
+    });
+    assert.ok(generateTableSQL('bookings', toColumnRows(bookings.columns), toConstraintRows('bookings', bookings.constraints))
+      .includes('  CONSTRAINT bookings_no_overlap EXCLUDE USING gist (during WITH &&) WHERE ((room IS NOT NULL)),\n'));
+
+    const jobs = entry.tables.find(table => table.name === 'jobs');
+    assert.deepStrictEqual(jobs.columns.map(col => [col.name, col.type, col.nullable, col.default]), [
+      ['id', 'bigint', false, "nextval('jobs_id_seq'::regclass)"],
+      ['owner_id', 'uuid', true, null],
+      ['stage', 'job_stage', false, "'En Route'::job_stage"],
+      ['price', 'numeric(10,2)', true, null],
+      ['created_at', 'timestamp with time zone', true, 'now()']
+    ]);
+    assert.deepStrictEqual(jobs.constraints, [
+      {
+        name: 'jobs_owner_id_fkey',
+        type: 'FOREIGN KEY',
+        columns: ['owner_id'],
+        references: { schema: 'public', table: 'users', columns: ['id'], onUpdate: 'NO ACTION', onDelete: 'CASCADE' },
+        check: null
+      },
+      { name: 'jobs_pkey', type: 'PRIMARY KEY', columns: ['id'], references: null, check: null },
+      // The expression only, NOT VALID is kept apart
+      {
+        name: 'jobs_price_check',
+        type: 'CHECK',
+        columns: [],
+        references: null,
+        check: '((price >= (0)::numeric))',
+        notValid: true
+      }
+    ]);
+
+    // Domain columns name their domain next to the base type
+    const invoices = entry.tables.find(table => table.name === 'invoices');
+    assert.deepStrictEqual(invoices.columns.map(col => [col.name, col.udtName, col.domainSchema, col.domainName]), [
+      ['id', 'int8', undefined, undefined],
+      ['job_id', 'int8', undefined, undefined],
+      ['total', 'numeric', 'public', 'amount'],
+      ['contact', 'varchar', 'public', 'email_address'],
+      ['billing_address', 'site_address', undefined, undefined]
+    ]);
+    const model = generateDartModel('invoices', toColumnRows(invoices.columns), toConstraintRows('invoices', invoices.constraints), {
+      domains: entry.domains.map(domain => ({ ...domain, schema: 'public' })),
+      typeOverrides: { 'public.email_address': { type: 'Email', converter: 'EmailConverter()', import: 'package:app/email.dart' } },
+      compositeTypes: [{ schema: 'public', name: 'site_address', dartName: 'SiteAddress', importPath: 'site_address.dart' }],
+      validators: true
+    });
+    assert.ok(model.includes('    @DecimalConverter()\n    required Decimal total,\n'));
+    assert.ok(model.includes('    @EmailConverter()\n    Email? contact,\n'));
+    assert.ok(model.includes('    SiteAddress? billingAddress,\n'));
+    assert.ok(model.includes("    if (value < Decimal.parse('0')) return 'total must be at least 0';"));
+
+    const users = entry.tables.find(table => table.name === 'users');
+    assert.deepStrictEqual(users.constraints.map(c => [c.name, c.type, c.columns, c.check]), [
+      ['users_email_key', 'UNIQUE', ['email'], null],
+      ['users_pkey', 'PRIMARY KEY', ['id'], null],
+      ['users_role_check', 'CHECK', [], "((role = ANY (ARRAY['homeowner'::text, 'professional'::text])))"]
+    ]);
+    assert.deepStrictEqual(entry.relations.map(relation => relation.constraint), ['invoices_job_id_fkey', 'jobs_owner_id_fkey']);
+    assert.deepStrictEqual(entry.relations[1], {
+      constraint: 'jobs_owner_id_fkey',
+      table: 'jobs',
+      columns: ['owner_id'],
+      referencedSchema: 'public',
+      referencedTable: 'users',
+      referencedColumns: ['id']
+    });
+
+    assert.deepStrictEqual(entry.indexes, [{
+      tableName: 'jobs',
+      indexName: 'jobs_owner_id_idx',
+      indexDefinition: 'CREATE INDEX jobs_owner_id_idx ON public.jobs USING btree (owner_id)',
+      isPrimary: false,
+      isUnique: false
+    }]);
+
+    assert.deepStrictEqual(entry.views.map(view => [view.name, view.viewType, view.definition]), [
+      ['open_jobs', 'VIEW', " SELECT id,\n    owner_id,\n    stage\n   FROM jobs\n  WHERE stage <> 'Completed'::job_stage;"]
+    ]);
+    assert.deepStrictEqual(entry.views[0].columns.map(col => [col.name, col.type]), [
+      ['id', 'bigint'],
+      ['owner_id', 'uuid'],
+      ['stage', 'job_stage']
+    ]);
+
+    assert.deepStrictEqual(entry.functions.map(func => func.name),
+      ['count_jobs', 'is_ticket_code', 'new_ticket_code', 'owner_open_jobs']);
+    assert.deepStrictEqual(entry.functions.slice(0, 1), [{
+      name: 'count_jobs',
+      kind: 'FUNCTION',
+      arguments: 'p_stage job_stage',
+      definition: 'CREATE OR REPLACE FUNCTION public.count_jobs(p_stage job_stage DEFAULT \'En Route\'::job_stage)\n' +
+        ' RETURNS integer\n LANGUAGE sql\n STABLE\nAS $function$ SELECT count(*)::int FROM jobs WHERE stage = p_stage $function$\n',
+      parameters: [{ name: 'p_stage', mode: 'IN', type: 'job_stage', udtSchema: 'public', udtName: 'job_stage', isArray: false }],
+      defaultCount: 1,
+      returns: { type: 'integer', udtSchema: 'pg_catalog', udtName: 'int4', isArray: false, relation: null, isSet: false }
+    }]);
+
+    // NOT VALID constraints are added to the existing table, where they stay unvalidated
+    const tables = entry.tables.map(table => ({
+      table_name: table.name,
+      columns: toColumnRows(table.columns),
+      constraints: toConstraintRows(table.name, table.constraints)
+    }));
+    const sql = generateTablesFileSQL(tables, entry.sequences.map(toRow));
+    const constraintsSql = generateConstraintsFileSQL(tables);
+    assert.ok(!sql.includes('jobs_price_check'));
+    assert.strictEqual(constraintsSql, `-- Constraints not validated against existing rows
+
+ALTER TABLE jobs
+  ADD CONSTRAINT jobs_price_check CHECK (((price >= (0)::numeric))) NOT VALID;
+
+`);
+    const parsed = new SqlSchemaParser().parse(sql).parse(constraintsSql).getSnapshot().schemas.public;
+    assert.deepStrictEqual(parsed.tables.find(table => table.name === 'jobs').constraints, jobs.constraints);
+
+    // Objects an extension created are left to the extension, comments and grants included
+    await db.exec(`
+      CREATE TABLE extension_log (id integer);
+      COMMENT ON TABLE extension_log IS 'Installed by plpgsql';
+      COMMENT ON COLUMN extension_log.id IS 'Entry';
+      GRANT SELECT ON extension_log TO PUBLIC;
+      ALTER EXTENSION plpgsql ADD TABLE extension_log;
+      COMMENT ON TABLE jobs IS 'Work orders';
+    `);
+    const introspector = new CatalogIntrospector(db);
+    assert.deepStrictEqual((await introspector.getComments('public')).map(comment => comment.object_name), ['jobs']);
+    assert.ok(!(await introspector.getGrants('public')).some(grant => grant.object_name === 'extension_log'));
+  } finally {
+    await db.close();
+  }
+}
+
+async function testSchemasExport() {
+  const dir = await exportFixture(['public', 'billing'], { classPrefixes: { public: 'App' } });
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+  const list = subdir => fs.readdirSync(path.join(dir, subdir)).filter(name => !name.startsWith('.')).sort();
+  try {
+    // Every schema gets a directory, and master.sql replays them file by file
+    assert.deepStrictEqual(list('sql'), ['billing', 'master.sql', 'public']);
+    assert.deepStrictEqual(list('sql/billing'), ['00_schema.sql', '01_types.sql', '02_tables.sql', '05_sequences.sql']);
+    assert.deepStrictEqual(read('sql/master.sql').split('\n').filter(line => line.startsWith('\\ir ')), [
+      '\\ir billing/00_schema.sql',
+      '\\ir public/01_types.sql',
+      '\\ir billing/01_types.sql',
+      '\\ir public/05_sequences.sql',
+      '\\ir billing/05_sequences.sql',
+      '\\ir public/03_functions.sql',
+      '\\ir public/02_tables.sql',
+      '\\ir billing/02_tables.sql',
+      '\\ir public/06_views.sql',
+      '\\ir public/13_relation_functions.sql',
+      '\\ir public/07_indexes.sql',
+      '\\ir public/12_constraints.sql',
+      '\\ir public/09_grants.sql'
+    ]);
+
+    // Functions returning a view's rows wait for the view, the others come before the tables using them
+    assert.ok(read('sql/public/03_functions.sql').includes('CREATE OR REPLACE FUNCTION public.new_ticket_code()'));
+    assert.ok(!read('sql/public/03_functions.sql').includes('owner_open_jobs'));
+    assert.ok(read('sql/public/13_relation_functions.sql').includes(' RETURNS SETOF open_jobs\n'));
+
+    // Objects outside public are schema-qualified, public ones aren't
+    assert.strictEqual(read('sql/billing/00_schema.sql'), 'CREATE SCHEMA IF NOT EXISTS billing;\n');
+    assert.ok(read('sql/billing/01_types.sql').includes('CREATE TYPE billing.plan AS ENUM ('));
+    const tables = read('sql/billing/02_tables.sql');
+    assert.ok(tables.includes('CREATE TABLE IF NOT EXISTS billing.subscriptions ('));
+    assert.ok(tables.includes("  id integer NOT NULL DEFAULT nextval('billing.subscriptions_id_seq'::regclass),"));
+    assert.ok(tables.includes("  plan billing.plan NOT NULL DEFAULT 'free'::billing.plan,"));
+    assert.ok(tables.includes('  CONSTRAINT subscriptions_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id)'));
+    assert.ok(tables.includes('ALTER SEQUENCE billing.subscriptions_id_seq OWNED BY billing.subscriptions.id;'));
+    assert.ok(read('sql/public/02_tables.sql').includes('CREATE TABLE IF NOT EXISTS jobs ('));
+
+    // Dart models go to a directory per schema, with the class prefix of their schema
+    assert.deepStrictEqual(list('dart'), ['billing', 'converters.dart', 'models.dart', 'public']);
+    assert.deepStrictEqual(list('dart/billing'), ['enums.dart', 'subscriptions.dart']);
+    const subscriptions = read('dart/billing/subscriptions.dart');
+    assert.ok(subscriptions.includes("import 'enums.dart';"));
+    assert.ok(subscriptions.includes('/// Model representing the billing.subscriptions table in the database.'));
+    assert.ok(subscriptions.includes('class BillingSubscriptions with _$BillingSubscriptions {'));
+    assert.ok(subscriptions.includes('@Default(BillingPlan.free) BillingPlan plan,'));
+    assert.ok(read('dart/billing/enums.dart').includes('enum BillingPlan {'));
+    assert.ok(read('dart/public/users.dart').includes('class AppUsers with _$AppUsers {'));
+    assert.ok(read('dart/public/enums.dart').includes('enum AppJobStage {'));
+    assert.deepStrictEqual(read('dart/models.dart').split('\n').filter(line => line.startsWith('export ')).slice(0, 3), [
+      "export 'billing/enums.dart';",
+      "export 'billing/subscriptions.dart';",
+      "export 'public/bookings.dart';"
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function testDartEnums() {
+  const enumTypes = [
+    { schema: 'public', name: 'job_stage', values: ['En Route', 'Arrived', "Won't fix", '1st', 'class'], dartName: 'JobStage', importPath: 'enums.dart' },
+    { schema: 'billing', name: 'plan', values: ['free', 'pro'], dartName: 'BillingPlan', importPath: '../billing/enums.dart' }
+  ];
+
+  // Members are valid Dart names, the database values are kept for JSON
+  assert.strictEqual(generateDartEnumsFile(enumTypes), `// GENERATED CODE - DO NOT MODIFY BY HAND
+
+// ignore_for_file: type=lint
+
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+/// Values of the job_stage enum type in the database.
+enum JobStage {
+  @JsonValue('En Route')
+  enRoute,
+  @JsonValue('Arrived')
+  arrived,
+  @JsonValue('Won\\'t fix')
+  wonTFix,
+  @JsonValue('1st')
+  value1st,
+  @JsonValue('class')
+  classValue,
+}
+
+/// Values of the billing.plan enum type in the database.
+enum BillingPlan {
+  @JsonValue('free')
+  free,
+  @JsonValue('pro')
+  pro,
+}
+`);
+
+  // Enum columns, arrays and defaults refer to the generated enums, imported from their schema
+  const code = generateDartModel('jobs', [
+    { column_name: 'id', data_type: 'bigint', is_nullable: 'NO' },
+    { column_name: 'stage', data_type: 'USER-DEFINED', udt_schema: 'public', udt_name: 'job_stage', is_nullable: 'NO', column_default: "'Arrived'::job_stage" },
+    { column_name: 'prev_stages', data_type: 'ARRAY', udt_schema: 'public', udt_name: '_job_stage', is_nullable: 'YES' },
+    { column_name: 'plan', data_type: 'USER-DEFINED', udt_schema: 'billing', udt_name: 'plan', is_nullable: 'YES' },
+    { column_name: 'status', data_type: 'USER-DEFINED', udt_schema: 'public', udt_name: 'unknown_type', is_nullable: 'YES' }
+  ], [], { enumTypes });
+  assert.ok(code.includes("import '../billing/enums.dart';\nimport 'enums.dart';\n"));
+  assert.ok(code.includes('    @Default(JobStage.arrived) JobStage stage,'));
+  assert.ok(code.includes('    List<JobStage>? prevStages,'));
+  assert.ok(code.includes('    BillingPlan? plan,'));
+  assert.ok(!code.includes('UnknownType'));
+
+  // Without enum columns there's nothing to import
+  assert.ok(!generateDartModel('notes', [{ column_name: 'body', data_type: 'text', is_nullable: 'YES' }], [], { enumTypes })
+    .includes('enums.dart'));
+}
+
+// master.sql with its \ir includes inlined and the other psql meta-commands left out
+function readMasterSQL(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').map(line => {
+    const include = line.match(/^\\ir (.+)$/);
+    if (include) {
+      return readMasterSQL(path.join(path.dirname(file), include[1]));
+    }
+    return line.startsWith('\\') ? '' : line;
+  }).join('\n');
+}
+
+async function testMasterReplay() {
+  const dir = await exportFixture(['public', 'billing']);
+  const db = new PGlite({ parsers: { 20: value => value } });
+  try {
+    const types = fs.readFileSync(path.join(dir, 'sql', 'public', '01_types.sql'), 'utf8');
+    assert.ok(types.includes("  'Won''t fix'\n"));
+    assert.ok(types.includes(`CREATE DOMAIN amount AS numeric(12,2) DEFAULT 0 NOT NULL
+  CHECK ((VALUE >= (0)::numeric));
+ALTER DOMAIN amount ADD CHECK ((VALUE < (1000000)::numeric)) NOT VALID;
+`));
+    // Composite types come after the types their attributes use
+    assert.ok(types.indexOf('CREATE TYPE site_address AS (') < types.indexOf('CREATE TYPE branch AS ('));
+
+    // Replaying the export reproduces the schema it was exported from
+    await db.exec(readMasterSQL(path.join(dir, 'sql', 'master.sql')));
+    const replayed = await introspectSnapshot(new CatalogIntrospector(db), ['public', 'billing']);
+    assert.strictEqual(serializeSnapshot(replayed), fs.readFileSync(path.join(dir, 'schema.json'), 'utf8'));
+  } finally {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Leaving out a table leaves out the views reading it, so the export still replays
+async function testFilteredReplay() {
+  const { warn } = console;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  let dir;
+  try {
+    dir = await exportFixture(['public'], { excludeTables: ['jobs'] });
+  } finally {
+    console.warn = warn;
+  }
+  const db = new PGlite();
+  try {
+    assert.deepStrictEqual(warnings, ['⚠ Left out view public.open_jobs: it reads an excluded table or column']);
+    assert.ok(!fs.existsSync(path.join(dir, 'sql', 'public', '06_views.sql')));
+    assert.ok(!fs.existsSync(path.join(dir, 'dart', 'public', 'open_jobs.dart')));
+    assert.ok(fs.existsSync(path.join(dir, 'dart', 'public', 'invoices.dart')));
+    await db.exec(readMasterSQL(path.join(dir, 'sql', 'master.sql')));
+    const { rows } = await db.query("SELECT relname FROM pg_class WHERE relname IN ('jobs', 'open_jobs', 'invoices')");
+    assert.deepStrictEqual(rows.map(row => row.relname), ['invoices']);
+  } finally {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// bigint and numeric values survive beyond the precision of a double
+async function testExactDataValues() {
+  const db = await createFixtureDatabase();
+  try {
+    await db.exec(`INSERT INTO jobs (id, price) VALUES (9007199254740993, 12345678.91)`);
+    const snapshot = await introspectSnapshot(new CatalogIntrospector(db), ['public']);
+    const jobs = snapshot.schemas.public.tables.find(table => table.name === 'jobs');
+    const [row] = await fetchTableRows(db, 'public', jobs);
+    assert.strictEqual(row.json.id, 9007199254740993n);
+    assert.strictEqual(row.json.price, '12345678.91');
+    assert.ok(generateDataSQL([{ table: jobs, rows: [row] }]).includes("'9007199254740993'"));
+    assert.ok(generateDartFixtures('jobs', [row], {
+      className: 'Jobs',
+      importPath: '../jobs.dart',
+      style: getDartStyle('freezed')
+    }).includes("    'id': 9007199254740993,\n"));
+  } finally {
+    await db.close();
+  }
+}
+
+try {
+  console.log('🧪 Running generator tests...');
+  testGroupConstraints();
+  testCompositeTableSQL();
+  testCompositeKeyDocs();
+  testDependencyOrder();
+  testMasterSQL();
+  testSchemaDiff();
+  testSnapshotRoundTrip();
+  testSqlRoundTrip();
+  testSqlMigrations();
+  testEmbeddedRelations();
+  testDartRepository();
+  testDartCompanions();
+  testDartRpc();
+  testViewModel();
+  testTypeMapping();
+  testDartStyles();
+  testConfigFile();
+  testSnapshotFilters();
+  testWatchChanges();
+  await testManifest();
+  testUnifiedDiff();
+  testDataExport();
+  await testRestIntrospection();
+  testDartPackage();
+  testDartValidators();
+  testDartEnums();
+  await testCatalogIntrospection();
+  await testSchemasExport();
+  await testMasterReplay();
+  await testFilteredReplay();
+  await testExactDataValues();
+  console.log('✅ All generator tests passed!');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}